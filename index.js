@@ -1,618 +1,6392 @@
 #!/usr/bin/env node
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
 const semver = require('semver');
-const { existsSync, writeFile } = require('fs');
-const { spawn, execSync, exec } = require('child_process');
+const { appendFileSync, chmodSync, existsSync, mkdirSync, readFileSync, renameSync, statSync, unlinkSync, writeFile, writeFileSync } = require('fs');
+const { spawn, execSync, exec, execFile } = require('child_process');
+const { EventEmitter } = require('events');
 const { promisify } = require('util');
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 const writeFileAsync = promisify(writeFile);
 
-let Constant = {
+const Constant = {
     get COMPONENT_PKG_FILE() {
         return 'package.json';
     },
-    get KR_LIB_PKG_FILE() {
-        return 'node_modules/kr-library/package.json';
+    get DEFAULT_LIBRARY() {
+        // managed when the config only has a `url`
+        return 'kr-library';
     },
-    get MINIMUM_NPM_VERSION() {
-        // Ref:
-        // https://github.com/npm/npm/issues/17929#issuecomment-367924287
-        // https://github.com/npm/npm/issues/17379#issuecomment-367924115
-        return '5.7.1';
+    get DEFAULT_TAG_PATTERN() {
+        return 'v{version}';
+    },
+    get DEFAULT_REMOTES() {
+        // a remote of the repo has to match one of these, see `Utils.normalizeGitUrl`
+        return Object.freeze(['**/gcleyser/**']);
+    },
+    get DEFAULT_BUMP_MESSAGE() {
+        // see `Utils.renderBumpMessage`
+        return 'Bump {versions}\n\n{changes}';
+    },
+    get CLI_PACKAGE() {
+        return 'krlib';
+    },
+    get CLI_UPDATE_FILE() {
+        // inside the cache directory
+        return 'cli-update.json';
+    },
+    get SOURCE_EXTENSIONS() {
+        // scanned for imports of a library, and tried in turn when an import leaves the extension out
+        return Object.freeze(['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.vue']);
+    },
+    get MINIMUM_NODE_VERSION() {
+        // recursive mkdirSync
+        return '10.12.0';
+    },
+    get PACKAGE_MANAGERS() {
+        // detected in this order from the lockfile of a component, `add` installs a `git+<url>#semver:` dependency
+        return Object.freeze({
+            pnpm : { lockFiles : ['pnpm-lock.yaml'], install : ['install'], add : ['add'], minimumVersion : '8.0.0' },
+            yarn : { lockFiles : ['yarn.lock'], install : ['install'], add : ['add'], minimumVersion : '1.22.0' },
+            // Ref:
+            // https://github.com/npm/npm/issues/17929#issuecomment-367924287
+            // https://github.com/npm/npm/issues/17379#issuecomment-367924115
+            npm : { lockFiles : ['npm-shrinkwrap.json', 'package-lock.json'], install : ['install'], add : ['install'], minimumVersion : '5.7.1' },
+        });
+    },
+    get HIDDEN_LOCK_FILE() {
+        // written by npm 7 and later, records what is actually in node_modules
+        return 'node_modules/.package-lock.json';
     },
     get ENVIRONMENT_CONFIG_FILE() {
         return 'krlib.config.json';
     },
+    get ENVIRONMENT_RC_FILE() {
+        return '.krlibrc';
+    },
+    get ENVIRONMENT_PKG_KEY() {
+        return 'krlib';
+    },
+    get UPGRADE_JOURNAL_FILE() {
+        // inside the git directory
+        return 'krlib/upgrade.json';
+    },
+    get INSTALL_RETRY_DELAY() {
+        // milliseconds before the first retry, doubled on every further retry
+        return 2000;
+    },
+    get INSTALL_TRANSIENT_ERRORS() {
+        return /ECONNRESET|ETIMEDOUT|ECONNREFUSED|EAI_AGAIN|ENOTFOUND|EPIPE|ESOCKETTIMEDOUT|socket hang up|early EOF|unable to access|Could not resolve host|the remote end hung up/i;
+    },
+    get CACHE_DIRECTORY() {
+        const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+        return process.env.KRLIB_CACHE_DIR || path.join(cacheHome, 'krlib');
+    },
+    get BREAKING_CHANGE() {
+        // conventional commits: `feat!: subject`, `feat(scope)!: subject` or a `BREAKING CHANGE:` footer
+        return /^\w+(\([^)]*\))?!:|^BREAKING[ -]CHANGE:/m;
+    },
+    get RELEASE_CHANNELS() {
+        // prerelease identifiers each channel follows besides the stable releases
+        return Object.freeze({
+            stable : [],
+            rc : ['rc'],
+            beta : ['beta', 'rc'],
+        });
+    },
 };
 
-class Environment {
-    constructor(rootPath) {
-        const configFile = path.resolve(rootPath, Constant.ENVIRONMENT_CONFIG_FILE);
-        this.config = require(configFile);
+const ExitCode = Object.freeze({
+    SUCCESS : 0,
+    FAILURE : 1,
+    USAGE : 2,
+    OUTDATED : 3,
+    CONFIG : 4,
+    INSTALL_FAILED : 5,
+    INTEGRITY : 6,
+    POLICY : 7,
+    IMPACT : 8,
+    CANCELLED : 130,
+});
+
+/**
+ * base of every error thrown by krlib, `code` tells them apart without instanceof
+ */
+class KrlibError extends Error {
+    /**
+     * @param {String} message message
+     * @param {Error} cause underlying error, if any
+     */
+    constructor(message, cause) {
+        super(message);
+        this.name = 'KrlibError';
+        this.code = 'EKRLIB';
+        if (cause) {
+            this.cause = cause;
+        }
     }
+}
 
-    get COMPONENT_DIRECTORIES() {
-        return Object.freeze(this.config.component);
+class UsageError extends KrlibError {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+        this.code = 'EKRLIB_USAGE';
     }
+}
 
-    get KR_LIB_URL() {
-        return this.config.url;
+class GitError extends KrlibError {
+    constructor(message, cause) {
+        super(message, cause);
+        this.name = 'GitError';
+        this.code = 'EKRLIB_GIT';
     }
+}
 
-    get KR_LIB_NPM_URL() {
-        return `git+${this.KR_LIB_URL}#semver:`;
+class VersionError extends KrlibError {
+    constructor(message) {
+        super(message);
+        this.name = 'VersionError';
+        this.code = 'EKRLIB_VERSION';
     }
 }
 
-class Utils {
+class InstallError extends KrlibError {
     /**
-     * get root directory of current git repo
-     * @returns {String} path
+     * thrown by a single install, with `installPath`, `exitCode` and `transient` set,
+     * or by a whole run of installs, with `results` set
+     * @param {String} message message
+     * @param {Object} detail where and how the install failed
      */
-    static getGitRootDirectorySync() {
-        let rawPath = [];
-
-        try {
-            const cmd = execSync('git rev-parse --show-toplevel');
-            rawPath = cmd.toString().split('\n')[0];
-        } catch (err) {
-            Utils.loggerError(err);
-            throw new Error('Could not get root directory from git');
-        }
-
-        return path.resolve(rawPath);
+    constructor(message, detail) {
+        super(message);
+        this.name = 'InstallError';
+        this.code = 'EKRLIB_INSTALL';
+        Object.assign(this, detail);
     }
+}
 
+class CancelledError extends KrlibError {
     /**
-     * get user email of current git repo
-     * @returns {String} email
+     * @param {String} message message
+     * @param {Object[]} results result per component, as far as they got
      */
-    static async getGitUserAsync() {
-        let email = '';
-
-        try {
-            const cmd = await execAsync('git config user.email');
-            email = cmd.stdout.split('\n')[0];
-        } catch (unused) { }
-
-        return email;
+    constructor(message, results) {
+        super(message);
+        this.name = 'CancelledError';
+        this.code = 'EKRLIB_CANCELLED';
+        this.results = results;
     }
+}
 
+class ConfigError extends KrlibError {
     /**
-     * get name of current git repo
-     * @returns {String} repo name
+     * @param {String} source file the config was read from
+     * @param {String[]} issues one message per problem
      */
-    static async checkLeyserkidsRepositoryAsync() {
-        let check = false;
-
-        try {
-            const cmd = await execAsync('git remote get-url --push origin');
-            const name = cmd.stdout.split('\n')[0];
-            check = /gcleyser\//.test(name);
-        } catch (err) {
-            Utils.loggerError(err);
-            throw new Error('Could not get repository name from git');
-        }
-        return check;
+    constructor(source, issues) {
+        super(`Invalid krlib config ${source}:\n${issues.map(issue => `  ${issue}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.code = 'EKRLIB_CONFIG';
+        this.source = source;
+        this.issues = issues;
     }
+}
 
-    static async getLatestVersionAsync() {
-        let version = '';
+/**
+ * JSON parser which remembers the line of every value, so config errors can point at it
+ */
+class JsonSource {
+    constructor(text, source) {
+        this.text = text.replace(/^\uFEFF/, '');
+        this.source = source;
+        this.index = 0;
+        this.lines = new Map();
+        this.ranges = new Map();
+    }
 
-        try {
-            const cmd = await execAsync(`git ls-remote --tags --refs ${Constant.KR_LIB_URL}`);
-            const tags = cmd.stdout
-                .match(/refs\/tags\/v[0-9]*\.[0-9]*\.[0-9]*/g)
-                .map((v) => v.replace('refs/tags/v', ''));
-            version = semver.maxSatisfying(tags, '*');
-        } catch (err) {
-            Utils.loggerError(err);
-            throw new Error('Could not obtain latest version number from remote git');
+    /**
+     * @param {String} text JSON text
+     * @param {String} source file name used in errors
+     * @returns {{value: *, lineOf: Function, rangeOf: Function}} parsed value, and lookups from property path to line
+     *          and to the start and end index of the value text
+     */
+    static parse(text, source) {
+        const parser = new JsonSource(text, source);
+        const value = parser._parseValue([]);
+        parser._skipWhitespace();
+        if (parser.index < parser.text.length) {
+            parser._fail('Unexpected content after the end of JSON');
         }
-
-        return version;
+        return {
+            value,
+            lineOf : (keys) => parser.lines.get(keys.join('\u0000')),
+            rangeOf : (keys) => parser.ranges.get(keys.join('\u0000')),
+        };
     }
 
-    static getCliVersion() {
-        let version;
-        try {
-            const config = require(path.join(__dirname, '../package.json'));
-            if (config) {
-                version = config.version;
-            }
-        } catch (err) {
-            Utils.loggerError(err);
-            throw new Error(`Failed to detect current version of the globally installed kr-library`);
+    /**
+     * replace a value, the rest of the text stays as it is
+     * @param {String} text JSON text
+     * @param {String[]} keys property path of the value
+     * @param {*} value new value
+     * @param {String} source file name used in errors
+     * @returns {String} JSON text, null when there is no value at the path
+     */
+    static replace(text, keys, value, source) {
+        const range = JsonSource.parse(text, source).rangeOf(keys);
+        if (!range) {
+            return null;
         }
-        return version;
+        // the indexes are past the byte order mark
+        const offset = text.length - text.replace(/^\uFEFF/, '').length;
+        return text.slice(0, range[0] + offset) + JSON.stringify(value) + text.slice(range[1] + offset);
     }
 
-    static async getNpmVersionAsync() {
-        let version = '';
-
-        try {
-            const cmd = await execAsync('npm --version');
-            version = cmd.stdout.split('\n')[0];
-        } catch (err) {
-            Utils.loggerError(err);
-            throw new Error('Could not get npm version, please make sure npm has been installed');
-        }
+    _lineAt(index) {
+        return this.text.slice(0, index).split('\n').length;
+    }
 
-        return version;
+    _fail(message) {
+        const line = this._lineAt(this.index);
+        const column = this.index - this.text.lastIndexOf('\n', this.index - 1);
+        throw new ConfigError(this.source, [`line ${line}, column ${column}: ${message}`]);
     }
 
-    static updateCli(root) {
-        const child = spawn('node', ['install.js'], {
-            stdio : 'ignore',
-            shell : true,
-            detached : true,
-            cwd : path.join(root, 'tools/kr-library'),
-        });
-        child.unref();
-        process.exit();
+    _skipWhitespace() {
+        while (/\s/.test(this.text.charAt(this.index))) {
+            this.index++;
+        }
     }
 
-    static _logger(message) {
-        process.stdout.write(`${message}\n`);
+    _parseValue(keys) {
+        this._skipWhitespace();
+        const start = this.index;
+        this.lines.set(keys.join('\u0000'), this._lineAt(start));
+        const value = this._parseToken(keys);
+        this.ranges.set(keys.join('\u0000'), [start, this.index]);
+        return value;
     }
 
-    static loggerSuccess(message) {
-        this._logger(`\x1b[32m${message}\x1b[0m`);
+    _parseToken(keys) {
+        const char = this.text.charAt(this.index);
+        if (char === '{') {
+            return this._parseObject(keys);
+        }
+        if (char === '[') {
+            return this._parseArray(keys);
+        }
+        if (char === '"') {
+            return this._parseString();
+        }
+        const literal = this.text.slice(this.index).match(/^(true|false|null|-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?)/);
+        if (!literal) {
+            this._fail(char ? `Unexpected token ${char}` : 'Unexpected end of JSON');
+        }
+        this.index += literal[0].length;
+        return JSON.parse(literal[0]);
     }
 
-    static loggerError(message) {
-        process.stderr.write(`\x1b[31m${message}\x1b[0m\n`);
+    _parseString() {
+        const raw = this.text.slice(this.index).match(/^"(?:[^"\\\n]|\\.)*"/);
+        if (!raw) {
+            this._fail('Unterminated string');
+        }
+        this.index += raw[0].length;
+        return JSON.parse(raw[0]);
     }
 
-    static loggerWarning(message) {
-        this._logger(`\x1b[33m${message}\x1b[0m`);
+    _parseObject(keys) {
+        const result = {};
+        this.index++;
+        this._skipWhitespace();
+        if (this.text.charAt(this.index) === '}') {
+            this.index++;
+            return result;
+        }
+        for (;;) {
+            this._skipWhitespace();
+            if (this.text.charAt(this.index) !== '"') {
+                this._fail('Expected a property name in double quotes');
+            }
+            const key = this._parseString();
+            this._skipWhitespace();
+            if (this.text.charAt(this.index) !== ':') {
+                this._fail(`Expected ':' after property "${key}"`);
+            }
+            this.index++;
+            result[key] = this._parseValue(keys.concat(key));
+            this._skipWhitespace();
+            const char = this.text.charAt(this.index++);
+            if (char === '}') {
+                return result;
+            }
+            if (char !== ',') {
+                this.index--;
+                this._fail(`Expected ',' or '}' after property "${key}"`);
+            }
+        }
     }
 
-    static loggerInfo(message) {
-        this._logger(message);
+    _parseArray(keys) {
+        const result = [];
+        this.index++;
+        this._skipWhitespace();
+        if (this.text.charAt(this.index) === ']') {
+            this.index++;
+            return result;
+        }
+        for (;;) {
+            result.push(this._parseValue(keys.concat(String(result.length))));
+            this._skipWhitespace();
+            const char = this.text.charAt(this.index++);
+            if (char === ']') {
+                return result;
+            }
+            if (char !== ',') {
+                this.index--;
+                this._fail(`Expected ',' or ']' after item ${result.length - 1}`);
+            }
+        }
     }
 }
 
-class PackageInstaller {
-    constructor(installPath = '.') {
-        this.installPath = installPath;
-    }
+const GIT_URL_PATTERN = /^(git\+)?(https?|ssh|git|file):\/\/|^[\w.-]+@[\w.-]+:/;
 
-    _installPackage(paramArray) {
-        return new Promise((resolve) => {
-            const child = spawn(
-                /^win/.test(process.platform) ? 'npm.cmd' : 'npm',
-                paramArray,
-                { cwd : this.installPath },
-            );
+const SEVERITY_SCHEMA = Object.freeze({
+    type : 'string',
+    enum : ['warning', 'error'],
+});
 
-            child.stdout.on('data', (data) => {
-                Utils.loggerInfo(data.toString());
-            });
+const VERSION_SCHEMA = Object.freeze({
+    type : 'string',
+    validate : (value) => semver.valid(value) ? null : 'must be a version such as 1.4.2',
+});
 
-            child.stderr.on('data', (data) => {
-                const dataStr = data.toString();
-                if (!dataStr.includes('npm update check failed')) {
-                    Utils.loggerError(dataStr);
-                }
-            });
+const RANGE_SCHEMA = Object.freeze({
+    type : 'string',
+    validate : (value) => semver.validRange(value) ? null : 'must be a valid semver range',
+});
 
-            child.on('close', (code) => {
-                resolve(code);
-            });
+// every rule is its setting, or an object of the setting and its severity
+const POLICIES_SCHEMA = Object.freeze({
+    type : 'object',
+    properties : {
+        sameVersion : {
+            type : ['boolean', 'object'],
+            properties : {
+                severity : SEVERITY_SCHEMA,
+            },
+        },
+        maxMinorLag : {
+            type : ['integer', 'object'],
+            minimum : 0,
+            properties : {
+                value : {
+                    type : 'integer',
+                    required : true,
+                    minimum : 0,
+                },
+                severity : SEVERITY_SCHEMA,
+            },
+        },
+        denyVersions : {
+            type : ['array', 'object'],
+            items : RANGE_SCHEMA,
+            properties : {
+                versions : {
+                    type : 'array',
+                    required : true,
+                    items : RANGE_SCHEMA,
+                },
+                severity : SEVERITY_SCHEMA,
+            },
+        },
+        minimumVersion : {
+            type : ['string', 'object'],
+            validate : (value) => typeof value !== 'string' || semver.valid(value) ? null : 'must be a version such as 1.4.2',
+            properties : {
+                version : Object.assign({ required : true }, VERSION_SCHEMA),
+                severity : SEVERITY_SCHEMA,
+            },
+        },
+    },
+});
+
+const ConfigSchema = Object.freeze({
+    type : 'object',
+    properties : {
+        $schema : {
+            type : 'string',
+        },
+        url : {
+            type : 'string',
+            env : 'KRLIB_URL',
+            pattern : GIT_URL_PATTERN,
+            hint : 'a git url such as https://host/group/kr-library.git',
+        },
+        libraries : {
+            type : 'object',
+            additionalProperties : {
+                type : 'object',
+                properties : {
+                    url : {
+                        type : 'string',
+                        required : true,
+                        // KRLIB_LIBRARIES_UI_KIT_URL for the library ui-kit
+                        env : (keys) => `KRLIB_LIBRARIES_${keys[1].toUpperCase().replace(/[^A-Z0-9]/g, '_')}_URL`,
+                        pattern : GIT_URL_PATTERN,
+                        hint : 'a git url such as https://host/group/ui-kit.git',
+                    },
+                    tagPattern : {
+                        type : 'string',
+                        validate : (value) => value.includes('{version}') ? null : 'must contain {version}',
+                    },
+                    policies : POLICIES_SCHEMA,
+                },
+            },
+        },
+        policies : POLICIES_SCHEMA,
+        remotes : {
+            // glob patterns over the normalized remote urls, one remote of the repo has to match
+            type : 'array',
+            items : {
+                type : 'string',
+                validate : (value) => value.trim() !== '' ? null : 'must not be empty',
+            },
+        },
+        cli : {
+            // where `krlib self-update` looks for releases of the CLI
+            type : 'object',
+            properties : {
+                source : {
+                    type : 'string',
+                    enum : ['npm', 'git'],
+                },
+                package : {
+                    type : 'string',
+                    // see https://github.com/npm/validate-npm-package-name
+                    pattern : /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/,
+                    hint : 'an npm package name such as krlib or @scope/krlib',
+                },
+                registry : {
+                    type : 'string',
+                    pattern : /^https?:\/\/\S+$/,
+                    hint : 'a registry url such as https://registry.npmjs.org/',
+                },
+                url : {
+                    type : 'string',
+                    pattern : GIT_URL_PATTERN,
+                    hint : 'a git url such as https://host/group/krlib.git',
+                },
+                tagPattern : {
+                    type : 'string',
+                    validate : (value) => value.includes('{version}') ? null : 'must contain {version}',
+                },
+                checkInterval : {
+                    // hours between two looks for a newer CLI, 0 turns the notice off
+                    type : 'integer',
+                    minimum : 0,
+                },
+            },
+        },
+        bump : {
+            // the commit of `krlib bump --commit`
+            type : 'object',
+            properties : {
+                message : {
+                    type : 'string',
+                    validate : (value) => value.trim() !== '' ? null : 'must not be empty',
+                },
+            },
+        },
+        failOn : {
+            type : 'string',
+            env : 'KRLIB_FAIL_ON',
+            enum : ['warning', 'error', 'never'],
+        },
+        channel : {
+            type : 'string',
+            env : 'KRLIB_CHANNEL',
+            enum : ['stable', 'rc', 'beta'],
+        },
+        concurrency : {
+            type : 'integer',
+            env : 'KRLIB_CONCURRENCY',
+            minimum : 1,
+        },
+        retries : {
+            type : 'integer',
+            env : 'KRLIB_RETRIES',
+            minimum : 0,
+        },
+        cacheTtl : {
+            type : 'integer',
+            env : 'KRLIB_CACHE_TTL',
+            minimum : 0,
+        },
+        include : {
+            type : 'array',
+            items : {
+                type : 'string',
+            },
+        },
+        discover : {
+            type : 'boolean',
+        },
+        component : {
+            type : 'object',
+            additionalProperties : {
+                type : ['string', 'object'],
+                properties : {
+                    path : {
+                        type : 'string',
+                        required : true,
+                    },
+                    ignore : {
+                        type : 'boolean',
+                    },
+                    range : {
+                        // one range for every library, or a range by library name
+                        type : ['string', 'object'],
+                        validate : (value) => typeof value !== 'string' || semver.validRange(value) ? null : 'must be a valid semver range',
+                        additionalProperties : RANGE_SCHEMA,
+                    },
+                    packageManager : {
+                        type : 'string',
+                        enum : ['npm', 'yarn', 'pnpm'],
+                    },
+                    channel : {
+                        type : 'string',
+                        enum : ['stable', 'rc', 'beta'],
+                    },
+                },
+            },
+        },
+    },
+});
+
+class ConfigLoader {
+    /**
+     * find, parse and validate the krlib config of the given root
+     * @param {String} rootPath git root directory
+     * @param {Object} env environment variables used as overrides
+     * @param {{checkDirectories: Boolean}} options false to accept components whose directory is gone
+     * @returns {Object} normalized config
+     */
+    static load(rootPath, env = process.env, { checkDirectories = true } = {}) {
+        const found = ConfigLoader.find(rootPath);
+        const { value, lineOf } = JsonSource.parse(readFileSync(found.file, 'utf8'), found.file);
+        return ConfigLoader._check(found.key ? value[found.key] : value, {
+            rootPath,
+            env,
+            checkDirectories,
+            source : found.file,
+            name : found.key || 'config',
+            lineOf : (keys) => lineOf(found.key ? [found.key].concat(keys) : keys),
         });
     }
 
-    async installComponently() {
-        Utils.loggerInfo(`Please wait, Running 'npm install' at ${this.installPath} . . .`);
-        let code = await this._installPackage(['install']);
-        if (code === 0) {
-            Utils.loggerSuccess(`Run 'npm install' at [${this.installPath}] successfully`);
-        } else {
-            Utils.loggerError(`Failed to run 'npm install' at [${this.installPath}] with code: ${code}`);
-        }
+    /**
+     * validate a config given as an object, as the `config` option of `createKrlib`
+     * @param {Object} config config of the same shape as krlib.config.json
+     * @param {String} rootPath git root directory
+     * @param {Object} env environment variables used as overrides
+     * @returns {Object} normalized config
+     */
+    static fromObject(config, rootPath, env = process.env) {
+        return ConfigLoader._check(config, { rootPath, env, source : 'options.config', name : 'config', lineOf : () => null });
     }
 
-    async installSpecificVersionAsync(version) {
-        Utils.loggerInfo(`Please wait, installing kr-library(${version}) into ${this.installPath} . . .`);
-        let code = await this._installPackage(['install', Constant.KR_LIB_NPM_URL + version]);
-        if (code === 0) {
-            Utils.loggerSuccess(`Install kr-library into ${this.installPath} successfully`);
-        } else {
-            Utils.loggerError(`Failed install kr-library at ${this.installPath} with code: ${code}`);
+    static _check(config, { rootPath, env, source, name, lineOf, checkDirectories = true }) {
+        const locate = (keys) => {
+            const override = ConfigLoader._overrides(config, env).find(item => item.keys.join('.') === keys.join('.'));
+            if (override) {
+                return `environment variable ${override.name}`;
+            }
+            const line = lineOf(keys);
+            return line ? `line ${line}` : name;
+        };
+
+        const overridden = ConfigLoader._applyOverrides(config, env);
+        const issues = ConfigLoader.validate(overridden, ConfigSchema)
+            .map(({ keys, message }) => `${locate(keys)}: ${keys.join('.') || name} ${message}`);
+        if (issues.length === 0 && !overridden.url && !overridden.libraries) {
+            issues.push(`${name}: needs a "url" or "libraries"`);
+        }
+        if (issues.length === 0 && overridden.cli && overridden.cli.source === 'git' && !overridden.cli.url) {
+            issues.push(`${locate(['cli'])}: cli needs a "url" when the source is git`);
         }
+        if (issues.length === 0 && !overridden.component && !overridden.include && !overridden.discover) {
+            issues.push(`${name}: needs a "component" map, "include" patterns or "discover": true`);
+        }
+        if (issues.length === 0 && checkDirectories) {
+            ConfigLoader._checkComponentDirectories(rootPath, overridden)
+                .forEach(({ keys, message }) => issues.push(`${locate(keys)}: ${keys.join('.')} ${message}`));
+        }
+        if (issues.length > 0) {
+            throw new ConfigError(source, issues);
+        }
+        return ConfigLoader._normalize(overridden);
     }
-}
 
-class Component {
-    constructor(componentName, componentPath) {
-        this.componentName = componentName;
-        this.componentPath = componentPath;
-        this.packageJson = path.join(this.componentPath, Constant.COMPONENT_PKG_FILE);
-        this.krLibraryPackageJson = path.join(this.componentPath, Constant.KR_LIB_PKG_FILE);
-        this.installer = new PackageInstaller(this.componentPath);
-    }
+    /**
+     * look for krlib.config.json, a "krlib" key in package.json and .krlibrc, in that order
+     * @param {String} rootPath git root directory
+     * @returns {{file: String, key: String}} config file, and the key holding the config inside it
+     */
+    static find(rootPath) {
+        const configFile = path.resolve(rootPath, Constant.ENVIRONMENT_CONFIG_FILE);
+        if (existsSync(configFile)) {
+            return { file : configFile, key : null };
+        }
 
-    initialize() {
-        this.exist = this._checkExist();
-        this.currentVersion = this._getCurrentVersion();
-        this.expectedVersion = this._getExpectedVersion();
-        return this;
-    }
+        const pkgFile = path.resolve(rootPath, Constant.COMPONENT_PKG_FILE);
+        if (existsSync(pkgFile)) {
+            const { value } = JsonSource.parse(readFileSync(pkgFile, 'utf8'), pkgFile);
+            if (value && value.hasOwnProperty(Constant.ENVIRONMENT_PKG_KEY)) {
+                return { file : pkgFile, key : Constant.ENVIRONMENT_PKG_KEY };
+            }
+        }
 
-    _checkExist() {
-        return existsSync(this.krLibraryPackageJson);
+        const rcFile = path.resolve(rootPath, Constant.ENVIRONMENT_RC_FILE);
+        if (existsSync(rcFile)) {
+            return { file : rcFile, key : null };
+        }
+
+        throw new ConfigError(rootPath, [
+            `No krlib config found, create ${Constant.ENVIRONMENT_CONFIG_FILE}, ` +
+            `a "${Constant.ENVIRONMENT_PKG_KEY}" key in ${Constant.COMPONENT_PKG_FILE} or ${Constant.ENVIRONMENT_RC_FILE}`,
+        ]);
     }
 
-    _getCurrentVersion() {
-        let version = '';
-        if (!this._checkExist()) {
-            return version;
+    /**
+     * validate a value against a schema of the same shape as ConfigSchema
+     * @param {*} value value to validate
+     * @param {Object} schema schema
+     * @param {String[]} keys property path of the value
+     * @returns {{keys: String[], message: String}[]} problems found
+     */
+    static validate(value, schema, keys = []) {
+        const types = [].concat(schema.type);
+        let type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+        if (type === 'number' && types.includes('integer') && Number.isInteger(value)) {
+            type = 'integer';
         }
-        try {
-            version = require(this.krLibraryPackageJson).version;
-        } catch (err) {
-            Utils.loggerError(err);
-            throw new Error(`Could load ${this.krLibraryPackageJson}, please make the file vailed`);
+        if (!types.includes(type)) {
+            return [{ keys, message : `must be ${types.map(name => `${/^[aeiou]/.test(name) ? 'an' : 'a'} ${name}`).join(' or ')}, got ${type}` }];
         }
-        return version;
-    }
-
-    _getExpectedVersion() {
-        let version = '';
-        try {
-            const pkg = require(this.packageJson);
-            const npmUrl = pkg.dependencies['kr-library'];
-            if (npmUrl) {
-                version = npmUrl.match(/#semver:[0-9]*\.[0-9]*\.[0-9]*/g)[0].replace('#semver:', '');
+        if (schema.enum && !schema.enum.includes(value)) {
+            return [{ keys, message : `must be one of ${schema.enum.join(', ')}, got "${value}"` }];
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return [{ keys, message : `must be at least ${schema.minimum}, got ${value}` }];
+        }
+        if (schema.pattern && !schema.pattern.test(value)) {
+            return [{ keys, message : `must be ${schema.hint || `matching ${schema.pattern}`}, got "${value}"` }];
+        }
+        if (schema.validate) {
+            const message = schema.validate(value);
+            if (message) {
+                return [{ keys, message : `${message}, got "${value}"` }];
             }
-        } catch (err) {
-            Utils.loggerError(err);
-            throw new Error(`Could load ${this.packageJson}, please make the file vailed`);
         }
-        return version;
-    }
-
-    compareVersion() {
-        if (!this._checkExist()) {
-            return -2;
+        if (type === 'array' && schema.items) {
+            return value.reduce((acc, item, index) => acc.concat(ConfigLoader.validate(item, schema.items, keys.concat(String(index)))), []);
+        }
+        if (type !== 'object') {
+            return [];
         }
-        return semver.compare(this.currentVersion, this.expectedVersion);
-    }
 
-    async setVersionAsync(version) {
-        let pkg = require(this.packageJson);
-        pkg.dependencies['kr-library'] = Constant.KR_LIB_NPM_URL + version;
-        await writeFileAsync(this.packageJson, JSON.stringify(pkg, null, 2), { encoding : 'utf8' });
+        let issues = [];
+        const properties = schema.properties || {};
+        Object.keys(properties)
+            .filter(key => properties[key].required && !value.hasOwnProperty(key))
+            .forEach(key => issues.push({ keys, message : `is missing required property "${key}"` }));
+        Object.keys(value).forEach(key => {
+            const childKeys = keys.concat(key);
+            if (properties.hasOwnProperty(key)) {
+                issues = issues.concat(ConfigLoader.validate(value[key], properties[key], childKeys));
+            } else if (schema.additionalProperties) {
+                issues = issues.concat(ConfigLoader.validate(value[key], schema.additionalProperties, childKeys));
+            } else {
+                const suggestion = Object.keys(properties).find(name => Utils.editDistance(name, key) <= 2);
+                issues.push({
+                    keys : childKeys,
+                    message : `is not a known property${suggestion ? `, did you mean "${suggestion}"?` : ''}`,
+                });
+            }
+        });
+        return issues;
     }
-}
 
-class LeyserkidsComponentCollection {
-    constructor(root, latestVersion) {
-        this.root = root;
-        this.components = this._initComponents();
-        this.latestVersion = latestVersion;
+    /**
+     * @param {Object} config config as written
+     * @param {Object} env environment variables
+     * @returns {{keys: String[], name: String, schema: Object}[]} the properties set by an environment variable,
+     *          a property of an object, such as the url of a library, only when the object is in the config
+     */
+    static _overrides(config, env) {
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const visit = (schema, value, keys) => {
+            const properties = schema.properties || {};
+            const own = Object.keys(properties)
+                .map(key => {
+                    const variable = properties[key].env;
+                    return { keys : keys.concat(key), name : typeof variable === 'function' ? variable(keys.concat(key)) : variable, schema : properties[key] };
+                })
+                .filter(override => override.name && env[override.name] !== undefined);
+            const nested = Object.keys(value)
+                .filter(key => isObject(value[key]) && (properties[key] || schema.additionalProperties))
+                .map(key => visit(properties[key] || schema.additionalProperties, value[key], keys.concat(key)));
+            return own.concat(...nested);
+        };
+        return isObject(config) ? visit(ConfigSchema, config, []) : [];
     }
 
-    find(componentName) {
-        return this.components.find(component => component.componentName === componentName);
+    static _applyOverrides(config, env) {
+        const setIn = (value, [key, ...keys], child) =>
+            Object.assign({}, value, { [key] : keys.length === 0 ? child : setIn(value[key], keys, child) });
+        return ConfigLoader._overrides(config, env).reduce((acc, { keys, name, schema }) => {
+            const raw = env[name];
+            switch (schema.type) {
+                case 'boolean':
+                    return setIn(acc, keys, raw === 'true' ? true : raw === 'false' ? false : raw);
+                case 'number':
+                case 'integer':
+                    return setIn(acc, keys, raw.trim() !== '' && !isNaN(raw) ? Number(raw) : raw);
+                default:
+                    return setIn(acc, keys, raw);
+            }
+        }, config);
     }
 
-    getUnInstalled() {
-        return this.components.filter(component => !component.exist);
+    static _checkComponentDirectories(rootPath, config) {
+        return Object.keys(config.component || {})
+            .map(name => {
+                const entry = config.component[name];
+                const keys = typeof entry === 'string' ? ['component', name] : ['component', name, 'path'];
+                const directory = typeof entry === 'string' ? entry : entry.path;
+                const pkgFile = path.resolve(rootPath, directory, Constant.COMPONENT_PKG_FILE);
+                return existsSync(pkgFile) ? null : { keys, message : `points to ${directory}, which has no ${Constant.COMPONENT_PKG_FILE}` };
+            })
+            .filter(issue => issue !== null);
     }
 
-    getUnExpected() {
-        return this.components.filter(component => semver.lt(component.currentVersion, component.expectedVersion));
+    static _normalize(config) {
+        const channel = config.channel || 'stable';
+        const component = Object.keys(config.component || {}).reduce((acc, name) => {
+            acc[name] = ConfigLoader.normalizeComponent(config.component[name], channel);
+            return acc;
+        }, {});
+        // `url` is the kr-library, listed first
+        const libraries = Object.assign(
+            config.url ? { [Constant.DEFAULT_LIBRARY] : { url : config.url } } : {},
+            config.libraries,
+        );
+        const policies = ConfigLoader.normalizePolicies(config.policies);
+        Object.keys(libraries).forEach(name => {
+            libraries[name] = Object.freeze(Object.assign({ tagPattern : Constant.DEFAULT_TAG_PATTERN }, libraries[name], {
+                // the rules of a library replace the rules of the same name for every library
+                policies : Object.freeze(Object.assign({}, policies, ConfigLoader.normalizePolicies(libraries[name].policies))),
+            }));
+        });
+        return Object.assign(
+            { concurrency : 2, retries : 2, cacheTtl : 600, include : [], discover : false, failOn : 'error', remotes : Constant.DEFAULT_REMOTES },
+            config,
+            {
+                channel,
+                component,
+                libraries,
+                policies,
+                cli : ConfigLoader.normalizeCli(config.cli),
+                bump : Object.freeze(Object.assign({ message : Constant.DEFAULT_BUMP_MESSAGE }, config.bump)),
+            },
+        );
     }
 
-    getUnLatested() {
-        return this.components.filter(component => semver.lt(component.expectedVersion, this.latestVersion));
+    /**
+     * @param {Object} cli `cli` section of the config
+     * @returns {Object} where the CLI is released, the defaults filled in
+     */
+    static normalizeCli(cli = {}) {
+        return Object.freeze(Object.assign({
+            source : 'npm',
+            package : Constant.CLI_PACKAGE,
+            registry : null,
+            url : null,
+            tagPattern : Constant.DEFAULT_TAG_PATTERN,
+            checkInterval : 24,
+        }, cli));
     }
 
-    _initComponents() {
-        let components = [];
-        const componentsConfig = Constant.COMPONENT_DIRECTORIES;
-        for (const key in componentsConfig) {
-            if (componentsConfig.hasOwnProperty(key)) {
-                components.push(new Component(key, path.join(this.root, componentsConfig[key])).initialize());
+    /**
+     * @param {Object} policies `policies` section of the config
+     * @returns {Object} rules by name, each an object of its setting and severity, the rules turned off left out
+     */
+    static normalizePolicies(policies = {}) {
+        const settings = {
+            sameVersion : (value) => value === true ? {} : value,
+            maxMinorLag : (value) => typeof value === 'number' ? { value } : value,
+            denyVersions : (value) => Array.isArray(value) ? { versions : value } : value,
+            minimumVersion : (value) => typeof value === 'string' ? { version : value } : value,
+        };
+        return Object.keys(policies).reduce((acc, name) => {
+            const rule = settings[name](policies[name]);
+            if (rule) {
+                acc[name] = Object.freeze(Object.assign({ severity : 'error' }, rule));
             }
-        }
-        return components;
+            return acc;
+        }, {});
     }
 
-    async installPackagesAsync(componentArray) {
-        const asyncInstallFuncs = componentArray.map((component, index) => () =>
-            new Promise((resolve, reject) => {
-                setTimeout(async () => {
-                    await component.installer.installComponently().catch((err) => reject(err));
-                    resolve();
-                }, index * 500);
-            }),
-        );
-        await Promise.all(asyncInstallFuncs.map((func) => func()));
+    /**
+     * @param {String|Object} entry component entry of the config, its directory or its options
+     * @param {String} channel release channel of the config
+     * @returns {Object} component options with the defaults filled in
+     */
+    static normalizeComponent(entry, channel) {
+        return Object.freeze(Object.assign(
+            { ignore : false, range : null, packageManager : null, channel },
+            typeof entry === 'string' ? { path : entry } : entry,
+        ));
     }
+}
 
-    async installPackagesWithVersionAsync(componentArray, versionFinderFunc) {
-        const asyncInstallFuncs = componentArray.map((component, index) => () =>
-            new Promise((resolve, reject) => {
-                setTimeout(async () => {
-                    await component.installer.installSpecificVersionAsync(versionFinderFunc(component)).catch((err) => reject(err));
-                    resolve();
-                }, index * 500);
-            }),
-        );
-        await Promise.all(asyncInstallFuncs.map((func) => func()));
-    }
+/**
+ * finds the components of a repo from the package.json files depending on a managed library
+ */
+class ComponentDiscovery {
+    /**
+     * directories of the repo holding a package.json, tracked or not ignored by git, node_modules left out
+     * @param {String} rootPath git root directory
+     * @returns {String[]} directories relative to the root, `.` for the root itself
+     */
+    static listPackageDirectoriesSync(rootPath) {
+        let files = [];
 
-    async installLatestAsync(componentArray) {
-        await this.installPackagesWithVersionAsync(componentArray, () => this.latestVersion);
-    }
+        try {
+            const cmd = execSync('git ls-files -z --cached --others --exclude-standard', {
+                cwd : rootPath,
+                maxBuffer : 64 * 1024 * 1024,
+                stdio : ['ignore', 'pipe', 'pipe'],
+            });
+            files = cmd.toString().split('\0');
+        } catch (err) {
+            throw new GitError(`Could not list the files of ${rootPath}`, err);
+        }
 
-    async installExpectAsync(componentArray) {
-        await this.installPackagesWithVersionAsync(componentArray, (component) => component.expectedVersion);
+        return Array.from(new Set(files
+            .filter(file => path.posix.basename(file) === Constant.COMPONENT_PKG_FILE)
+            .filter(file => !file.split('/').includes('node_modules'))
+            .filter(file => existsSync(path.join(rootPath, file)))
+            .map(file => path.posix.dirname(file)))).sort();
     }
 
-    static checkVersion(componentName) {
-        // eslint-disable-next-line no-sync
-        const instance = new LeyserkidsComponentCollection(Utils.getGitRootDirectorySync());
-        return instance.find(componentName).compareVersion();
+    /**
+     * directories of the repo whose package.json depends on any of the managed libraries
+     * @param {String} rootPath git root directory
+     * @param {String[]} libraryNames package names of the libraries
+     * @returns {String[]} directories relative to the root
+     */
+    static findSync(rootPath, libraryNames) {
+        return ComponentDiscovery.listPackageDirectoriesSync(rootPath).filter(directory => {
+            const pkg = Utils.readJsonSync(path.join(rootPath, directory, Constant.COMPONENT_PKG_FILE));
+            return Boolean(pkg && pkg.dependencies && libraryNames.some(name => pkg.dependencies[name]));
+        });
     }
 
-    static checkVersionWithAssert(componentName) {
-        if (LeyserkidsComponentCollection.checkVersion(componentName) < 0) {
-            Utils.loggerError('Oops, The kr-library is outdated, Please run `krlib` to update');
-            process.exit(1);
+    /**
+     * components matched by the `include` patterns, or all of them with `discover`, the `component` map excluded
+     * @param {String} rootPath git root directory
+     * @param {Object} config normalized config
+     * @returns {Object} component options by name, the name is the directory relative to the root
+     */
+    static discoverSync(rootPath, config) {
+        if (!config.discover && config.include.length === 0) {
+            return {};
+        }
+        const patterns = config.include.map(pattern => Utils.globToRegExp(pattern));
+        return ComponentDiscovery.findSync(rootPath, Object.keys(config.libraries))
+            .filter(directory => config.discover || patterns.some(pattern => pattern.test(directory)))
+            .filter(directory => !ComponentDiscovery._isListed(rootPath, config, directory))
+            .reduce((acc, directory) => {
+                acc[directory] = ConfigLoader.normalizeComponent(directory, config.channel);
+                return acc;
+            }, {});
+    }
+
+    /**
+     * compare the `component` map with the components found in the repo
+     * @param {String} rootPath git root directory
+     * @param {Object} config normalized config, loaded without checking the directories
+     * @returns {{unlisted: String[], missing: {name: String, path: String}[]}} directories depending on a library
+     *          which are neither in the map nor matched by `include` (none with `discover`), entries of the map without package.json
+     */
+    static compareWithConfigSync(rootPath, config) {
+        const patterns = config.include.map(pattern => Utils.globToRegExp(pattern));
+        const unlisted = config.discover ? [] : ComponentDiscovery.findSync(rootPath, Object.keys(config.libraries))
+            .filter(directory => !patterns.some(pattern => pattern.test(directory)))
+            .filter(directory => !ComponentDiscovery._isListed(rootPath, config, directory));
+        const missing = Object.keys(config.component)
+            .map(name => ({ name, path : config.component[name].path }))
+            .filter(entry => !existsSync(path.join(rootPath, entry.path, Constant.COMPONENT_PKG_FILE)));
+        return { unlisted, missing };
+    }
+
+    static _isListed(rootPath, config, directory) {
+        const absolute = path.resolve(rootPath, directory);
+        return Object.keys(config.component).some(name => path.resolve(rootPath, config.component[name].path) === absolute);
+    }
+}
+
+class Environment {
+    /**
+     * @param {String} rootPath git root directory
+     * @param {{config: Object, env: Object}} options config object in place of the config file, environment variables
+     */
+    constructor(rootPath, { config, env = process.env } = {}) {
+        this.rootPath = rootPath;
+        this.config = config ? ConfigLoader.fromObject(config, rootPath, env) : ConfigLoader.load(rootPath, env);
+        this.components = null;
+        this.libraries = null;
+    }
+
+    get COMPONENT_DIRECTORIES() {
+        const config = this.COMPONENT_OPTIONS;
+        return Object.freeze(Object.keys(config).reduce((acc, name) => {
+            acc[name] = config[name].path;
+            return acc;
+        }, {}));
+    }
+
+    get COMPONENT_OPTIONS() {
+        // the `component` map first, then the components discovered, looked up once
+        if (this.components === null) {
+            this.components = Object.freeze(Object.assign(
+                {},
+                this.config.component,
+                ComponentDiscovery.discoverSync(this.rootPath, this.config),
+            ));
+        }
+        return this.components;
+    }
+
+    get LIBRARIES() {
+        if (this.libraries === null) {
+            const config = this.config.libraries;
+            this.libraries = Object.freeze(Object.keys(config).map(name => new Library(name, config[name])));
+        }
+        return this.libraries;
+    }
+
+    get RELEASE_CHANNEL() {
+        return this.config.channel;
+    }
+
+    get INSTALL_CONCURRENCY() {
+        return this.config.concurrency;
+    }
+
+    get INSTALL_RETRIES() {
+        return this.config.retries;
+    }
+
+    get CACHE_TTL() {
+        // seconds
+        return this.config.cacheTtl;
+    }
+
+    get POLICY_FAIL_ON() {
+        return this.config.failOn;
+    }
+
+    get BUMP_MESSAGE() {
+        return this.config.bump.message;
+    }
+}
+
+/**
+ * a git-hosted package released with version tags, such as kr-library
+ */
+class Library {
+    /**
+     * @param {String} name package name, the key of the dependency in package.json
+     * @param {{url: String, tagPattern: String, policies: Object}} options git url, tag name with a `{version}` placeholder,
+     *        version policy rules, see `ConfigLoader.normalizePolicies`
+     */
+    constructor(name, { url, tagPattern = Constant.DEFAULT_TAG_PATTERN, policies = {} }) {
+        this.name = name;
+        this.url = url;
+        this.tagPattern = tagPattern;
+        this.policies = policies;
+        const [before, after] = tagPattern.split('{version}').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        this.tagMatcher = new RegExp(`^${before}(.+)${after}$`);
+    }
+
+    /**
+     * `git+<url>#semver:`, the dependency without its range
+     */
+    get npmUrl() {
+        return `git+${this.url}#semver:`;
+    }
+
+    /**
+     * @param {String} version version
+     * @returns {String} tag name of the version
+     */
+    tagOf(version) {
+        return this.tagPattern.replace('{version}', version);
+    }
+
+    /**
+     * @param {String} tag tag name
+     * @returns {String} version, null when the tag does not follow the pattern
+     */
+    versionOf(tag) {
+        const match = tag.match(this.tagMatcher);
+        return match && semver.valid(match[1]) ? match[1] : null;
+    }
+}
+
+class Utils {
+    /**
+     * get root directory of current git repo
+     * @param {String} cwd directory inside the repo
+     * @returns {String} path
+     */
+    static getGitRootDirectorySync(cwd = process.cwd()) {
+        let rawPath = [];
+
+        try {
+            const cmd = execSync('git rev-parse --show-toplevel', { cwd, stdio : ['ignore', 'pipe', 'pipe'] });
+            rawPath = cmd.toString().split('\n')[0];
+        } catch (err) {
+            throw new GitError('Could not get root directory from git', err);
+        }
+
+        return path.resolve(rawPath);
+    }
+
+    /**
+     * get the root of the repo krlib manages, the nearest git root holding a krlib config,
+     * looking through the superprojects when run in a submodule
+     * @param {String} cwd directory inside the repo
+     * @returns {String} path, the nearest git root when none has a config
+     */
+    static findRootSync(cwd = process.cwd()) {
+        const rootPath = Utils.getGitRootDirectorySync(cwd);
+        for (let current = rootPath; current; current = Utils.getSuperprojectSync(current)) {
+            try {
+                ConfigLoader.find(current);
+                return current;
+            } catch (unused) { }
+        }
+        return rootPath;
+    }
+
+    /**
+     * @param {String} rootPath git root directory
+     * @returns {String} working tree of the superproject when the root is a submodule, null otherwise
+     */
+    static getSuperprojectSync(rootPath) {
+        try {
+            const cmd = execSync('git rev-parse --show-superproject-working-tree', { cwd : rootPath, stdio : ['ignore', 'pipe', 'pipe'] });
+            const superproject = cmd.toString().split('\n')[0];
+            return superproject ? path.resolve(superproject) : null;
+        } catch (unused) {
+            return null;
+        }
+    }
+
+    /**
+     * get a path inside the git directory, as resolved by git for worktrees and `core.hooksPath`
+     * @param {String} rootPath git root directory
+     * @param {String} name path relative to the git directory
+     * @returns {String} absolute path
+     */
+    static getGitPathSync(rootPath, name) {
+        try {
+            const cmd = execSync(`git rev-parse --git-path ${name}`, { cwd : rootPath, stdio : ['ignore', 'pipe', 'pipe'] });
+            return path.resolve(rootPath, cmd.toString().split('\n')[0]);
+        } catch (err) {
+            throw new GitError(`Could not get the path of ${name} from git`, err);
+        }
+    }
+
+    /**
+     * get the local and remote-tracking branches whose name matches one of the patterns
+     * @param {String} rootPath git root directory
+     * @param {String[]} patterns glob patterns over the branch names, such as `main`, `release/*` or `origin/**`
+     * @returns {{name: String, ref: String}[]} branches in the order of the patterns, such as `{name: 'origin/main', ref: 'refs/remotes/origin/main'}`
+     */
+    static async getBranchesAsync(rootPath, patterns) {
+        let refs = [];
+
+        try {
+            const cmd = await execFileAsync('git', ['for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/remotes'], { cwd : rootPath });
+            refs = cmd.stdout.split('\n').filter(ref => ref !== '' && !/^refs\/remotes\/[^/]+\/HEAD$/.test(ref));
+        } catch (err) {
+            throw new GitError('Could not list the branches from git', err);
+        }
+
+        const branches = refs.map(ref => ({ name : ref.replace(/^refs\/(heads|remotes)\//, ''), ref }));
+        return patterns.reduce((acc, pattern) => {
+            const matcher = Utils.globToRegExp(pattern);
+            return acc.concat(branches.filter(branch => matcher.test(branch.name) && !acc.includes(branch)));
+        }, []);
+    }
+
+    /**
+     * read a file as it is at a revision, without checking it out
+     * @param {String} rootPath git root directory
+     * @param {String} revision revision, such as a branch or ORIG_HEAD
+     * @param {String} file path relative to the root
+     * @returns {String} content, null when the file does not exist at the revision
+     */
+    static async readFileAtAsync(rootPath, revision, file) {
+        try {
+            const cmd = await execFileAsync('git', ['show', `${revision}:${file.split(path.sep).join('/')}`], { cwd : rootPath, maxBuffer : 16 * 1024 * 1024 });
+            return cmd.stdout;
+        } catch (unused) {
+            return null;
+        }
+    }
+
+    /**
+     * @param {String} rootPath git root directory
+     * @param {String} branch name of a branch to create
+     * @throws {UsageError} when the name is invalid or the branch exists
+     */
+    static async checkNewBranchAsync(rootPath, branch) {
+        try {
+            await execFileAsync('git', ['check-ref-format', '--branch', branch], { cwd : rootPath });
+        } catch (unused) {
+            throw new UsageError(`Invalid branch name: ${branch}`);
+        }
+        const exists = await execFileAsync('git', ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], { cwd : rootPath })
+            .then(() => true, () => false);
+        if (exists) {
+            throw new UsageError(`The branch ${branch} exists, pass another name`);
+        }
+    }
+
+    /**
+     * commit files, the other staged changes are left staged
+     * @param {String} rootPath git root directory
+     * @param {String[]} files paths relative to the root
+     * @param {String} message commit message
+     * @param {{branch: String}} options branch to create and switch to first, the changes move along with it
+     */
+    static async commitFilesAsync(rootPath, files, message, { branch = null } = {}) {
+        try {
+            if (branch) {
+                await execFileAsync('git', ['checkout', '-b', branch], { cwd : rootPath });
+            }
+            await execFileAsync('git', ['add', '--'].concat(files), { cwd : rootPath });
+            await execFileAsync('git', ['commit', '--quiet', '-m', message, '--'].concat(files), { cwd : rootPath });
+        } catch (err) {
+            throw new GitError(`Could not commit ${files.join(', ')}`, err);
+        }
+    }
+
+    /**
+     * @param {String} template commit message, `{versions}` is replaced with the libraries and versions pinned,
+     *        `{changes}` with a line per component such as `- web: kr-library 1.1.0 → 1.2.0`
+     * @param {{component: Component, from: String, to: String}[]} changes expected version of each component before and after
+     * @returns {String} commit message
+     */
+    static renderBumpMessage(template, changes) {
+        const versions = changes.map(({ component, to }) => `${component.library.name} ${to}`)
+            .filter((item, index, array) => array.indexOf(item) === index);
+        const lines = changes.map(({ component, from, to }) => `- ${component.componentName}: ${component.library.name} ${from} \u2192 ${to}`);
+        return template.replace(/\{versions\}/g, () => versions.join(', ')).replace(/\{changes\}/g, () => lines.join('\n'));
+    }
+
+    /**
+     * get user email of current git repo
+     * @returns {String} email
+     */
+    static async getGitUserAsync() {
+        let email = '';
+
+        try {
+            const cmd = await execAsync('git config user.email');
+            email = cmd.stdout.split('\n')[0];
+        } catch (unused) { }
+
+        return email;
+    }
+
+    /**
+     * get every remote of a repo, with its fetch and push urls
+     * @param {String} rootPath git root directory
+     * @returns {{name: String, url: String}[]} remotes, a remote pushing elsewhere is listed once per url
+     */
+    static async getRemotesAsync(rootPath) {
+        let lines = [];
+
+        try {
+            const cmd = await execFileAsync('git', ['remote', '-v'], { cwd : rootPath });
+            lines = cmd.stdout.split('\n');
+        } catch (err) {
+            throw new GitError('Could not get the remotes from git', err);
+        }
+
+        return lines
+            .map(line => line.match(/^(\S+)\s+(\S+)\s+\((?:fetch|push)\)$/))
+            .filter(match => match !== null)
+            .map(([, name, url]) => ({ name, url }))
+            .filter((remote, index, remotes) => remotes.findIndex(item => item.name === remote.name && item.url === remote.url) === index);
+    }
+
+    /**
+     * spell a git url the same way whatever its protocol, such as `github.com/gcleyser/web`
+     * for `git@github.com:gcleyser/web.git` and `https://user@github.com/gcleyser/web`
+     * @param {String} url git url
+     * @returns {String} host and path, lowercased, without user, port and `.git`
+     */
+    static normalizeGitUrl(url) {
+        return url.trim()
+            .replace(/^git\+/, '')
+            .replace(/^[a-z][a-z0-9+.-]*:\/\/([^@/]*@)?([^/:]*)(:\d*)?/i, '$2')
+            // scp-like syntax, `user@host:path`
+            .replace(/^([^@/:]*@)?([^/:]+):(?!\/)/, '$2/')
+            .replace(/\/+$/, '')
+            .replace(/\.git$/, '')
+            .toLowerCase();
+    }
+
+    /**
+     * @param {{name: String, url: String}[]} remotes remotes of the repo
+     * @param {String[]} patterns glob patterns over the normalized urls, see `Utils.globToRegExp`
+     * @returns {{name: String, url: String}} first remote matching a pattern, null if there is none
+     */
+    static matchRemote(remotes, patterns) {
+        const matchers = patterns.map(pattern => Utils.globToRegExp(Utils.normalizeGitUrl(pattern)));
+        return remotes.find(remote => matchers.some(matcher => matcher.test(Utils.normalizeGitUrl(remote.url)))) || null;
+    }
+
+    /**
+     * @param {{name: String, url: String}[]} remotes remotes of the repo
+     * @param {String[]} patterns patterns none of the remotes matches
+     * @returns {String} why the repo is not accepted
+     */
+    static describeRemoteMismatch(remotes, patterns) {
+        if (remotes.length === 0) {
+            return 'the repository has no remote';
+        }
+        return `none of ${remotes.map(remote => `${remote.name} ${Utils.normalizeGitUrl(remote.url)}`).join(', ')} matches ${patterns.join(', ')}`;
+    }
+
+    /**
+     * @param {Component[]} componentArray components
+     * @returns {Component[]} first component of each directory
+     */
+    static uniqueByPath(componentArray) {
+        return componentArray.filter((component, index) =>
+            componentArray.findIndex(item => item.componentPath === component.componentPath) === index);
+    }
+
+    /**
+     * get every released version of a library, prereleases included, with the commit its tag points to
+     * @param {Library} library library
+     * @returns {Map<String, String>} commit by version, newest first
+     */
+    static async getRemoteTagsAsync(library) {
+        const commits = new Map();
+
+        try {
+            const cmd = await execFileAsync('git', ['ls-remote', '--tags', library.url]);
+            // annotated tags are listed twice, the peeled `^{}` line holds the commit
+            cmd.stdout.split('\n').forEach((line) => {
+                const match = line.match(/^([0-9a-f]{40})\s+refs\/tags\/(\S+?)(\^\{\})?$/);
+                const version = match && library.versionOf(match[2]);
+                if (version && (match[3] || !commits.has(version))) {
+                    commits.set(version, match[1]);
+                }
+            });
+        } catch (err) {
+            throw new GitError(`Could not obtain latest version number of ${library.name} from remote git`, err);
+        }
+        if (commits.size === 0) {
+            throw new GitError(`Could not find any ${library.tagOf('<version>')} tag in ${library.url}`);
+        }
+
+        return new Map(Array.from(commits.keys()).sort(semver.rcompare).map((v) => [v, commits.get(v)]));
+    }
+
+    /**
+     * @param {Number} time timestamp in milliseconds
+     * @returns {String} how long ago, such as `3 hours ago`
+     */
+    static formatAge(time) {
+        const units = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+        const seconds = Math.max(0, Math.round((Date.now() - time) / 1000));
+        const [unit, size] = units.find(([, length]) => seconds >= length) || units[units.length - 1];
+        const count = Math.floor(seconds / size);
+        return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+    }
+
+    /**
+     * read a JSON file without the require cache, which keeps files rewritten during the run stale
+     * @param {String} file path
+     * @returns {Object} content, null when the file does not exist
+     */
+    static readJsonSync(file) {
+        if (!existsSync(file)) {
+            return null;
+        }
+        try {
+            return JSON.parse(readFileSync(file, 'utf8'));
+        } catch (err) {
+            throw new KrlibError(`Could not load ${file}, please make the file valid`, err);
+        }
+    }
+
+    /**
+     * stringify a value the way npm writes package.json, keeping the indentation and line endings of the text it was read from
+     * @param {Object} value value to write
+     * @param {String} text JSON text the value was read from
+     * @returns {String} JSON text
+     */
+    static formatJsonLike(value, text) {
+        // a minified file stays minified, without a trailing newline
+        const [, newline, indent] = text.match(/^\s*[{[]((?:\r?\n)+)([ \t]*)/) || [null, '', ''];
+        return `${JSON.stringify(value, null, indent)}\n`.replace(/\n/g, newline);
+    }
+
+    /**
+     * @param {String} before text before the change
+     * @param {String} after text after the change
+     * @param {String} file path shown in the header
+     * @param {Number} context unchanged lines around each change
+     * @returns {String} unified diff, empty when the texts are the same
+     */
+    static unifiedDiff(before, after, file, context = 3) {
+        if (before === after) {
+            return '';
+        }
+        // the marker makes a last line without newline differ from the same line with one, and is printed after it
+        const linesOf = (text) => text.replace(/\n$/, '').split('\n')
+            .map((line, index, lines) => index === lines.length - 1 && !text.endsWith('\n') ? `${line}\n\\ No newline at end of file` : line);
+        const a = before === '' ? [] : linesOf(before);
+        const b = after === '' ? [] : linesOf(after);
+        // longest common subsequence of the lines, files diffed are small
+        const lcs = Array.from({ length : a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                ops.push({ type : ' ', text : a[i], i : i++, j : j++ });
+            } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                ops.push({ type : '-', text : a[i], i : i++, j });
+            } else {
+                ops.push({ type : '+', text : b[j], i, j : j++ });
+            }
+        }
+
+        const changes = ops.map((op, index) => op.type === ' ' ? -1 : index).filter(index => index >= 0);
+        const hunks = [];
+        changes.forEach(index => {
+            const last = hunks[hunks.length - 1];
+            if (last && index - last.end <= context * 2) {
+                last.end = index;
+            } else {
+                hunks.push({ start : index, end : index });
+            }
+        });
+        const lines = [`--- a/${file}`, `+++ b/${file}`];
+        hunks.forEach(({ start, end }) => {
+            const slice = ops.slice(Math.max(0, start - context), Math.min(ops.length, end + context + 1));
+            const oldCount = slice.filter(op => op.type !== '+').length;
+            const newCount = slice.filter(op => op.type !== '-').length;
+            const oldStart = oldCount === 0 ? slice[0].i : slice[0].i + 1;
+            const newStart = newCount === 0 ? slice[0].j : slice[0].j + 1;
+            lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+            slice.forEach(op => lines.push(`${op.type}${op.text}`));
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * get the commit hash out of a `git+<url>#<commit>` spec
+     * @param {String} resolved resolved spec
+     * @returns {String} commit, null if there is none
+     */
+    static getResolvedCommit(resolved) {
+        const match = /#([0-9a-f]{40})$/.exec(resolved || '');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * get the versions released on a channel
+     * @param {String[]} versions available versions
+     * @param {String} channel stable, rc or beta
+     * @returns {String[]} versions, oldest first
+     */
+    static getVersionsOnChannel(versions, channel = 'stable') {
+        const identifiers = Constant.RELEASE_CHANNELS[channel];
+        return versions.filter((v) => {
+            const prerelease = semver.prerelease(v);
+            return prerelease === null || identifiers.includes(String(prerelease[0]));
+        }).sort(semver.compare);
+    }
+
+    /**
+     * get the newest version released on a channel
+     * @param {String[]} versions available versions
+     * @param {String} channel stable, rc or beta
+     * @returns {String} version, null if there is none
+     */
+    static getLatestVersion(versions, channel = 'stable') {
+        return Utils.getVersionsOnChannel(versions, channel).pop() || null;
+    }
+
+    /**
+     * get version of the running krlib, read from the package.json next to this file
+     * @returns {String} version
+     */
+    static getCliVersion() {
+        let version;
+        try {
+            // not `require`, which would keep returning the version before a self-update
+            version = Utils.readJsonSync(path.join(__dirname, Constant.COMPONENT_PKG_FILE)).version;
+        } catch (err) {
+            throw new KrlibError('Failed to detect the version of krlib', err);
+        }
+        return version;
+    }
+
+    /**
+     * get version of a package manager
+     * @param {String} packageManager npm, yarn or pnpm
+     * @returns {String} version
+     */
+    static async getPackageManagerVersionAsync(packageManager = 'npm') {
+        let version = '';
+
+        try {
+            const cmd = await execAsync(`${packageManager} --version`);
+            version = cmd.stdout.split('\n')[0].trim();
+        } catch (err) {
+            throw new KrlibError(`Could not get ${packageManager} version, please make sure ${packageManager} has been installed`, err);
+        }
+
+        return version;
+    }
+
+    /**
+     * package manager a component is installed with, from its lockfile
+     * @param {String} componentPath component directory
+     * @returns {String} npm, yarn or pnpm, npm when the component has no lockfile
+     */
+    static detectPackageManager(componentPath) {
+        const managers = Constant.PACKAGE_MANAGERS;
+        return Object.keys(managers).find(name =>
+            managers[name].lockFiles.some(file => existsSync(path.join(componentPath, file)))) || 'npm';
+    }
+
+    /**
+     * turn a glob pattern over directories into a regular expression
+     * `*` matches within a directory name, `**` across directories, `?` a single character
+     * @param {String} pattern pattern such as `packages/*` or `apps/**`
+     * @returns {RegExp} regular expression matching the relative directory
+     */
+    static globToRegExp(pattern) {
+        const glob = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+        let source = '';
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+            if (char === '*' && glob[i + 1] === '*') {
+                i++;
+                if (glob[i + 1] === '/') {
+                    i++;
+                    source += '(?:.*/)?';
+                } else {
+                    source += '.*';
+                }
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+        return new RegExp(`^${source}$`);
+    }
+
+    /**
+     * every match of a global regular expression, `String.prototype.matchAll` needs node 12
+     * @param {RegExp} pattern pattern with the `g` flag
+     * @param {String} text text to search
+     * @returns {Array[]} matches, with their `index`
+     */
+    static matchAll(pattern, text) {
+        const matches = [];
+        const regExp = new RegExp(pattern.source, pattern.flags);
+        let match;
+        while ((match = regExp.exec(text)) !== null) {
+            matches.push(match);
+            if (match[0] === '') {
+                regExp.lastIndex++;
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * @param {String} text javascript source
+     * @param {{strings: Boolean}} options true to blank out the text of the strings too, their quotes are kept
+     * @returns {String} source with the comments blanked out, lines and indexes kept
+     */
+    static blankComments(text, { strings = false } = {}) {
+        // a template literal may span lines
+        return text.replace(/`(?:\\.|[^\\`])*`|(['"])(?:\\.|(?!\1)[^\\\n])*\1|\/\*[^]*?\*\/|\/\/[^\n]*/g, (match) => {
+            if (match.startsWith('/')) {
+                return match.replace(/[^\n]/g, ' ');
+            }
+            return strings ? match.charAt(0) + match.slice(1, -1).replace(/[^\n]/g, ' ') + match.charAt(0) : match;
+        });
+    }
+
+    /**
+     * levenshtein distance, used to suggest the intended name for a typo
+     * @param {String} source string
+     * @param {String} target string
+     * @returns {Number} distance
+     */
+    static editDistance(source, target) {
+        let previous = Array.from({ length : target.length + 1 }, (unused, idx) => idx);
+        for (let i = 1; i <= source.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= target.length; j++) {
+                const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        return previous[target.length];
+    }
+
+    static loggerSuccess(message) {
+        Utils.logger.write('success', message);
+    }
+
+    static loggerError(message) {
+        Utils.logger.write('error', message);
+    }
+
+    static loggerDanger(message) {
+        Utils.logger.write('danger', message);
+    }
+
+    static loggerWarning(message) {
+        Utils.logger.write('warning', message);
+    }
+
+    static loggerInfo(message) {
+        Utils.logger.write('info', message);
+    }
+
+    /**
+     * a detail only shown with --verbose
+     * @param {String} message message
+     */
+    static loggerDebug(message) {
+        Utils.logger.write('debug', message);
+    }
+
+    /**
+     * a question to the user, shown even with --quiet
+     * @param {String} message message
+     */
+    static loggerPrompt(message) {
+        Utils.logger.write('prompt', message);
+    }
+
+    /**
+     * write a report to stdout, regardless of `silent`
+     * @param {String} content report content
+     */
+    static output(content) {
+        Utils.logger.write('output', content);
+    }
+}
+
+/**
+ * writes the messages of krlib by level, colored on a terminal without NO_COLOR,
+ * and a timestamped transcript of everything to the log file when there is one
+ */
+class Logger {
+    /**
+     * @param {{stdout: WriteStream, stderr: WriteStream, env: Object}} options streams written to, environment variables
+     */
+    constructor({ stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+        this.stdout = stdout;
+        this.stderr = stderr;
+        this.level = 'normal';
+        // set when stdout is reserved for machine readable output
+        this.silent = false;
+        this.file = null;
+        this.colors = new Map([stdout, stderr].map(stream => [stream, Logger.supportsColor(stream, env)]));
+    }
+
+    static get LEVELS() {
+        return Object.freeze(['quiet', 'normal', 'verbose']);
+    }
+
+    static get KINDS() {
+        // least level showing the kind, color, stream
+        return Object.freeze({
+            debug : { level : 'verbose', color : 90 },
+            info : { level : 'normal', color : null },
+            success : { level : 'normal', color : 32 },
+            warning : { level : 'quiet', color : 33 },
+            danger : { level : 'quiet', color : 31 },
+            error : { level : 'quiet', color : 31, stderr : true },
+            prompt : { level : 'quiet', color : null },
+            output : { level : 'quiet', color : null, report : true },
+        });
+    }
+
+    /**
+     * see https://no-color.org
+     * @param {WriteStream} stream stream written to
+     * @param {Object} env environment variables
+     * @returns {Boolean} whether the stream is a terminal showing colors
+     */
+    static supportsColor(stream, env) {
+        if (env.NO_COLOR !== undefined && env.NO_COLOR !== '') {
+            return false;
+        }
+        return Boolean(stream.isTTY) && env.TERM !== 'dumb';
+    }
+
+    /**
+     * append the transcript of this run to a file
+     * @param {String} file log file
+     * @param {String} header first line of the transcript, such as the command line
+     */
+    openFile(file, header) {
+        mkdirSync(path.dirname(file), { recursive : true });
+        this.file = file;
+        this.record('run', header);
+    }
+
+    /**
+     * write a line to the log file only
+     * @param {String} kind kind of the line, such as input for an answer
+     * @param {String} message message
+     */
+    record(kind, message) {
+        if (this.file === null) {
+            return;
+        }
+        const time = new Date().toISOString();
+        const lines = String(message).replace(/\x1b\[[0-9;]*[A-Za-z]/g, '').split('\n');
+        appendFileSync(this.file, lines.map(line => `${time} ${kind.padEnd(7, '\u0020')} ${line}`.trimRight()).join('\n') + '\n');
+    }
+
+    /**
+     * @param {String} kind debug, info, success, warning, danger, error, prompt or output
+     * @param {String} message message
+     */
+    write(kind, message) {
+        const { level, color, stderr, report } = Logger.KINDS[kind];
+        this.record(kind, message);
+        if ((this.silent && !stderr && !report) || Logger.LEVELS.indexOf(this.level) < Logger.LEVELS.indexOf(level)) {
+            return;
+        }
+        const stream = stderr ? this.stderr : this.stdout;
+        const colored = color !== null && this.colors.get(stream);
+        stream.write(colored ? `\x1b[${color}m${message}\x1b[0m\n` : `${message}\n`);
+    }
+}
+
+Utils.logger = new Logger();
+
+/**
+ * remote tags of a library repository, kept in the cache directory
+ */
+class TagCache {
+    /**
+     * @param {Library} library library whose tags are cached
+     * @param {String} cacheDirectory cache directory
+     */
+    constructor(library, cacheDirectory = Constant.CACHE_DIRECTORY) {
+        const hash = crypto.createHash('sha1').update(`${library.url} ${library.tagPattern}`).digest('hex').slice(0, 12);
+        this.url = library.url;
+        this.file = path.join(cacheDirectory, 'tags', `${hash}.json`);
+    }
+
+    /**
+     * @returns {{tags: Map<String, String>, fetchedAt: Number}} cached tags, null if there are none
+     */
+    read() {
+        let cached = null;
+        try {
+            cached = Utils.readJsonSync(this.file);
+        } catch (unused) { }
+        if (!cached || cached.url !== this.url || !Array.isArray(cached.tags)) {
+            return null;
+        }
+        return { tags : new Map(cached.tags), fetchedAt : cached.fetchedAt };
+    }
+
+    write(tags) {
+        mkdirSync(path.dirname(this.file), { recursive : true });
+        writeFileSync(this.file, JSON.stringify({ url : this.url, fetchedAt : Date.now(), tags : Array.from(tags) }));
+    }
+
+    /**
+     * @param {{fetchedAt: Number}} cached result of `read`
+     * @param {Number} ttl seconds the cache stays fresh
+     * @returns {Boolean} fresh
+     */
+    static isFresh(cached, ttl) {
+        return Date.now() - cached.fetchedAt < ttl * 1000;
+    }
+}
+
+/**
+ * local bare clone of a library repository, kept in the cache directory
+ */
+class LibraryRepository {
+    /**
+     * @param {Library} library library
+     * @param {{cacheDirectory: String, offline: Boolean, events: EventEmitter}} options
+     *        offline uses the clone as it is, without fetching, warnings are emitted as `log` events
+     */
+    constructor(library, { cacheDirectory = Constant.CACHE_DIRECTORY, offline = false, events = new EventEmitter() } = {}) {
+        const url = library.url;
+        const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 12);
+        this.library = library;
+        this.url = url;
+        this.gitDir = path.join(cacheDirectory, 'repositories', `${hash}.git`);
+        this.synced = false;
+        this.offline = offline;
+        this.events = events;
+    }
+
+    async _gitAsync(args) {
+        const cmd = await execFileAsync('git', [`--git-dir=${this.gitDir}`].concat(args), { maxBuffer : 64 * 1024 * 1024 });
+        return cmd.stdout;
+    }
+
+    /**
+     * clone the repository on first use, fetch it afterwards
+     */
+    async syncAsync() {
+        if (this.synced) {
+            return;
+        }
+        if (this.offline && !existsSync(this.gitDir)) {
+            throw new GitError(`${this.url} has never been fetched, it is not available offline`);
+        }
+        try {
+            if (!existsSync(this.gitDir)) {
+                mkdirSync(path.dirname(this.gitDir), { recursive : true });
+                await execFileAsync('git', ['clone', '--quiet', '--bare', this.url, this.gitDir]);
+            } else if (!this.offline) {
+                try {
+                    await this._gitAsync(['fetch', '--quiet', '--prune', '--force', this.url, '+refs/tags/*:refs/tags/*']);
+                } catch (err) {
+                    this.events.emit('log', {
+                        level : 'warning',
+                        message : `Could not fetch ${this.url}, using the copy fetched before: ${err.message.split('\n')[0]}`,
+                    });
+                }
+            }
+        } catch (err) {
+            throw new GitError(`Could not fetch ${this.url} into ${this.gitDir}`, err);
+        }
+        this.synced = true;
+    }
+
+    /**
+     * @returns {String[]} versions of the tags following the tag pattern, oldest first
+     */
+    async getVersionsAsync() {
+        await this.syncAsync();
+        const stdout = await this._gitAsync(['tag', '--list']);
+        return stdout.split('\n')
+            .map(tag => this.library.versionOf(tag))
+            .filter(version => version !== null)
+            .sort(semver.compare);
+    }
+
+    /**
+     * commits and annotated-tag messages of every version after `from`, up to and including `to`
+     * @param {String} from version to start after
+     * @param {String} to version to end with
+     * @returns {{version: String, message: String, breaking: Boolean, commits: Object[]}[]} changes per version, oldest first
+     */
+    async getChangelogAsync(from, to) {
+        const versions = await this.getVersionsAsync();
+        const missing = [from, to].find(version => !versions.includes(version));
+        if (missing) {
+            throw new VersionError(`The ${this.library.name} has no release ${missing}`);
+        }
+
+        const releases = versions.filter(version => semver.gt(version, from) && semver.lte(version, to));
+        let previous = from;
+        const changelog = [];
+        for (const version of releases) {
+            const commits = await this._getCommitsAsync(this.library.tagOf(previous), this.library.tagOf(version));
+            const message = await this._getTagMessageAsync(this.library.tagOf(version));
+            changelog.push({
+                version,
+                message,
+                commits,
+                breaking : Constant.BREAKING_CHANGE.test(message) || commits.some(commit => commit.breaking),
+            });
+            previous = version;
+        }
+        return changelog;
+    }
+
+    /**
+     * @param {String} version version
+     * @returns {Map<String, String>} blob by file path, of the tree of the tag of the version
+     */
+    async getFilesAsync(version) {
+        await this.syncAsync();
+        let stdout = '';
+        try {
+            stdout = await this._gitAsync(['ls-tree', '-r', '-z', this.library.tagOf(version)]);
+        } catch (err) {
+            throw new VersionError(`The ${this.library.name} has no release ${version}`);
+        }
+        return new Map(stdout.split('\0')
+            .filter(entry => entry !== '')
+            .map(entry => entry.split('\t'))
+            .filter(([info]) => info.split(' ')[1] === 'blob')
+            .map(([info, file]) => [file, info.split(' ')[2]]));
+    }
+
+    /**
+     * @param {String} version version
+     * @param {String} file path in the repository
+     * @returns {String} content of the file at the tag of the version, null when it has no such file
+     */
+    async readFileAsync(version, file) {
+        try {
+            return await this._gitAsync(['show', `${this.library.tagOf(version)}:${file}`]);
+        } catch (unused) {
+            return null;
+        }
+    }
+
+    async _getCommitsAsync(fromRef, toRef) {
+        const stdout = await this._gitAsync(['log', '--format=%h%x1f%s%x1f%b%x1e', `${fromRef}..${toRef}`]);
+        return stdout.split('\x1e')
+            .map(record => record.trim())
+            .filter(record => record)
+            .map(record => {
+                const [hash, subject, body] = record.split('\x1f');
+                return {
+                    hash,
+                    subject,
+                    body : (body || '').trim(),
+                    breaking : Constant.BREAKING_CHANGE.test(subject) || Constant.BREAKING_CHANGE.test(body || ''),
+                };
+            });
+    }
+
+    async _getTagMessageAsync(tag) {
+        // lightweight tags point at a commit and carry no message of their own,
+        // for-each-ref has no %x1f placeholder so the separator is passed as is
+        const stdout = await this._gitAsync(['for-each-ref', '--format=%(objecttype)\x1f%(contents)', `refs/tags/${tag}`]);
+        const [type, contents] = stdout.split('\x1f');
+        return type === 'tag' ? (contents || '').trim() : '';
+    }
+}
+
+/**
+ * files and entry points a library publishes at a version, read from its tag in the clone without checking it out
+ */
+class LibrarySurface {
+    /**
+     * @param {LibraryRepository} repository clone of the library
+     * @param {String} version version
+     * @param {Map<String, String>} files blob by published file, relative to the package root
+     * @param {Object} pkg package.json of the version
+     */
+    constructor(repository, version, files, pkg) {
+        this.repository = repository;
+        this.version = version;
+        this.files = files;
+        this.pkg = pkg;
+        this.exportsByFile = new Map();
+    }
+
+    /**
+     * @param {LibraryRepository} repository clone of the library
+     * @param {String} version version
+     * @returns {LibrarySurface} surface of the tag of the version
+     */
+    static async readAsync(repository, version) {
+        const files = await repository.getFilesAsync(version);
+        let pkg = null;
+        try {
+            pkg = JSON.parse(await repository.readFileAsync(version, Constant.COMPONENT_PKG_FILE));
+        } catch (unused) { }
+        pkg = pkg || {};
+        return new LibrarySurface(repository, version, LibrarySurface.publishedFiles(files, pkg), pkg);
+    }
+
+    /**
+     * files npm packs out of a tree, narrowed down by the `files` of package.json, `.npmignore` is not read
+     * @param {Map<String, String>} files blob by file path
+     * @param {Object} pkg package.json
+     * @returns {Map<String, String>} blob by published file path
+     */
+    static publishedFiles(files, pkg) {
+        if (!Array.isArray(pkg.files)) {
+            return files;
+        }
+        const patterns = pkg.files.map(entry => Utils.globToRegExp(String(entry)));
+        const main = path.posix.normalize(pkg.main || 'index.js');
+        // a listed directory packs everything below it, package.json, the readme, the license and main always go along
+        const listed = (file) => file.split('/').some((unused, idx, parts) => patterns.some(pattern => pattern.test(parts.slice(0, idx + 1).join('/'))));
+        return new Map(Array.from(files).filter(([file]) =>
+            /^(package\.json|readme|licen[cs]e)(\.[^/]*)?$/i.test(file) || file === main || listed(file)));
+    }
+
+    /**
+     * @param {String} subpath path imported after the package name, empty for the package itself
+     * @returns {String} published file the import resolves to, null when the version cannot be imported that way
+     */
+    resolve(subpath) {
+        const { exports } = this.pkg;
+        if (exports !== undefined && exports !== null) {
+            const target = LibrarySurface._exportTarget(exports, subpath ? `./${subpath}` : '.');
+            return target && path.posix.normalize(target);
+        }
+        return this._resolveFile(subpath || this.pkg.main || 'index.js');
+    }
+
+    _resolveFile(file) {
+        const base = path.posix.normalize(file).replace(/\/$/, '');
+        const candidates = [base].concat(Constant.SOURCE_EXTENSIONS.concat('.json').map(ext => base + ext))
+            .concat(Constant.SOURCE_EXTENSIONS.map(ext => `${base}/index${ext}`));
+        return candidates.find(candidate => this.files.has(candidate)) || null;
+    }
+
+    static _exportTarget(exports, key) {
+        // a string, an array or conditions only export the package itself
+        const subpaths = typeof exports === 'object' && !Array.isArray(exports) && Object.keys(exports).some(name => name.startsWith('.'));
+        const map = subpaths ? exports : { '.' : exports };
+        if (Object.prototype.hasOwnProperty.call(map, key)) {
+            return LibrarySurface._pickTarget(map[key]);
+        }
+        const pattern = Object.keys(map).find(name => {
+            const [before, after] = name.split('*');
+            return name.includes('*') && key.length >= before.length + after.length && key.startsWith(before) && key.endsWith(after);
+        });
+        if (!pattern) {
+            return null;
+        }
+        const [before, after] = pattern.split('*');
+        const target = LibrarySurface._pickTarget(map[pattern]);
+        return target && target.split('*').join(key.slice(before.length, key.length - after.length));
+    }
+
+    static _pickTarget(value) {
+        // the first file of the conditions or alternatives, whichever the bundler would pick, types left out
+        if (typeof value === 'string') {
+            return value;
+        }
+        const values = Array.isArray(value) ? value : Object.keys(value || {})
+            .filter(condition => condition !== 'types' && condition !== 'typings')
+            .map(condition => value[condition]);
+        for (const item of values) {
+            const target = LibrarySurface._pickTarget(item);
+            if (target) {
+                return target;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * names a published file exports, read from its source, `export * from` followed through the package
+     * @param {String} file published file
+     * @param {Set<String>} seen files already followed
+     * @returns {Set<String>} names, `default` included, null when they cannot be told from the source
+     */
+    async getExportsAsync(file, seen = new Set()) {
+        if (seen.has(file)) {
+            return new Set();
+        }
+        seen.add(file);
+        if (!this.exportsByFile.has(file)) {
+            this.exportsByFile.set(file, this._readExportsAsync(file, seen));
+        }
+        return this.exportsByFile.get(file);
+    }
+
+    async _readExportsAsync(file, seen) {
+        const source = file.endsWith('.json') ? null : await this.repository.readFileAsync(this.version, file);
+        if (source === null) {
+            return null;
+        }
+        const text = Utils.blankComments(source);
+        // an export written inside a string is none
+        const code = Utils.blankComments(source, { strings : true });
+        const names = new Set();
+        const matches = (pattern) => Utils.matchAll(pattern, text).filter(match => code.charAt(match.index) === text.charAt(match.index));
+
+        matches(/\bexport\s+(?:declare\s+)?(?:async\s+)?(?:const|let|var|function\s*\*?|class|enum|interface|type)\s+([\w$]+)/g)
+            .forEach(match => names.add(match[1]));
+        matches(/\bexport\s+default\b/g).forEach(() => names.add('default'));
+        matches(/\bexport\s*\{([^}]*)\}/g).forEach(match => ImpactAnalyzer.parseNames(match[1], /\s+as\s+/, 1).forEach(name => names.add(name)));
+        matches(/\bexport\s*\*\s*as\s+([\w$]+)/g).forEach(match => names.add(match[1]));
+        for (const match of matches(/\bexport\s*\*\s*from\s*(['"])([^'"\n]+)\1/g)) {
+            const target = match[2].startsWith('.') && this._resolveFile(path.posix.join(path.posix.dirname(file), match[2]));
+            const nested = target ? await this.getExportsAsync(target, seen) : null;
+            if (!nested) {
+                // re-exported from another package, or from a file not published
+                return null;
+            }
+            nested.forEach(name => name !== 'default' && names.add(name));
+        }
+
+        // commonjs, its default import is `module.exports`
+        const properties = matches(/\b(?:module\.)?exports\.([\w$]+)\s*=[^=]/g).map(match => match[1])
+            .concat(matches(/\bObject\.defineProperty\(\s*(?:module\.)?exports\s*,\s*(['"])([\w$]+)\1/g).map(match => match[2]));
+        const assigned = text.match(/\bmodule\.exports\s*=\s*(\{)?/);
+        if (assigned && !assigned[1]) {
+            // a function or class, its properties cannot be told
+            return null;
+        }
+        if (assigned) {
+            const keys = ImpactAnalyzer.parseObjectKeys(text, assigned.index + assigned[0].length - 1);
+            if (keys === null) {
+                return null;
+            }
+            keys.forEach(key => properties.push(key));
+        }
+        if (assigned || properties.length > 0) {
+            names.add('default');
+        }
+        properties.filter(name => name !== '__esModule').forEach(name => names.add(name));
+        return names.size > 0 ? names : null;
+    }
+
+    /**
+     * a published file of this version with the content of a file of another version, when it moved
+     * @param {String} file file of the other version
+     * @param {LibrarySurface} other surface of the other version
+     * @returns {String} file, null when it did not move or moved more than once
+     */
+    findMoved(file, other) {
+        const blob = other.files.get(file);
+        const moved = Array.from(this.files).filter(([name, content]) => content === blob && !other.files.has(name));
+        return moved.length === 1 ? moved[0][0] : null;
+    }
+}
+
+/**
+ * imports and requires of a library in the sources of a component, and those a version of the library breaks
+ */
+class ImpactAnalyzer {
+    /**
+     * @param {String} componentPath component directory
+     * @param {String} libraryName package name
+     * @returns {{file: String, line: Number, specifier: String, subpath: String, symbols: String[]}[]} imports of the library,
+     *          see `parseImports`, file relative to the component
+     */
+    static findUsagesSync(componentPath, libraryName) {
+        return ImpactAnalyzer._listSourcesSync(componentPath).reduce((acc, file) => {
+            const text = readFileSync(path.join(componentPath, file), 'utf8');
+            return acc.concat(ImpactAnalyzer.parseImports(text, libraryName).map(usage => Object.assign({ file }, usage)));
+        }, []);
+    }
+
+    static _listSourcesSync(componentPath) {
+        let files = [];
+
+        try {
+            const cmd = execSync('git ls-files -z --cached --others --exclude-standard', {
+                cwd : componentPath,
+                maxBuffer : 64 * 1024 * 1024,
+                stdio : ['ignore', 'pipe', 'pipe'],
+            });
+            files = cmd.toString().split('\0').filter(file => file !== '');
+        } catch (err) {
+            throw new GitError(`Could not list the files of ${componentPath}`, err);
+        }
+
+        // the packages nested in the component have imports of their own
+        const nested = files.filter(file => path.posix.basename(file) === Constant.COMPONENT_PKG_FILE && file !== Constant.COMPONENT_PKG_FILE)
+            .map(file => `${path.posix.dirname(file)}/`);
+        return files
+            .filter(file => Constant.SOURCE_EXTENSIONS.includes(path.posix.extname(file)))
+            .filter(file => !file.split('/').includes('node_modules') && !nested.some(directory => file.startsWith(directory)))
+            .filter(file => existsSync(path.join(componentPath, file)));
+    }
+
+    /**
+     * @param {String} text source
+     * @param {String} libraryName package name
+     * @returns {{line: Number, specifier: String, subpath: String, symbols: String[]}[]} imports of the library, with the path
+     *          after the package name and the names imported, `default` for a default import, none for a namespace or side effect
+     */
+    static parseImports(text, libraryName) {
+        const source = Utils.blankComments(text);
+        // an import written inside a string is none
+        const code = Utils.blankComments(text, { strings : true });
+        const found = [];
+        const add = (index, specifier, symbols) => {
+            if (code.charAt(index) === source.charAt(index) && (specifier === libraryName || specifier.startsWith(`${libraryName}/`))) {
+                const line = source.slice(0, index).split('\n').length;
+                found.push({ line, specifier, subpath : specifier.slice(libraryName.length + 1), symbols });
+            }
+        };
+
+        for (const match of Utils.matchAll(/\b(import|export)\s+(?:type\s+)?((?:[\w$]+\s*,?\s*)?(?:\{[^}]*\}|\*(?:\s*as\s+[\w$]+)?)?)\s*from\s*(['"])([^'"\n]+)\3/g, source)) {
+            const [, keyword, clause, , specifier] = match;
+            const braces = clause.match(/\{([^}]*)\}/);
+            const symbols = braces ? ImpactAnalyzer.parseNames(braces[1], /\s+as\s+/, 0) : [];
+            add(match.index, specifier, keyword === 'import' && /^[\w$]/.test(clause) ? ['default'].concat(symbols) : symbols);
+        }
+        for (const match of Utils.matchAll(/\bimport\s*(?:\(\s*)?(['"])([^'"\n]+)\1/g, source)) {
+            add(match.index, match[2], []);
+        }
+        for (const match of Utils.matchAll(/(?:\b(?:const|let|var)\s+(\{[^}]*\}|[\w$]+)\s*=\s*)?\brequire\s*\(\s*(['"])([^'"\n]+)\2\s*\)(?:\.([\w$]+))?/g, source)) {
+            const [, binding, , specifier, property] = match;
+            const symbols = property ? [property] : binding && binding.startsWith('{') ? ImpactAnalyzer.parseNames(binding.slice(1, -1), ':', 0) : [];
+            add(match.index, specifier, symbols);
+        }
+        return found.sort((a, b) => a.line - b.line);
+    }
+
+    /**
+     * @param {String} list names between braces, such as `a, b as c, type d`
+     * @param {RegExp|String} separator between a name and its alias
+     * @param {Number} side 0 for the names, 1 for the aliases
+     * @returns {String[]} names
+     */
+    static parseNames(list, separator, side) {
+        return list.split(',')
+            .map(item => item.trim().replace(/^type\s+/, '').split(separator))
+            .map(parts => (parts[side] || parts[0]).trim())
+            .filter(name => /^[\w$]+$/.test(name));
+    }
+
+    /**
+     * @param {String} text source
+     * @param {Number} start index of the opening brace of an object literal
+     * @returns {String[]} its keys, null when they cannot be told, such as with a spread
+     */
+    static parseObjectKeys(text, start) {
+        const entries = [];
+        let depth = 0;
+        let entry = '';
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if ('{[('.includes(char)) {
+                depth++;
+            } else if ('}])'.includes(char)) {
+                depth--;
+            }
+            if (depth === 0) {
+                entries.push(entry);
+                break;
+            }
+            if (depth === 1 && char === ',') {
+                entries.push(entry);
+                entry = '';
+            } else if (i > start) {
+                entry += char;
+            }
+        }
+        const keys = entries.map(item => item.trim()).filter(item => item !== '')
+            .map(item => item.match(/^(?:(?:async|get|set)\s+)?\*?\s*(['"]?)([\w$]+)\1\s*(?:[:(,]|$)/));
+        return keys.some(key => key === null) ? null : keys.map(key => key[2]);
+    }
+
+    /**
+     * imports a version of the library breaks
+     * @param {Object[]} usages imports of the library, see `findUsagesSync`
+     * @param {LibrarySurface} before surface of the installed version
+     * @param {LibrarySurface} after surface of the target version
+     * @returns {{file: String, line: Number, specifier: String, symbol: String, status: String, replacement: String}[]} symbol
+     *          is null when the whole path is gone, status is removed or renamed, replacement the new path or name of a rename
+     */
+    static async analyzeAsync(usages, before, after) {
+        const impacts = [];
+        const libraryName = before.repository.library.name;
+        for (const usage of usages) {
+            const from = before.resolve(usage.subpath);
+            if (from === null) {
+                // it did not resolve before either
+                continue;
+            }
+            const to = after.resolve(usage.subpath);
+            const base = { file : usage.file, line : usage.line, specifier : usage.specifier };
+            // the exports map may still list a file which is gone
+            if (to === null || (before.files.has(from) && !after.files.has(to))) {
+                const moved = after.findMoved(from, before);
+                const subpath = moved && (path.posix.extname(usage.subpath) ? moved : moved.replace(/(\/index)?\.\w+$/, ''));
+                const replacement = subpath && after.resolve(subpath) === moved ? `${libraryName}/${subpath}` : null;
+                impacts.push(Object.assign(base, { symbol : null, status : replacement ? 'renamed' : 'removed', replacement }));
+                continue;
+            }
+            const had = await before.getExportsAsync(from);
+            const has = await after.getExportsAsync(to);
+            if (!had || !has) {
+                continue;
+            }
+            const added = Array.from(has).filter(name => !had.has(name));
+            usage.symbols.filter(symbol => had.has(symbol) && !has.has(symbol)).forEach(symbol => {
+                const replacement = ImpactAnalyzer._closest(symbol, added);
+                impacts.push(Object.assign({}, base, { symbol, status : replacement ? 'renamed' : 'removed', replacement }));
+            });
+        }
+        return impacts;
+    }
+
+    static _closest(name, candidates) {
+        // a rename keeps most of the name or adds to it, such as getUser to fetchUser or formatDate to formatDateTime
+        const limit = Math.max(2, Math.floor(name.length / 3));
+        const ranked = candidates.map(candidate => ({ candidate, distance : Utils.editDistance(name, candidate) }))
+            .filter(item => item.distance <= limit || item.candidate.includes(name) || name.includes(item.candidate))
+            .sort((a, b) => a.distance - b.distance);
+        return ranked.length > 0 ? ranked[0].candidate : null;
+    }
+}
+
+/**
+ * git hooks running krlib, any hook found in their place is kept and run first
+ */
+class GitHooks {
+    static get NAMES() {
+        return Object.freeze(['pre-commit', 'pre-push', 'post-merge', 'post-checkout']);
+    }
+
+    static get MARKER() {
+        return '# installed by `krlib hooks install`';
+    }
+
+    static get CHAINED_SUFFIX() {
+        return '.krlib-chained';
+    }
+
+    /**
+     * directory git runs the hooks from, `core.hooksPath` when set
+     * @param {String} rootPath git root directory
+     * @returns {String} absolute path
+     */
+    static getDirectorySync(rootPath) {
+        return Utils.getGitPathSync(rootPath, 'hooks');
+    }
+
+    /**
+     * write every hook, an existing hook is renamed to `<name>.krlib-chained`
+     * @param {String} rootPath git root directory
+     * @returns {{name: String, file: String, chained: Boolean}[]} hooks written
+     */
+    static installSync(rootPath) {
+        const directory = GitHooks.getDirectorySync(rootPath);
+        if (!existsSync(directory)) {
+            mkdirSync(directory, { recursive : true });
+        } else if (!statSync(directory).isDirectory()) {
+            throw new KrlibError(`Could not install the hooks, ${directory} is not a directory, check core.hooksPath with \`git config --show-origin core.hooksPath\``);
+        }
+        return GitHooks.NAMES.map(name => {
+            const file = path.join(directory, name);
+            const chainedFile = file + GitHooks.CHAINED_SUFFIX;
+            if (existsSync(file) && !GitHooks.isOwnSync(file)) {
+                if (existsSync(chainedFile)) {
+                    throw new KrlibError(`Could not install the ${name} hook, both ${file} and ${chainedFile} exist`);
+                }
+                renameSync(file, chainedFile);
+            }
+            writeFileSync(file, GitHooks.buildScript(name));
+            chmodSync(file, 0o755);
+            return { name, file, chained : existsSync(chainedFile) };
+        });
+    }
+
+    /**
+     * remove the hooks krlib wrote and put the chained ones back
+     * @param {String} rootPath git root directory
+     * @returns {{name: String, file: String, removed: Boolean, restored: Boolean}[]} result per hook
+     */
+    static uninstallSync(rootPath) {
+        const directory = GitHooks.getDirectorySync(rootPath);
+        return GitHooks.NAMES.map(name => {
+            const file = path.join(directory, name);
+            const chainedFile = file + GitHooks.CHAINED_SUFFIX;
+            if (!existsSync(file) || !GitHooks.isOwnSync(file)) {
+                return { name, file, removed : false, restored : false };
+            }
+            unlinkSync(file);
+            if (existsSync(chainedFile)) {
+                renameSync(chainedFile, file);
+                return { name, file, removed : true, restored : true };
+            }
+            return { name, file, removed : true, restored : false };
+        });
+    }
+
+    static isOwnSync(file) {
+        return readFileSync(file, 'utf8').includes(GitHooks.MARKER);
+    }
+
+    /**
+     * shell script of a hook, running the chained hook first and then `krlib hook <name>`
+     * @param {String} name hook name
+     * @returns {String} script
+     */
+    static buildScript(name) {
+        const [node, script] = [process.execPath, __filename].map(file => `"${file.replace(/\\/g, '/')}"`);
+        // pre-push reads the pushed refs from stdin, the chained hook needs them as well,
+        // and an empty stdin rather than a blank line when nothing is pushed
+        const runChained = name === 'pre-push'
+            ? [
+                '    if [ -n "$input" ]; then',
+                '        printf \'%s\\n\' "$input" | "$chained" "$@" || exit $?',
+                '    else',
+                '        : | "$chained" "$@" || exit $?',
+                '    fi',
+            ]
+            : ['    "$chained" "$@" || exit $?'];
+        return [
+            '#!/bin/sh',
+            GitHooks.MARKER,
+            `# the hook found here before is kept as ${name}${GitHooks.CHAINED_SUFFIX} and runs first`,
+            `chained="$(dirname "$0")/${name}${GitHooks.CHAINED_SUFFIX}"`,
+            name === 'pre-push' ? 'input=$(cat)' : null,
+            'if [ -x "$chained" ]; then',
+            ...runChained,
+            'fi',
+            '# krlib is looked up when the hook runs, so that a switch of node or a reinstall of krlib keeps it working',
+            'krlib=$(command -v krlib)',
+            'if [ -n "$krlib" ]; then',
+            `    exec "$krlib" hook ${name} "$@"`,
+            'fi',
+            '# not on the PATH of the git client, such as a GUI client, krlib is run from where the hook was installed from',
+            `node=$(command -v node || echo ${node})`,
+            `if [ ! -f ${script} ]; then`,
+            `    echo "krlib: not found, the ${name} check is skipped, run \\\`krlib hooks install\\\` again" >&2`,
+            '    exit 0',
+            'fi',
+            `exec "$node" ${script} hook ${name} "$@"`,
+            '',
+        ].filter(line => line !== null).join('\n');
+    }
+
+    /**
+     * components whose expected library differs from the one at the given revision
+     * @param {LeyserkidsComponentCollection} pkgs components as in the working tree
+     * @param {String} revision revision to compare with, such as ORIG_HEAD
+     * @returns {{component: Component, from: String, to: String}[]} changes
+     */
+    static async getChangedExpectationsAsync(pkgs, revision) {
+        const changes = [];
+        for (const component of pkgs.components) {
+            let pkg = null;
+            try {
+                pkg = JSON.parse(await Utils.readFileAtAsync(pkgs.root, revision, path.relative(pkgs.root, component.packageJson)));
+            } catch (unused) { }
+            if (!pkg) {
+                // the component did not exist at the revision
+                continue;
+            }
+            const dependency = (pkg.dependencies || {})[component.library.name];
+            // a dependency krlib does not support is compared as it is
+            const from = /#semver:/.test(dependency || '') ? Component.parseExpectedVersion(dependency) : dependency || '';
+            if (from !== component.expectedVersion) {
+                changes.push({ component, from, to : component.expectedVersion });
+            }
+        }
+        return changes;
+    }
+}
+
+/**
+ * runs the package manager in a component, its output is emitted as `output` events
+ */
+class PackageInstaller extends EventEmitter {
+    /**
+     * @param {String} installPath component directory
+     * @param {{packageManager: String, npmUrl: String, name: String}} options npm, yarn or pnpm,
+     *        `git+<url>#semver:` and package name of the library
+     */
+    constructor(installPath = '.', { packageManager = 'npm', npmUrl, name = Constant.DEFAULT_LIBRARY } = {}) {
+        super();
+        this.installPath = installPath;
+        this.name = name;
+        this.packageManager = packageManager;
+        this.npmUrl = npmUrl;
+        this.child = null;
+    }
+
+    _installPackage(paramArray) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(
+                /^win/.test(process.platform) ? `${this.packageManager}.cmd` : this.packageManager,
+                paramArray,
+                { cwd : this.installPath },
+            );
+            this.child = child;
+            let output = '';
+
+            child.stdout.on('data', (data) => {
+                output += data.toString();
+                this.emit('output', { stream : 'stdout', chunk : data.toString() });
+            });
+
+            child.stderr.on('data', (data) => {
+                output += data.toString();
+                this.emit('output', { stream : 'stderr', chunk : data.toString() });
+            });
+
+            child.on('error', (err) => {
+                this.child = null;
+                reject(err);
+            });
+
+            child.on('close', (code) => {
+                this.child = null;
+                resolve({ code, output });
+            });
+        });
+    }
+
+    /**
+     * stop the running install, if any
+     */
+    abort() {
+        if (this.child) {
+            this.child.kill();
+        }
+    }
+
+    _failed(message, { code, output }) {
+        return new InstallError(`${message} with code: ${code}`, {
+            installPath : this.installPath,
+            exitCode : code,
+            transient : Constant.INSTALL_TRANSIENT_ERRORS.test(output),
+        });
+    }
+
+    /**
+     * @param {String} version version to add, null to install from the lockfile
+     * @returns {String[]} package manager and its arguments, run in the component directory
+     */
+    getCommand(version) {
+        const { install, add } = Constant.PACKAGE_MANAGERS[this.packageManager];
+        return [this.packageManager].concat(version ? add.concat(this.npmUrl + version) : install);
+    }
+
+    async installComponently() {
+        const command = this.getCommand(null);
+        const result = await this._installPackage(command.slice(1));
+        if (result.code !== 0) {
+            throw this._failed(`Failed to run '${command.join(' ')}' at [${this.installPath}]`, result);
+        }
+    }
+
+    async installSpecificVersionAsync(version) {
+        const result = await this._installPackage(this.getCommand(version).slice(1));
+        if (result.code !== 0) {
+            throw this._failed(`Failed install ${this.name} at ${this.installPath}`, result);
+        }
+    }
+}
+
+/**
+ * runs installs with a concurrency limit and retries transient failures
+ *
+ * emits `install-start`, `install-output`, `install-retry` and `install-done` on `events`, see `Krlib`
+ */
+class InstallQueue {
+    constructor({ concurrency = 1, retries = 0, retryDelay = Constant.INSTALL_RETRY_DELAY, events = new EventEmitter() } = {}) {
+        this.concurrency = concurrency;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.events = events;
+        this.cancelled = false;
+        this.running = new Set();
+    }
+
+    /**
+     * run every install of the plan, at most `concurrency` at a time,
+     * the installs of one directory run one after the other as they share package.json and node_modules
+     * @param {{component: Component, version: String}[]} plan installs to run, a null version restores the lockfile
+     * @returns {{component: Component, version: String, status: String, attempts: Number, error: Error}[]} result per install,
+     *          status is one of success, failed or cancelled
+     */
+    async runAsync(plan) {
+        const pending = Array.from(plan.reduce((acc, step) => {
+            const directory = step.component.componentPath;
+            acc.set(directory, (acc.get(directory) || []).concat(step));
+            return acc;
+        }, new Map()).values());
+        const results = new Map();
+        const worker = async () => {
+            while (pending.length > 0 && !this.cancelled) {
+                const steps = pending.shift();
+                for (const step of steps) {
+                    if (this.cancelled) {
+                        break;
+                    }
+                    this.running.add(step.component);
+                    const result = await this._runWithRetryAsync(step);
+                    this.running.delete(step.component);
+                    results.set(step, result);
+                    this.events.emit('install-done', result);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length : Math.min(this.concurrency, pending.length) }, worker));
+        return plan.map(step => results.get(step) || Object.assign({ status : 'cancelled', attempts : 0 }, step));
+    }
+
+    /**
+     * stop the running installs and skip the pending ones
+     */
+    cancel() {
+        this.cancelled = true;
+        this.running.forEach(component => component.installer.abort());
+    }
+
+    async _runWithRetryAsync({ component, version }) {
+        const forward = (output) => this.events.emit('install-output', Object.assign({ component }, output));
+        component.installer.on('output', forward);
+        try {
+            for (let attempt = 1; ; attempt++) {
+                this.events.emit('install-start', { component, version, attempt });
+                try {
+                    if (version) {
+                        await component.installer.installSpecificVersionAsync(version);
+                    } else {
+                        await component.installer.installComponently();
+                    }
+                    return { component, version, status : 'success', attempts : attempt };
+                } catch (err) {
+                    if (this.cancelled) {
+                        return { component, version, status : 'cancelled', attempts : attempt, error : err };
+                    }
+                    if (!err.transient || attempt > this.retries) {
+                        return { component, version, status : 'failed', attempts : attempt, error : err };
+                    }
+                    const delay = this.retryDelay * Math.pow(2, attempt - 1);
+                    this.events.emit('install-retry', { component, version, attempt, delay, error : err });
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    if (this.cancelled) {
+                        return { component, version, status : 'cancelled', attempts : attempt, error : err };
+                    }
+                }
+            }
+        } finally {
+            component.installer.removeListener('output', forward);
+        }
+    }
+}
+
+/**
+ * package.json and lockfiles of the components before an upgrade, recorded in the git directory
+ * so that a failed upgrade is undone everywhere and `krlib rollback` can undo the last one
+ */
+class UpgradeTransaction {
+    /**
+     * @param {String} file journal file, null to keep the journal in memory only
+     * @param {Object} journal recorded upgrade
+     */
+    constructor(file, journal) {
+        this.file = file;
+        this.journal = journal;
+    }
+
+    static getFileSync(rootPath) {
+        return Utils.getGitPathSync(rootPath, Constant.UPGRADE_JOURNAL_FILE);
+    }
+
+    /**
+     * @param {{component: Component, version: String}[]} plan installs
+     * @returns {Boolean} whether a component changes its expected version, which `krlib rollback` can then undo,
+     *          rather than installing the one it expects or reinstalling from its lockfile
+     */
+    static isUpgrade(plan) {
+        return plan.some(({ component, version }) => version && version !== component.expectedVersion);
+    }
+
+    /**
+     * record the components before they are upgraded
+     * @param {String} rootPath git root directory
+     * @param {{component: Component, version: String}[]} plan installs about to run
+     * @param {{record: Boolean}} options false to keep the last upgrade recorded, the transaction is then only kept in memory
+     * @returns {UpgradeTransaction} transaction, pending until `commit`, `restore` or `close`
+     */
+    static begin(rootPath, plan, { record = true } = {}) {
+        const journal = {
+            root : rootPath,
+            startedAt : Date.now(),
+            status : 'pending',
+            components : plan.map(({ component, version }) => ({
+                name : component.componentName,
+                path : path.relative(rootPath, component.componentPath) || '.',
+                library : component.library.name,
+                packageManager : component.packageManager,
+                version : component.currentVersion || null,
+                targetVersion : version,
+                files : UpgradeTransaction._readFiles(component),
+                after : null,
+            })),
+        };
+        const transaction = new UpgradeTransaction(record ? UpgradeTransaction.getFileSync(rootPath) : null, journal);
+        transaction._write();
+        return transaction;
+    }
+
+    /**
+     * @param {String} rootPath git root directory
+     * @returns {UpgradeTransaction} last recorded upgrade, null if there is none
+     */
+    static readLastSync(rootPath) {
+        const file = UpgradeTransaction.getFileSync(rootPath);
+        const journal = Utils.readJsonSync(file);
+        return journal ? new UpgradeTransaction(file, journal) : null;
+    }
+
+    static _readFiles(component) {
+        const names = [Constant.COMPONENT_PKG_FILE].concat(Constant.PACKAGE_MANAGERS[component.packageManager].lockFiles);
+        return names.reduce((acc, name) => {
+            const file = path.join(component.componentPath, name);
+            // null records that the file did not exist
+            acc[name] = existsSync(file) ? readFileSync(file, 'utf8') : null;
+            return acc;
+        }, {});
+    }
+
+    static _hash(content) {
+        return content === null ? null : crypto.createHash('sha1').update(content).digest('hex');
+    }
+
+    _write() {
+        if (this.file === null) {
+            return;
+        }
+        mkdirSync(path.dirname(this.file), { recursive : true });
+        writeFileSync(this.file, JSON.stringify(this.journal));
+    }
+
+    _directoryOf(record) {
+        return path.join(this.journal.root, record.path);
+    }
+
+    /**
+     * the upgrade succeeded, remember what it wrote to notice later edits
+     */
+    commit() {
+        this.journal.components.forEach(record => {
+            const files = UpgradeTransaction._readFiles({ componentPath : this._directoryOf(record), packageManager : record.packageManager });
+            record.after = Object.keys(files).reduce((acc, name) => {
+                acc[name] = UpgradeTransaction._hash(files[name]);
+                return acc;
+            }, {});
+        });
+        this.journal.status = 'committed';
+        this._write();
+    }
+
+    /**
+     * files written by the upgrade which were edited since, they lose the edits on `restore`
+     * @returns {String[]} files relative to the root
+     */
+    getChangedFiles() {
+        return this.journal.components.reduce((acc, record) => {
+            const files = UpgradeTransaction._readFiles({ componentPath : this._directoryOf(record), packageManager : record.packageManager });
+            return acc.concat(Object.keys(files)
+                .filter(name => record.after && UpgradeTransaction._hash(files[name]) !== record.after[name])
+                .map(name => path.join(record.path, name)));
+        }, []);
+    }
+
+    /**
+     * write back the package.json and lockfiles recorded before the upgrade
+     */
+    restore() {
+        this.journal.components.forEach(record => {
+            Object.keys(record.files).forEach(name => {
+                const file = path.join(this._directoryOf(record), name);
+                if (record.files[name] !== null) {
+                    writeFileSync(file, record.files[name]);
+                } else if (existsSync(file)) {
+                    unlinkSync(file);
+                }
+            });
+        });
+        this.journal.status = 'rolled-back';
+        this._write();
+    }
+
+    /**
+     * the upgrade stopped on an error before it was committed or rolled back, it cannot be rolled back later
+     */
+    close() {
+        if (this.journal.status === 'pending') {
+            this.journal.status = 'failed';
+            this._write();
+        }
+    }
+}
+
+/**
+ * installs worked out ahead of running them, previewed with --dry-run and saved for `krlib apply`
+ */
+class InstallPlan {
+    static get FORMAT() {
+        // bumped when the saved plan changes shape
+        return 1;
+    }
+
+    /**
+     * what an install would do, without running or writing anything
+     * @param {{component: Component, version: String}} step install of a plan
+     * @param {String} rootPath git root directory
+     * @returns {{command: String[], file: String, diff: String}} package manager command run in the component directory,
+     *          package.json relative to the root and its unified diff, empty when package.json stays the same
+     */
+    static describe({ component, version }, rootPath) {
+        const file = path.relative(rootPath, component.packageJson).split(path.sep).join('/');
+        const before = readFileSync(component.packageJson, 'utf8');
+        // restoring the lockfile leaves package.json as it is
+        const after = version ? component.renderPackageJson(version) : before;
+        return { command : component.installer.getCommand(version), file, diff : Utils.unifiedDiff(before, after, file) };
+    }
+
+    /**
+     * save a plan, with the package.json each install starts from
+     * @param {String} file plan file
+     * @param {{component: Component, version: String}[]} plan installs
+     * @param {String} rootPath git root directory
+     */
+    static write(file, plan, rootPath) {
+        const steps = plan.map(({ component, version }) => ({
+            component : component.componentName,
+            library : component.library.name,
+            version,
+            command : component.installer.getCommand(version),
+            packageJson : UpgradeTransaction._hash(readFileSync(component.packageJson, 'utf8')),
+        }));
+        mkdirSync(path.dirname(file), { recursive : true });
+        writeFileSync(file, JSON.stringify({ format : InstallPlan.FORMAT, createdAt : new Date().toISOString(), root : rootPath, steps }, null, 2) + '\n');
+    }
+
+    /**
+     * read a saved plan back, refused when a package.json changed since it was saved
+     * @param {String} file plan file
+     * @param {LeyserkidsComponentCollection} pkgs components
+     * @returns {{component: Component, version: String}[]} installs
+     */
+    static read(file, pkgs) {
+        let saved = null;
+        try {
+            saved = Utils.readJsonSync(file);
+        } catch (unused) { }
+        if (!saved || saved.format !== InstallPlan.FORMAT || !Array.isArray(saved.steps)) {
+            throw new UsageError(`${file} is not a plan saved by \`krlib --dry-run --save-plan\``);
+        }
+        return saved.steps.map(step => {
+            const component = pkgs.find(step.component, step.library);
+            if (!component) {
+                throw new KrlibError(`The plan installs ${step.library} into ${step.component}, which is not a component with that library any more`);
+            }
+            if (UpgradeTransaction._hash(readFileSync(component.packageJson, 'utf8')) !== step.packageJson) {
+                throw new KrlibError(`The package.json of ${step.component} changed since the plan was saved, make a new plan`);
+            }
+            return { component, version : step.version };
+        });
+    }
+}
+
+class Component {
+    /**
+     * @param {String} componentName name from the `component` section of krlib.config.json
+     * @param {String} componentPath absolute directory
+     * @param {Object} options normalized component config, with the `library` it depends on and its `range` for that library
+     */
+    constructor(componentName, componentPath, options = {}) {
+        this.componentName = componentName;
+        this.componentPath = componentPath;
+        this.library = options.library;
+        this.range = options.range || null;
+        this.packageManager = options.packageManager || Utils.detectPackageManager(componentPath);
+        this.channel = options.channel || 'stable';
+        this.npmUrl = this.library.npmUrl;
+        this.packageJson = path.join(this.componentPath, Constant.COMPONENT_PKG_FILE);
+        this.libraryPackageJson = path.join(this.componentPath, 'node_modules', this.library.name, Constant.COMPONENT_PKG_FILE);
+        this.installer = new PackageInstaller(this.componentPath, {
+            packageManager : this.packageManager,
+            npmUrl : this.npmUrl,
+            name : this.library.name,
+        });
+    }
+
+    initialize() {
+        this.exist = this._checkExist();
+        this.currentVersion = this._getCurrentVersion();
+        this.expectedVersion = this._getExpectedVersion();
+        return this;
+    }
+
+    _checkExist() {
+        return existsSync(this.libraryPackageJson);
+    }
+
+    _getCurrentVersion() {
+        if (!this._checkExist()) {
+            return '';
+        }
+        return Utils.readJsonSync(this.libraryPackageJson).version;
+    }
+
+    _getExpectedVersion() {
+        const pkg = Utils.readJsonSync(this.packageJson);
+        if (pkg === null) {
+            throw new KrlibError(`Could not load ${this.packageJson}, the file does not exist`);
+        }
+        const version = Component.parseExpectedVersion((pkg.dependencies || {})[this.library.name],
+            `The ${this.library.name} dependency of ${this.componentName}`);
+        if (version && !semver.validRange(version)) {
+            throw new VersionError(`The ${this.library.name} in ${this.packageJson} has an invalid semver range: ${version}`);
+        }
+        return version;
+    }
+
+    /**
+     * expected version out of a `git+<url>#semver:<range>` dependency
+     * @param {String} npmUrl dependency
+     * @param {String} description dependency named in the error, such as `The kr-library dependency of web`
+     * @returns {String} range, empty without dependency
+     * @throws {VersionError} when the dependency has no `#semver:` range, such as a plain range or a branch
+     */
+    static parseExpectedVersion(npmUrl, description = 'The dependency') {
+        if (!npmUrl) {
+            return '';
+        }
+        const match = String(npmUrl).match(/#semver:(.+)$/);
+        if (!match) {
+            throw new VersionError(`${description} is "${npmUrl}", krlib only supports git+<url>#semver:<range>`);
+        }
+        return decodeURIComponent(match[1]).trim();
+    }
+
+    /**
+     * whether the version is within the range the component is pinned to in krlib.config.json
+     * @param {String} version version
+     * @returns {Boolean} allowed
+     */
+    allowsVersion(version) {
+        return this.range === null || semver.satisfies(version, this.range, { includePrerelease : true });
+    }
+
+    /**
+     * library entry of the component lockfile, only read for npm
+     * @returns {{version: String, commit: String, file: String}} entry, null without lockfile or entry
+     */
+    getLockedPackage() {
+        if (this.packageManager !== 'npm') {
+            // yarn.lock records the tag object rather than the commit it points to
+            return null;
+        }
+        for (const name of Constant.PACKAGE_MANAGERS.npm.lockFiles) {
+            const file = path.join(this.componentPath, name);
+            const lock = Utils.readJsonSync(file);
+            if (lock === null) {
+                continue;
+            }
+            // lockfileVersion 2 and 3 list packages by path, lockfileVersion 1 only has dependencies
+            const entry = (lock.packages || {})[`node_modules/${this.library.name}`];
+            if (entry) {
+                return { version : entry.version, commit : Utils.getResolvedCommit(entry.resolved), file };
+            }
+            const legacy = (lock.dependencies || {})[this.library.name];
+            if (legacy) {
+                return { version : null, commit : Utils.getResolvedCommit(legacy.version), file };
+            }
+            return null;
+        }
+        return null;
+    }
+
+    /**
+     * commit of the library in node_modules
+     * @returns {String} commit, null when unknown
+     */
+    getInstalledCommit() {
+        if (!this._checkExist()) {
+            return null;
+        }
+        // npm 6 and earlier keep it in the package.json of the package
+        const pkg = Utils.readJsonSync(this.libraryPackageJson);
+        if (pkg._resolved) {
+            return Utils.getResolvedCommit(pkg._resolved);
+        }
+        const hidden = Utils.readJsonSync(path.join(this.componentPath, Constant.HIDDEN_LOCK_FILE));
+        const entry = hidden && (hidden.packages || {})[`node_modules/${this.library.name}`];
+        return entry ? Utils.getResolvedCommit(entry.resolved) : null;
+    }
+
+    /**
+     * check the commits recorded by the lockfile and node_modules against the tag of the installed version
+     * @param {Map<String, String>} tagCommits commit by version, as listed by the remote
+     * @returns {{status: String, version: String, tagCommit: String, lockedCommit: String, installedCommit: String}}
+     *          status is verified, tag-moved (the tag no longer points at the locked commit),
+     *          lock-drift (node_modules does not match the lockfile) or unverified (nothing to compare)
+     */
+    verify(tagCommits) {
+        const locked = this.getLockedPackage();
+        if (tagCommits.size === 0 || !this._checkExist() || locked === null || locked.commit === null) {
+            return { status : 'unverified', version : this.currentVersion || null };
+        }
+        const version = locked.version || this.currentVersion;
+        const result = {
+            version,
+            tagCommit : tagCommits.get(version) || null,
+            lockedCommit : locked.commit,
+            installedCommit : this.getInstalledCommit(),
+        };
+        if (result.lockedCommit !== result.tagCommit) {
+            return Object.assign({ status : 'tag-moved' }, result);
+        }
+        if (version !== this.currentVersion || (result.installedCommit && result.installedCommit !== result.lockedCommit)) {
+            return Object.assign({ status : 'lock-drift' }, result);
+        }
+        return Object.assign({ status : 'verified' }, result);
+    }
+
+    /**
+     * compare the installed version with the expected range
+     * @returns {Number} -2 not installed, -1 below the range, 0 satisfies the range, 1 above the range
+     */
+    compareVersion() {
+        if (!this._checkExist()) {
+            return -2;
+        }
+        // a prerelease installed from the beta channel is within the range as well
+        if (semver.satisfies(this.currentVersion, this.expectedVersion, { includePrerelease : true })) {
+            return 0;
+        }
+        return semver.gtr(this.currentVersion, this.expectedVersion, { includePrerelease : true }) ? 1 : -1;
+    }
+
+    /**
+     * @param {String} version version or range to depend on
+     * @returns {String} package.json with the dependency on the library set to the version, as the package manager writes it
+     */
+    renderPackageJson(version) {
+        const text = readFileSync(this.packageJson, 'utf8');
+        const pkg = JSON.parse(text);
+        pkg.dependencies = Object.assign({}, pkg.dependencies, { [this.library.name] : this.npmUrl + version });
+        return Utils.formatJsonLike(pkg, text);
+    }
+
+    /**
+     * @param {String} version version or range to depend on
+     * @returns {String} package.json with the dependency on the library set to the version, the rest of the file as it is
+     */
+    renderBumpedPackageJson(version) {
+        const text = readFileSync(this.packageJson, 'utf8');
+        const bumped = JsonSource.replace(text, ['dependencies', this.library.name], this.npmUrl + version, this.packageJson);
+        // without a dependency to replace, it is added as the package manager would
+        return bumped === null ? this.renderPackageJson(version) : bumped;
+    }
+
+    async setVersionAsync(version) {
+        await writeFileAsync(this.packageJson, this.renderBumpedPackageJson(version), { encoding : 'utf8' });
+    }
+}
+
+/**
+ * version policy rules of krlib.config.json, checked against the expected and installed version of each component
+ */
+class VersionPolicy {
+    static get SEVERITIES() {
+        // from the least to the most severe
+        return Object.freeze(['warning', 'error']);
+    }
+
+    /**
+     * @param {LeyserkidsComponentCollection} pkgs components with the tags of their libraries
+     * @returns {{rule: String, severity: String, message: String, component: Component}[]} violations
+     */
+    static evaluate(pkgs) {
+        return pkgs.getLibraries().reduce((acc, library) => {
+            const components = pkgs.components.filter(component => component.library === library && component.expectedVersion);
+            return Object.keys(library.policies).reduce((violations, rule) => violations.concat(
+                VersionPolicy[`_${rule}`](components, library.policies[rule], pkgs).map(({ component, message }) =>
+                    ({ rule, severity : library.policies[rule].severity, message, component })),
+            ), acc);
+        }, []);
+    }
+
+    /**
+     * @param {{severity: String}} violation violation
+     * @param {String} failOn least severity failing the check, never to fail on none
+     * @returns {Boolean} failing
+     */
+    static isFailing(violation, failOn) {
+        return failOn !== 'never' && VersionPolicy.SEVERITIES.indexOf(violation.severity) >= VersionPolicy.SEVERITIES.indexOf(failOn);
+    }
+
+    static _sameVersion(components) {
+        const counts = components.reduce((acc, component) =>
+            acc.set(component.expectedVersion, (acc.get(component.expectedVersion) || 0) + 1), new Map());
+        if (counts.size < 2) {
+            return [];
+        }
+        // the range expected by most components, the first one found on a tie
+        const common = Array.from(counts.keys()).reduce((acc, range) => counts.get(range) > counts.get(acc) ? range : acc);
+        return components
+            .filter(component => component.expectedVersion !== common)
+            .map(component => ({ component, message : `expects ${component.expectedVersion}, the other components expect ${common}` }));
+    }
+
+    static _maxMinorLag(components, { value }, pkgs) {
+        return components.reduce((acc, component) => {
+            const latest = pkgs.getLatestVersionOf(component);
+            const resolved = pkgs.resolveExpectedVersion(component);
+            if (!latest || !resolved || semver.gte(resolved, latest)) {
+                return acc;
+            }
+            if (semver.major(latest) > semver.major(resolved)) {
+                return acc.concat({ component, message : `expects ${resolved}, a major version behind the latest ${latest}` });
+            }
+            const lag = semver.minor(latest) - semver.minor(resolved);
+            if (lag > value) {
+                return acc.concat({ component, message : `expects ${resolved}, ${lag} minor ${lag === 1 ? 'version' : 'versions'} behind the latest ${latest}, at most ${value} allowed` });
+            }
+            return acc;
+        }, []);
+    }
+
+    static _denyVersions(components, { versions }, pkgs) {
+        return components.reduce((acc, component) => {
+            const denied = VersionPolicy._versionsOf(component, pkgs)
+                .map(([which, version]) => [which, version, versions.find(range => semver.satisfies(version, range, { includePrerelease : true }))])
+                .find(([, , range]) => range);
+            return denied ? acc.concat({ component, message : `${denied[0]} ${denied[1]}, which is denied by ${denied[2]}` }) : acc;
+        }, []);
+    }
+
+    static _minimumVersion(components, { version }, pkgs) {
+        return components.reduce((acc, component) => {
+            const below = VersionPolicy._versionsOf(component, pkgs).find(([, current]) => semver.lt(current, version));
+            return below ? acc.concat({ component, message : `${below[0]} ${below[1]}, below the minimum ${version}` }) : acc;
+        }, []);
+    }
+
+    static _versionsOf(component, pkgs) {
+        const resolved = pkgs.resolveExpectedVersion(component);
+        return [
+            ['installs', component.exist ? component.currentVersion : null],
+            ['expects', resolved],
+        ].filter(([, version]) => version);
+    }
+}
+
+class LeyserkidsComponentCollection {
+    /**
+     * @param {String} root git root directory
+     * @param {Map<String, Map<String, String>>} tagCommits every released version of each library with its commit by library name,
+     *        see `Utils.getRemoteTagsAsync`
+     * @param {{environment: Environment, events: EventEmitter}} options config of the repo, receives the install events
+     */
+    constructor(root, tagCommits = new Map(), { environment = new Environment(root), events = new EventEmitter() } = {}) {
+        this.root = root;
+        this.environment = environment;
+        this.events = events;
+        this.libraries = environment.LIBRARIES;
+        this.components = this._initComponents();
+        this.tagCommits = tagCommits;
+        // versions of the first library, kr-library unless the config only has `libraries`
+        this.versions = this.getVersionsOf(this.libraries[0]);
+        this.latestVersion = Utils.getLatestVersion(this.versions, environment.RELEASE_CHANNEL);
+        this.integrity = new Map(this.components.map(component =>
+            [component, component.verify(this._getTagCommitsOf(component.library))]));
+    }
+
+    /**
+     * @param {String} componentName name from the `component` section of krlib.config.json
+     * @param {String} libraryName library the component depends on, the first one found when not given
+     * @returns {Component} component, undefined if there is none
+     */
+    find(componentName, libraryName) {
+        return this.components.find(component =>
+            component.componentName === componentName && (!libraryName || component.library.name === libraryName));
+    }
+
+    _getTagCommitsOf(library) {
+        return this.tagCommits.get(library.name) || new Map();
+    }
+
+    /**
+     * @param {Library} library library
+     * @returns {String[]} released versions of the library, empty when unknown
+     */
+    getVersionsOf(library) {
+        return Array.from(this._getTagCommitsOf(library).keys());
+    }
+
+    /**
+     * @returns {Library[]} libraries the selected components depend on
+     */
+    getLibraries() {
+        return this.libraries.filter(library => this.components.some(component => component.library === library));
+    }
+
+    getUnInstalled() {
+        return this.components.filter(component => !component.exist);
+    }
+
+    /**
+     * components installed below their expected range, a version above it is left alone rather than downgraded
+     * @returns {Component[]} components
+     */
+    getUnExpected() {
+        return this.components.filter(component => component.exist && component.compareVersion() < 0);
+    }
+
+    /**
+     * components whose lockfile or node_modules no longer matches the remote tag
+     * @returns {Component[]} components
+     */
+    getUnVerified() {
+        return this.components.filter(component => ['tag-moved', 'lock-drift'].includes(this.integrity.get(component).status));
+    }
+
+    getUnLatested() {
+        return this.components.filter(component =>
+            this.isBehindLatest(component) && component.allowsVersion(this.getLatestVersionOf(component)));
+    }
+
+    /**
+     * versions a component may be installed with, on its channel and within its pinned range
+     * @param {Component} component component
+     * @returns {String[]} versions, oldest first
+     */
+    getTargetVersionsOf(component) {
+        return Utils.getVersionsOnChannel(this.getVersionsOf(component.library), component.channel)
+            .filter(version => component.allowsVersion(version));
+    }
+
+    /**
+     * @param {Component} component component
+     * @returns {String} name of the component, with its library when the components depend on several
+     */
+    getDisplayName(component) {
+        return this.getLibraries().length > 1 ? `${component.componentName} (${component.library.name})` : component.componentName;
+    }
+
+    /**
+     * components which do not have their target version expected and installed
+     * @param {Function} versionFinderFunc returns the target version of a component
+     * @returns {Component[]} components
+     */
+    getUnTargeted(versionFinderFunc) {
+        return this.components.filter(component => {
+            const version = versionFinderFunc(component);
+            return !component.exist || component.expectedVersion !== version || component.currentVersion !== version;
+        });
+    }
+
+    /**
+     * newest version on the release channel of the component
+     * @param {Component} component component
+     * @returns {String} version, null if there is none
+     */
+    getLatestVersionOf(component) {
+        return Utils.getLatestVersion(this.getVersionsOf(component.library), component.channel);
+    }
+
+    /**
+     * version the expected range of the component installs, its lowest version when the tags are unknown
+     * @param {Component} component component
+     * @returns {String} version, null without expected range
+     */
+    resolveExpectedVersion(component) {
+        if (!component.expectedVersion) {
+            return null;
+        }
+        const resolved = semver.maxSatisfying(this.getVersionsOf(component.library), component.expectedVersion);
+        return resolved || semver.minVersion(component.expectedVersion).version;
+    }
+
+    /**
+     * whether the expected range of the component resolves to a version older than its latest version
+     * @param {Component} component component
+     * @returns {Boolean} behind
+     */
+    isBehindLatest(component) {
+        const latestVersion = this.getLatestVersionOf(component);
+        if (!latestVersion) {
+            return false;
+        }
+        const resolvedVersion = semver.maxSatisfying(this.getVersionsOf(component.library), component.expectedVersion);
+        return !resolvedVersion || semver.lt(resolvedVersion, latestVersion);
+    }
+
+    /**
+     * narrow the collection down to the given components
+     * @param {String[]} componentNames names from the `component` section of krlib.config.json
+     * @returns {LeyserkidsComponentCollection} this
+     */
+    select(componentNames) {
+        if (componentNames.length === 0) {
+            return this;
+        }
+        const unknown = componentNames.filter(name => !this.find(name));
+        if (unknown.length > 0) {
+            const available = this.components.map(component => component.componentName).join(', ');
+            throw new UsageError(`Unknown component: ${unknown.join(', ')} (available: ${available})`);
+        }
+        this.components = this.components.filter(component => componentNames.includes(component.componentName));
+        return this;
+    }
+
+    /**
+     * narrow the collection down to the components of the given libraries
+     * @param {String[]} libraryNames names from the `libraries` section of krlib.config.json
+     * @returns {LeyserkidsComponentCollection} this
+     */
+    selectLibraries(libraryNames) {
+        if (libraryNames.length === 0) {
+            return this;
+        }
+        const unknown = libraryNames.filter(name => !this.libraries.some(library => library.name === name));
+        if (unknown.length > 0) {
+            const available = this.libraries.map(library => library.name).join(', ');
+            throw new UsageError(`Unknown library: ${unknown.join(', ')} (available: ${available})`);
+        }
+        this.components = this.components.filter(component => libraryNames.includes(component.library.name));
+        return this;
+    }
+
+    /**
+     * version status of every component, as printed by `krlib status --format`
+     * @returns {Object[]} status per component
+     */
+    getStatus() {
+        return this.components.map(component => this.getStatusOf(component));
+    }
+
+    /**
+     * version status of a component
+     * @param {Component} component component
+     * @returns {Object} status
+     */
+    getStatusOf(component) {
+        return {
+            componentName : component.componentName,
+            componentPath : path.relative(this.root, component.componentPath) || '.',
+            library : component.library.name,
+            exist : component.exist,
+            currentVersion : component.currentVersion || null,
+            expectedVersion : component.expectedVersion,
+            channel : component.channel,
+            packageManager : component.packageManager,
+            latestVersion : this.getLatestVersionOf(component),
+            compareVersion : component.compareVersion(),
+            behindLatest : this.isBehindLatest(component),
+            integrity : this.integrity.get(component),
+        };
+    }
+
+    /**
+     * violations of the version policy rules of krlib.config.json
+     * @returns {{rule: String, severity: String, message: String, failing: Boolean, component: Component}[]} violations,
+     *          failing when at least as severe as `failOn`
+     */
+    getViolations() {
+        return VersionPolicy.evaluate(this).map(violation =>
+            Object.assign({ failing : VersionPolicy.isFailing(violation, this.environment.POLICY_FAIL_ON) }, violation));
+    }
+
+    /**
+     * everything `krlib check` reports, as status of the components concerned
+     * @returns {{ok: Boolean, uninstalled: Object[], unexpected: Object[], unverified: Object[], behindLatest: Object[], violations: Object[]}}
+     *          result, ok when every component has its expected libraries installed and verified and no policy rule fails
+     */
+    check() {
+        const toStatus = (componentArray) => componentArray.map(component => this.getStatusOf(component));
+        const result = {
+            uninstalled : toStatus(this.getUnInstalled()),
+            unexpected : toStatus(this.getUnExpected()),
+            unverified : toStatus(this.getUnVerified()),
+            behindLatest : toStatus(this.getUnLatested()),
+            violations : this.getViolations().map(({ component, rule, severity, message, failing }) =>
+                ({ rule, severity, message, failing, component : this.getStatusOf(component) })),
+        };
+        result.ok = result.uninstalled.length === 0 && result.unexpected.length === 0 && result.unverified.length === 0 &&
+            !result.violations.some(violation => violation.failing);
+        return result;
+    }
+
+    /**
+     * version a component is updated to
+     * @param {Component} component component
+     * @param {String} version version asked for, latest on the channel of the component when not given
+     * @returns {String} version, null when unknown
+     */
+    getUpdateTarget(component, version) {
+        return semver.clean(version || '') || this.getLatestVersionOf(component);
+    }
+
+    /**
+     * installs bringing every component to the version, components pinned outside of it are left out
+     * @param {String} version version to update to, latest on the channel of each component when not given
+     * @returns {{component: Component, version: String}[]} plan for `installPlanAsync`
+     */
+    planUpdate(version) {
+        this._checkTargetVersion(version);
+        const versionFinderFunc = (component) => this.getUpdateTarget(component, version);
+        return this.getUnTargeted(versionFinderFunc)
+            .filter(component => component.allowsVersion(versionFinderFunc(component)))
+            .map(component => ({ component, version : versionFinderFunc(component) }));
+    }
+
+    /**
+     * package.json changes pinning every component depending on a library to the version, components pinned outside of
+     * it in krlib.config.json are left out
+     * @param {String} version version to pin, latest on the channel of each component when not given
+     * @returns {{component: Component, version: String}[]} plan for `Krlib.executeBump`
+     */
+    planBump(version) {
+        this._checkTargetVersion(version);
+        return this.components
+            .map(component => ({ component, version : this.getUpdateTarget(component, version) }))
+            .filter(({ component, version : target }) =>
+                component.expectedVersion && target && component.expectedVersion !== target && component.allowsVersion(target));
+    }
+
+    _checkTargetVersion(version) {
+        if (version !== undefined && !semver.valid(version)) {
+            throw new UsageError(`Invalid version: ${version}`);
+        }
+        const libraries = this.getLibraries();
+        if (version !== undefined && libraries.length > 1) {
+            throw new UsageError(`A version applies to a single library, select one of ${libraries.map(library => library.name).join(', ')}`);
+        }
+        libraries.forEach(library => {
+            const versions = this.getVersionsOf(library);
+            if (versions.length === 0 && version === undefined) {
+                throw new VersionError(`The latest ${library.name} is unknown, pass the version to update to`);
+            }
+            if (versions.length > 0 && version !== undefined && !versions.includes(semver.clean(version))) {
+                throw new VersionError(`The ${library.name} has no release ${version}`);
+            }
+        });
+    }
+
+    /**
+     * components left out of `planUpdate` and `planBump` because krlib.config.json pins them outside of the version
+     * @param {String} version version to update to, latest on the channel of each component when not given
+     * @returns {Component[]} components
+     */
+    getPinned(version) {
+        return this.components.filter(component => {
+            const target = this.getUpdateTarget(component, version);
+            return target && !component.allowsVersion(target);
+        });
+    }
+
+    /**
+     * installs of the expected libraries where they are missing or outdated
+     * @returns {{component: Component, version: String}[]} plan
+     */
+    planInstall() {
+        return this.getUnInstalled().concat(this.getUnExpected())
+            .map(component => ({ component, version : component.expectedVersion }));
+    }
+
+    /**
+     * installs of the latest libraries where the component is behind them
+     * @returns {{component: Component, version: String}[]} plan
+     */
+    planLatest() {
+        return this.getUnLatested().map(component => ({ component, version : this.getLatestVersionOf(component) }));
+    }
+
+    /**
+     * every install krlib offers, the expected libraries where they are missing or outdated and the latest ones where the
+     * components are behind, a component both outdated and behind is only brought to the latest
+     * @param {String} version version to update to in place of the latest
+     * @returns {{component: Component, version: String}[]} plan
+     */
+    planAll(version) {
+        const updates = version === undefined ? this.planLatest() : this.planUpdate(version);
+        const updated = new Set(updates.map(step => step.component));
+        return this.planInstall().filter(step => !updated.has(step.component)).concat(updates);
+    }
+
+    /**
+     * reinstall the tag where it moved, restore node_modules from the lockfile where it drifted
+     * @returns {{component: Component, version: String}[]} plan
+     */
+    planRepair() {
+        return this.getUnVerified().map(component => ({
+            component,
+            version : this.integrity.get(component).status === 'tag-moved' ? component.expectedVersion : null,
+        }));
+    }
+
+    /**
+     * one component per library its package.json depends on, with the first library when it depends on none
+     * @returns {Component[]} components
+     */
+    _initComponents() {
+        let components = [];
+        const componentsConfig = this.environment.COMPONENT_OPTIONS;
+        for (const key in componentsConfig) {
+            if (componentsConfig.hasOwnProperty(key) && !componentsConfig[key].ignore) {
+                const componentPath = path.join(this.root, componentsConfig[key].path);
+                const pkg = Utils.readJsonSync(path.join(componentPath, Constant.COMPONENT_PKG_FILE));
+                const dependencies = (pkg && pkg.dependencies) || {};
+                const libraries = this.libraries.filter(library => dependencies[library.name]);
+                (libraries.length > 0 ? libraries : this.libraries.slice(0, 1)).forEach(library => {
+                    const range = componentsConfig[key].range;
+                    const options = Object.assign({}, componentsConfig[key], {
+                        library,
+                        range : range !== null && typeof range === 'object' ? range[library.name] : range,
+                    });
+                    components.push(new Component(key, componentPath, options).initialize());
+                });
+            }
+        }
+        return components;
+    }
+
+    /**
+     * @returns {InstallQueue} queue with the concurrency and retries of krlib.config.json
+     */
+    createQueue() {
+        return new InstallQueue({
+            concurrency : this.environment.INSTALL_CONCURRENCY,
+            retries : this.environment.INSTALL_RETRIES,
+            events : this.events,
+        });
+    }
+
+    /**
+     * @param {{component: Component, version: String}[]} plan installs to run
+     * @param {InstallQueue} queue queue to run them on, to be able to cancel it
+     * @returns {Object[]} result per install, see `InstallQueue.runAsync`
+     */
+    async installPlanAsync(plan, queue = this.createQueue()) {
+        return queue.runAsync(plan);
+    }
+
+    async installPackagesAsync(componentArray) {
+        return this.installPlanAsync(componentArray.map(component => ({ component, version : null })));
+    }
+
+    async installPackagesWithVersionAsync(componentArray, versionFinderFunc) {
+        return this.installPlanAsync(componentArray.map(component => ({ component, version : versionFinderFunc(component) })));
+    }
+
+    async repairAsync(componentArray) {
+        return this.installPlanAsync(this.planRepair().filter(step => componentArray.includes(step.component)));
+    }
+
+    async installLatestAsync(componentArray) {
+        return this.installPackagesWithVersionAsync(componentArray, (component) => this.getLatestVersionOf(component));
+    }
+
+    async installExpectAsync(componentArray) {
+        return this.installPackagesWithVersionAsync(componentArray, (component) => component.expectedVersion);
+    }
+
+    static _findInRepo(componentName, libraryName) {
+        // eslint-disable-next-line no-sync
+        const instance = new LeyserkidsComponentCollection(Utils.findRootSync());
+        return instance.find(componentName, libraryName);
+    }
+
+    static checkVersion(componentName, libraryName) {
+        return LeyserkidsComponentCollection._findInRepo(componentName, libraryName).compareVersion();
+    }
+
+    static checkVersionWithAssert(componentName, libraryName) {
+        const component = LeyserkidsComponentCollection._findInRepo(componentName, libraryName);
+        if (component.compareVersion() < 0) {
+            throw new VersionError(`Oops, The ${component.library.name} is outdated, Please run \`krlib\` to update`);
+        }
+    }
+}
+
+/**
+ * programmatic api of krlib, the cli runs on it
+ *
+ * progress is emitted as events instead of being printed:
+ * - `log` {level, message}, level is debug, info, success or warning
+ * - `install-start` {component, version, attempt}, version is null when restoring the lockfile
+ * - `install-output` {component, stream, chunk}, output of the package manager
+ * - `install-retry` {component, version, attempt, delay, error}
+ * - `install-done` {component, version, status, attempts, error}
+ * - `rollback-start` {components}, a failed upgrade or `rollback` restores the components
+ * - `rollback-done` {results}
+ */
+class Krlib extends EventEmitter {
+    /**
+     * @param {{root: String, config: Object, offline: Boolean, refresh: Boolean, env: Object}} options
+     *        root is the git root directory, found from the working directory when not given,
+     *        config is used in place of the config file, refresh asks the remote for the tags even when the cached ones are fresh,
+     *        env in place of the environment variables
+     */
+    constructor({ root, config, offline = false, refresh = false, env = process.env } = {}) {
+        super();
+        // eslint-disable-next-line no-sync
+        this.root = root ? path.resolve(root) : Utils.findRootSync();
+        this.offline = offline;
+        this.refresh = refresh;
+        this.environment = new Environment(this.root, { config, env });
+        this.repositories = new Map(this.environment.LIBRARIES.map(library =>
+            [library.name, new LibraryRepository(library, { offline, events : this })]));
+        this.pkgs = null;
+        // tags and selection of the last `load`, to read the components again after installs
+        this.loaded = null;
+        this.queue = null;
+    }
+
+    _log(level, message) {
+        this.emit('log', { level, message });
+    }
+
+    _writeCache(library, cache, tags) {
+        try {
+            cache.write(tags);
+        } catch (err) {
+            this._log('warning', `Could not cache the ${library.name} tags in ${cache.file}: ${err.message}`);
+        }
+    }
+
+    /**
+     * @param {String} libraryName name from the `libraries` section of krlib.config.json, the first library when not given
+     * @returns {Library} library
+     */
+    getLibrary(libraryName) {
+        const libraries = this.environment.LIBRARIES;
+        const library = libraryName ? libraries.find(item => item.name === libraryName) : libraries[0];
+        if (!library) {
+            throw new UsageError(`Unknown library: ${libraryName} (available: ${libraries.map(item => item.name).join(', ')})`);
+        }
+        return library;
+    }
+
+    /**
+     * get the tags of a library from the remote, or from the cache when it is fresh, offline or the remote fails
+     * @param {Library} library library, the first one when not given
+     * @returns {Map<String, String>} commit by version, empty when neither is available
+     */
+    async getTagsAsync(library = this.getLibrary()) {
+        const cache = new TagCache(library);
+        const cached = cache.read();
+        let tags = null;
+
+        if (this.offline) {
+            if (cached) {
+                this._log('info', `Offline, using the ${library.name} version numbers obtained ${Utils.formatAge(cached.fetchedAt)}`);
+                tags = cached.tags;
+            } else {
+                this._log('warning', `Offline and the version numbers were never obtained, the latest ${library.name} is unknown`);
+            }
+        } else if (cached && !this.refresh && TagCache.isFresh(cached, this.environment.CACHE_TTL)) {
+            this._log('debug', `Using the ${library.name} version numbers cached ${Utils.formatAge(cached.fetchedAt)} in ${cache.file}`);
+            tags = cached.tags;
+        } else {
+            this._log('info', `Obtaining the version number of ${library.name} . . .`);
+            try {
+                tags = await Utils.getRemoteTagsAsync(library);
+                this._writeCache(library, cache, tags);
+            } catch (err) {
+                if (cached) {
+                    this._log('warning', `${err.message}, using the version numbers obtained ${Utils.formatAge(cached.fetchedAt)}, they may be stale`);
+                    tags = cached.tags;
+                } else {
+                    this._log('warning', `${err.message}, the latest ${library.name} is unknown`);
+                }
+            }
+        }
+
+        if (!tags) {
+            return new Map();
+        }
+        this._log('success', `The latest ${library.name} is ${Utils.getLatestVersion(Array.from(tags.keys()), this.environment.RELEASE_CHANNEL)}`);
+        return tags;
+    }
+
+    /**
+     * read the components and the tags of their libraries, the other methods load on first use
+     * @param {{components: String[], libraries: String[]}} options narrow down to these components and libraries
+     * @returns {LeyserkidsComponentCollection} components
+     */
+    async load({ components = [], libraries = [] } = {}) {
+        const selected = libraries.length > 0 ? libraries.map(name => this.getLibrary(name)) : this.environment.LIBRARIES;
+        const tags = new Map();
+        for (const library of selected) {
+            tags.set(library.name, await this.getTagsAsync(library));
+        }
+        this.loaded = { tags, components, libraries };
+        return this._collect();
+    }
+
+    _collect() {
+        const { tags, components, libraries } = this.loaded;
+        this.pkgs = new LeyserkidsComponentCollection(this.root, tags, { environment : this.environment, events : this })
+            .selectLibraries(libraries)
+            .select(components);
+        return this.pkgs;
+    }
+
+    /**
+     * @param {String} directory directory inside the repo
+     * @returns {String} name of the component the directory is in, the innermost one, null at the root or outside of every component
+     */
+    findComponentAt(directory) {
+        const absolute = path.resolve(directory);
+        if (absolute === this.root) {
+            return null;
+        }
+        const options = this.environment.COMPONENT_OPTIONS;
+        const names = Object.keys(options).filter(name => {
+            const relative = path.relative(path.resolve(this.root, options[name].path), absolute);
+            return !options[name].ignore && !relative.startsWith('..') && !path.isAbsolute(relative);
+        });
+        return names.sort((a, b) => path.resolve(this.root, options[b].path).length - path.resolve(this.root, options[a].path).length)[0] || null;
+    }
+
+    async _loadedAsync() {
+        if (this.pkgs) {
+            return this.pkgs;
+        }
+        // read from disk again after installs, with the tags already fetched
+        return this.loaded ? this._collect() : this.load();
+    }
+
+    /**
+     * @returns {Object[]} status per component, see `LeyserkidsComponentCollection.getStatus`
+     */
+    async status() {
+        return (await this._loadedAsync()).getStatus();
+    }
+
+    /**
+     * @returns {Object} what `krlib check` reports, see `LeyserkidsComponentCollection.check`
+     */
+    async check() {
+        return (await this._loadedAsync()).check();
+    }
+
+    /**
+     * install the expected libraries where they are missing or outdated
+     * @returns {Object[]} result per install
+     */
+    async install() {
+        return this.execute((await this._loadedAsync()).planInstall());
+    }
+
+    /**
+     * @param {{version: String, components: String[], libraries: String[]}} options version to update to,
+     *        latest on the channel when not given, a version needs a single library to be selected
+     * @returns {Object[]} result per install
+     */
+    async update({ version, components = [], libraries = [] } = {}) {
+        const selected = components.length > 0 || libraries.length > 0;
+        const pkgs = selected ? await this.load({ components, libraries }) : await this._loadedAsync();
+        return this.execute(pkgs.planUpdate(version));
+    }
+
+    /**
+     * reinstall the moved tags and restore node_modules from the lockfiles
+     * @returns {Object[]} result per install
+     */
+    async repair() {
+        return this.execute((await this._loadedAsync()).planRepair());
+    }
+
+    /**
+     * run the installs of a plan as one transaction, when any of them fails or is cancelled
+     * the package.json and lockfile of every component are restored and node_modules is installed from them again,
+     * only a plan changing the expected versions is recorded for `rollback`
+     * @param {{component: Component, version: String}[]} plan installs, see `LeyserkidsComponentCollection.planUpdate`
+     * @returns {Object[]} result per install, see `InstallQueue.runAsync`
+     */
+    async execute(plan) {
+        if (plan.length === 0) {
+            return [];
+        }
+        const transaction = UpgradeTransaction.begin(this.root, plan, { record : UpgradeTransaction.isUpgrade(plan) });
+        try {
+            return await this._settleAsync(transaction, await this._runAsync(plan));
+        } finally {
+            transaction.close();
+        }
+    }
+
+    /**
+     * pin the components to a version in their package.json and refresh their lockfiles and node_modules
+     * @param {{version: String, components: String[], libraries: String[]}} options version to pin, latest on the channel
+     *        of each component when not given, a version needs a single library to be selected
+     * @returns {Object[]} result per install, see `executeBump`
+     */
+    async bump({ version, components = [], libraries = [] } = {}) {
+        const selected = components.length > 0 || libraries.length > 0;
+        const pkgs = selected ? await this.load({ components, libraries }) : await this._loadedAsync();
+        return this.executeBump(pkgs.planBump(version));
+    }
+
+    /**
+     * write the versions of a plan into package.json, keeping the formatting of the file, then install every component
+     * from it to refresh the lockfile, as one transaction like `execute`
+     * @param {{component: Component, version: String}[]} plan package.json changes, see `LeyserkidsComponentCollection.planBump`
+     * @returns {Object[]} result per install, one per component directory, see `InstallQueue.runAsync`
+     */
+    async executeBump(plan) {
+        if (plan.length === 0) {
+            return [];
+        }
+        const transaction = UpgradeTransaction.begin(this.root, plan);
+        try {
+            for (const { component, version } of plan) {
+                await component.setVersionAsync(version);
+            }
+        } catch (err) {
+            transaction.restore();
+            throw new KrlibError('Could not write package.json, every package.json is back as before', err);
+        }
+        const components = Utils.uniqueByPath(plan.map(step => step.component));
+        try {
+            return await this._settleAsync(transaction, await this._runAsync(components.map(component => ({ component, version : null }))));
+        } finally {
+            transaction.close();
+        }
+    }
+
+    /**
+     * commit the package.json and lockfiles changed by `executeBump`
+     * @param {{component: Component, from: String, to: String}[]} changes expected version of each component before and after
+     * @param {{branch: String, message: String}} options branch to create and switch to first, stays on the current one
+     *        when not given, message template, the `bump.message` of krlib.config.json when not given
+     * @returns {String} commit message
+     */
+    async commitBump(changes, { branch = null, message = this.environment.BUMP_MESSAGE } = {}) {
+        const text = Utils.renderBumpMessage(message, changes);
+        const files = changes.reduce((acc, { component }) => acc.concat(Object.keys(UpgradeTransaction._readFiles(component))
+            .map(name => path.relative(this.root, path.join(component.componentPath, name)))
+            .filter(file => existsSync(path.join(this.root, file)) && !acc.includes(file))), []);
+        await Utils.commitFilesAsync(this.root, files, text, { branch });
+        return text;
+    }
+
+    // commit the transaction when every install succeeded, roll it back otherwise
+    async _settleAsync(transaction, results) {
+        const cancelled = results.some(result => result.status === 'cancelled');
+        const failed = results.filter(result => result.status === 'failed');
+        if (!cancelled && failed.length === 0) {
+            transaction.commit();
+            return results;
+        }
+
+        // only the components an install ran in may have a changed node_modules, installed once per directory
+        const touched = Utils.uniqueByPath(results.filter(result => result.attempts > 0).map(result => result.component));
+        const rollback = await this._rollBackAsync(transaction, touched);
+        if (cancelled) {
+            throw Object.assign(new CancelledError('The installs were cancelled and rolled back', results), { rollback });
+        }
+        throw new InstallError(`${failed.length} of ${results.length} installs failed and were rolled back`, { results, rollback });
+    }
+
+    /**
+     * expected version of every component on each branch matching the patterns, read from git without checking them out
+     * @param {{refs: String[]}} options glob patterns over the local and remote-tracking branch names, such as `main` or `origin/release/*`
+     * @returns {{refs: String[], rows: {component: String, library: String, path: String, latestVersion: String, versions: Object}[]}}
+     *          branch names, and per component the range it expects by branch name, null where it has no dependency on the library
+     */
+    async report({ refs = [] } = {}) {
+        const pkgs = await this._loadedAsync();
+        const branches = await Utils.getBranchesAsync(this.root, refs);
+        if (branches.length === 0) {
+            throw new UsageError(`No local or remote-tracking branch matches ${refs.join(', ')}`);
+        }
+        // components of several libraries share their package.json
+        const files = new Map();
+        const readAsync = (branch, file) => {
+            const key = `${branch.ref}:${file}`;
+            if (!files.has(key)) {
+                files.set(key, Utils.readFileAtAsync(this.root, branch.ref, file).then(text => {
+                    try {
+                        return JSON.parse(text);
+                    } catch (unused) {
+                        return null;
+                    }
+                }));
+            }
+            return files.get(key);
+        };
+
+        const rows = [];
+        for (const component of pkgs.components) {
+            const file = path.relative(this.root, component.packageJson);
+            const versions = {};
+            for (const branch of branches) {
+                const pkg = await readAsync(branch, file);
+                const dependency = pkg && (pkg.dependencies || {})[component.library.name];
+                // a dependency which is not a `git+<url>#semver:` one is shown as it is
+                versions[branch.name] = !dependency ? null : /#semver:/.test(dependency) ? Component.parseExpectedVersion(dependency) : dependency;
+            }
+            rows.push({
+                component : component.componentName,
+                library : component.library.name,
+                path : path.relative(this.root, component.componentPath).split(path.sep).join('/'),
+                latestVersion : pkgs.getLatestVersionOf(component),
+                versions,
+            });
+        }
+        return { refs : branches.map(branch => branch.name), rows };
+    }
+
+    /**
+     * imports of library paths and names in the component sources which the versions of a plan remove or rename,
+     * comparing the tag of the installed version with the tag of the target version in the clone of the library
+     * @param {{component: Component, version: String}[]} plan installs, see `LeyserkidsComponentCollection.planUpdate`
+     * @returns {{component: Component, from: String, to: String, skipped: String, usages: Object[]}[]} per install, the imports
+     *          broken, see `ImpactAnalyzer.analyzeAsync`, skipped tells why nothing was compared
+     */
+    async impact(plan) {
+        const surfaces = new Map();
+        const surfaceOf = (library, version) => {
+            const key = `${library.name}@${version}`;
+            if (!surfaces.has(key)) {
+                surfaces.set(key, LibrarySurface.readAsync(this.repositories.get(library.name), version));
+            }
+            return surfaces.get(key);
+        };
+        const results = [];
+        for (const { component, version } of plan) {
+            const from = component.currentVersion || null;
+            const result = { component, from, to : version, skipped : null, usages : [] };
+            results.push(result);
+            if (!from || !version || from === version) {
+                result.skipped = from ? 'the version stays the same' : 'not installed';
+                continue;
+            }
+            const usages = ImpactAnalyzer.findUsagesSync(component.componentPath, component.library.name);
+            if (usages.length === 0) {
+                continue;
+            }
+            try {
+                result.usages = await ImpactAnalyzer.analyzeAsync(usages, await surfaceOf(component.library, from), await surfaceOf(component.library, version));
+            } catch (err) {
+                if (!(err instanceof VersionError)) {
+                    throw err;
+                }
+                // installed from a commit or a tag gone since
+                result.skipped = err.message;
+            }
+        }
+        return results;
+    }
+
+    /**
+     * what `execute` would do, without running or writing anything
+     * @param {{component: Component, version: String}[]} plan installs
+     * @returns {{component: Component, version: String, command: String[], file: String, diff: String}[]} installs with
+     *          their package manager command and package.json diff, see `InstallPlan.describe`
+     */
+    preview(plan) {
+        return plan.map(step => Object.assign({}, step, InstallPlan.describe(step, this.root)));
+    }
+
+    /**
+     * save a plan for `readPlan`
+     * @param {{component: Component, version: String}[]} plan installs
+     * @param {String} file plan file
+     */
+    savePlan(plan, file) {
+        InstallPlan.write(file, plan, this.root);
+    }
+
+    /**
+     * @param {String} file plan file written by `savePlan`
+     * @returns {{component: Component, version: String}[]} installs to pass to `execute`
+     */
+    async readPlan(file) {
+        return InstallPlan.read(file, await this._loadedAsync());
+    }
+
+    /**
+     * @returns {UpgradeTransaction} last upgrade which can be rolled back, null if there is none
+     */
+    getLastUpgrade() {
+        const transaction = UpgradeTransaction.readLastSync(this.root);
+        return transaction && transaction.journal.status === 'committed' ? transaction : null;
+    }
+
+    /**
+     * undo the last upgrade, restoring package.json, lockfile and node_modules of its components
+     * @returns {Object[]} result of installing node_modules again, per component
+     */
+    async rollback() {
+        const transaction = this.getLastUpgrade();
+        if (!transaction) {
+            throw new KrlibError('There is no upgrade to roll back');
+        }
+        const results = await this._rollBackAsync(transaction, null);
+        if (results.some(result => result.status === 'cancelled')) {
+            throw new CancelledError('The rollback was cancelled', results);
+        }
+        const failed = results.filter(result => result.status === 'failed');
+        if (failed.length > 0) {
+            throw new InstallError(`${failed.length} of ${results.length} components could not be rolled back`, { results });
+        }
+        return results;
+    }
+
+    async _runAsync(plan) {
+        const pkgs = await this._loadedAsync();
+        this.queue = pkgs.createQueue();
+        try {
+            return await pkgs.installPlanAsync(plan, this.queue);
+        } finally {
+            this.queue = null;
+            // the installs changed package.json, the lockfiles and node_modules
+            this.pkgs = null;
+        }
+    }
+
+    /**
+     * restore the recorded files and install node_modules from them again
+     * @param {UpgradeTransaction} transaction transaction to roll back
+     * @param {Component[]} componentArray components to install again, null for every component of the transaction
+     * @returns {Object[]} result per install
+     */
+    async _rollBackAsync(transaction, componentArray) {
+        const libraries = this.environment.LIBRARIES;
+        const components = componentArray || Utils.uniqueByPath(transaction.journal.components.map(record => {
+            const library = libraries.find(item => item.name === record.library);
+            if (!library) {
+                throw new KrlibError(`Cannot roll back ${record.name}, its library ${record.library} is no longer in krlib.config.json`);
+            }
+            return new Component(record.name, path.join(this.root, record.path), { packageManager : record.packageManager, library });
+        }));
+        this.emit('rollback-start', { components });
+        transaction.restore();
+        const results = await this._runAsync(components.map(component => ({ component, version : null })));
+        this.emit('rollback-done', { results });
+        return results;
+    }
+
+    /**
+     * stop the running installs and skip the pending ones, `execute` then throws a `CancelledError`
+     */
+    cancel() {
+        if (this.queue) {
+            this.queue.cancel();
+        }
+    }
+
+    /**
+     * changes of a library between two versions
+     * @param {String} from version to start after
+     * @param {String} to version to end with
+     * @param {{library: String}} options library name, the first library when not given
+     * @returns {Object[]} release per version, see `LibraryRepository.getChangelogAsync`
+     */
+    async changelog(from, to, { library } = {}) {
+        const versions = [from, to].map(version => semver.clean(version));
+        if (versions.includes(null)) {
+            throw new UsageError(`Invalid version: ${versions[0] === null ? from : to}`);
+        }
+        const { name } = this.getLibrary(library);
+        const repository = this.repositories.get(name);
+        const available = await repository.getVersionsAsync();
+        const missing = versions.find(version => !available.includes(version));
+        if (missing) {
+            throw new VersionError(`The ${name} has no release ${missing}`);
+        }
+        return repository.getChangelogAsync(...versions);
+    }
+}
+
+/**
+ * @param {Object} options see `Krlib`
+ * @returns {Krlib} krlib
+ */
+function createKrlib(options) {
+    return new Krlib(options);
+}
+
+/**
+ * checks the environment krlib runs in, every check runs even when an earlier one fails
+ */
+class Doctor {
+    /**
+     * @param {{cwd: String, offline: Boolean, env: Object}} options directory inside the repo, skip the remotes, environment variables
+     */
+    constructor({ cwd = process.cwd(), offline = false, env = process.env } = {}) {
+        this.cwd = cwd;
+        this.offline = offline;
+        this.env = env;
+        this.results = [];
+        this.packageManagers = new Set();
+    }
+
+    _add(name, status, message, fix = null) {
+        this.results.push({ name, status, message, fix });
+    }
+
+    /**
+     * @returns {{name: String, status: String, message: String, fix: String}[]} result per check, status is pass, warn or fail
+     */
+    async runAsync() {
+        await this._checkToolsAsync();
+        const rootPath = await this._checkRepositoryAsync();
+        const config = rootPath && this._checkConfig(rootPath);
+        if (rootPath) {
+            await this._checkRemotesAsync(rootPath, config ? config.remotes : Constant.DEFAULT_REMOTES);
+        }
+        if (config) {
+            await this._checkLibrariesAsync(config);
+            this._checkComponents(rootPath, config);
+        }
+        // yarn and pnpm when a component is installed with them
+        for (const packageManager of Array.from(this.packageManagers).filter(name => name !== 'npm')) {
+            await this._checkPackageManagerAsync(packageManager);
+        }
+        return this.results;
+    }
+
+    async _checkToolsAsync() {
+        try {
+            const cmd = await execFileAsync('git', ['--version']);
+            this._add('git', 'pass', cmd.stdout.trim());
+        } catch (unused) {
+            this._add('git', 'fail', 'git is not found', 'Install git and make sure it is on the PATH');
+        }
+
+        if (semver.lt(process.version, Constant.MINIMUM_NODE_VERSION)) {
+            this._add('node', 'fail', `node ${process.version} is too old`, `Install node ${Constant.MINIMUM_NODE_VERSION} or later`);
+        } else {
+            this._add('node', 'pass', `node ${process.version}`);
+        }
+        await this._checkPackageManagerAsync('npm');
+    }
+
+    async _checkPackageManagerAsync(packageManager) {
+        const { minimumVersion } = Constant.PACKAGE_MANAGERS[packageManager];
+        let version = null;
+        try {
+            version = await Utils.getPackageManagerVersionAsync(packageManager);
+        } catch (unused) {
+            this._add(packageManager, 'fail', `${packageManager} is not found`, packageManager === 'npm'
+                ? 'Install node with npm and make sure npm is on the PATH'
+                : `Run \`npm install -g ${packageManager}\``);
+            return;
+        }
+        if (semver.valid(version) && semver.lt(version, minimumVersion)) {
+            this._add(packageManager, 'fail', `${packageManager} ${version} is too old`, `Run \`npm install -g ${packageManager}@latest\`, ${minimumVersion} or later is needed`);
+        } else {
+            this._add(packageManager, 'pass', `${packageManager} ${version}`);
+        }
+    }
+
+    async _checkRepositoryAsync() {
+        let rootPath = null;
+        try {
+            // eslint-disable-next-line no-sync
+            rootPath = Utils.findRootSync(this.cwd);
+            this._add('repository', 'pass', rootPath);
+        } catch (unused) {
+            this._add('repository', 'fail', `${this.cwd} is not in a git repository`, 'Run krlib inside the git repository of the components');
+            return null;
+        }
+
+        const email = await Utils.getGitUserAsync();
+        if (email) {
+            this._add('git user', 'pass', email);
+        } else {
+            this._add('git user', 'warn', 'user.email is not set', 'Run `git config user.email <your email>`');
+        }
+        return rootPath;
+    }
+
+    async _checkRemotesAsync(rootPath, patterns) {
+        const remotes = await Utils.getRemotesAsync(rootPath).catch(() => []);
+        const remote = Utils.matchRemote(remotes, patterns);
+        if (remote) {
+            this._add('remote', 'pass', `${remote.name} ${remote.url}`);
+        } else if (remotes.length === 0) {
+            this._add('remote', 'fail', Utils.describeRemoteMismatch(remotes, patterns), 'Run `git remote add origin <url of the leyserkids repository>`');
+        } else {
+            this._add('remote', 'fail', Utils.describeRemoteMismatch(remotes, patterns),
+                'Add a pattern matching one of the remotes to "remotes" in the config, such as "github.com/<group>/*"');
+        }
+    }
+
+    _checkConfig(rootPath) {
+        try {
+            const config = ConfigLoader.load(rootPath, this.env, { checkDirectories : false });
+            this._add('config', 'pass', ConfigLoader.find(rootPath).file);
+            return config;
+        } catch (err) {
+            this._add('config', 'fail', err.message, 'Fix the config as reported, see the Configuration section of the krlib README');
+            return null;
+        }
+    }
+
+    async _checkLibrariesAsync(config) {
+        for (const library of Object.keys(config.libraries).map(name => new Library(name, config.libraries[name]))) {
+            const name = `${library.name} remote`;
+            if (this.offline) {
+                this._add(name, 'warn', 'not checked, offline');
+                continue;
+            }
+            try {
+                const tags = await Utils.getRemoteTagsAsync(library);
+                this._add(name, 'pass', `${tags.size} releases, the latest is ${Utils.getLatestVersion(Array.from(tags.keys()), config.channel)}`);
+            } catch (err) {
+                const stderr = (err.cause && err.cause.stderr) || '';
+                const reason = stderr.split('\n').find(line => line.startsWith('fatal:')) || err.message;
+                this._add(name, 'fail', reason, `Check the url in the config and your access with \`git ls-remote ${library.url}\``);
+            }
+        }
+    }
+
+    _checkComponents(rootPath, config) {
+        const options = Object.assign({}, config.component, ComponentDiscovery.discoverSync(rootPath, config));
+        Object.keys(options).filter(name => !options[name].ignore).forEach(name => {
+            const directory = path.join(rootPath, options[name].path);
+            const pkgFile = path.join(directory, Constant.COMPONENT_PKG_FILE);
+            if (!existsSync(directory)) {
+                this._add(name, 'fail', `${options[name].path} does not exist`, `Fix the path of "${name}" in the config, or remove it`);
+                return;
+            }
+            if (!existsSync(pkgFile)) {
+                this._add(name, 'fail', `${options[name].path} has no ${Constant.COMPONENT_PKG_FILE}`, `Fix the path of "${name}" in the config, or remove it`);
+                return;
+            }
+            let pkg = null;
+            try {
+                pkg = JsonSource.parse(readFileSync(pkgFile, 'utf8'), pkgFile).value;
+            } catch (err) {
+                this._add(name, 'fail', `${pkgFile} is not valid JSON, ${err.issues ? err.issues[0] : err.message}`, `Fix the JSON syntax of ${pkgFile}`);
+                return;
+            }
+            this._add(name, 'pass', `${pkgFile} is valid`);
+            this.packageManagers.add(options[name].packageManager || Utils.detectPackageManager(directory));
+            this._checkDependencies(name, directory, pkg, config, options[name]);
+        });
+    }
+
+    _checkDependencies(name, directory, pkg, config, options) {
+        const dependencies = Object.assign({}, pkg.devDependencies, pkg.dependencies);
+        const rangeOf = (library) => {
+            try {
+                return Component.parseExpectedVersion(dependencies[library]);
+            } catch (unused) {
+                // not a git+<url>#semver:<range> dependency
+                return null;
+            }
+        };
+        const libraries = Object.keys(config.libraries).filter(library => (pkg.dependencies || {})[library]);
+        if (libraries.length === 0) {
+            const [library] = Object.keys(config.libraries);
+            this._add(`${name} dependency`, 'fail', `no dependency on ${Object.keys(config.libraries).join(' or ')}`,
+                `Run \`npm install git+${config.libraries[library].url}#semver:<version>\` in ${directory}`);
+        }
+        libraries.forEach(library => {
+            const range = rangeOf(library);
+            if (!semver.validRange(range)) {
+                this._add(`${name} dependency`, 'fail', `${library} is ${dependencies[library]}, not a git+<url>#semver:<range> dependency`,
+                    `Set the dependency to git+${config.libraries[library].url}#semver:<version>`);
+            } else {
+                this._add(`${name} dependency`, 'pass', `${library} ${range}`);
+            }
+        });
+
+        const missing = Object.keys(dependencies).filter(dependency =>
+            !existsSync(path.join(directory, 'node_modules', dependency, Constant.COMPONENT_PKG_FILE)));
+        const mismatched = libraries.filter(library => {
+            const installed = Utils.readJsonSync(path.join(directory, 'node_modules', library, Constant.COMPONENT_PKG_FILE));
+            const range = rangeOf(library);
+            return installed && semver.validRange(range) && !semver.satisfies(installed.version, range);
+        });
+        if (missing.length > 0) {
+            this._add(`${name} node_modules`, 'warn', `missing ${missing.join(', ')}`,
+                `Run \`${options.packageManager || Utils.detectPackageManager(directory)} install\` in ${directory}`);
+        } else if (mismatched.length > 0) {
+            this._add(`${name} node_modules`, 'warn', `${mismatched.join(', ')} does not match the expected range`, 'Run `krlib install`');
+        } else {
+            this._add(`${name} node_modules`, 'pass', 'every dependency is installed');
+        }
+    }
+}
+
+/**
+ * finds, installs and announces the releases of the krlib CLI itself
+ */
+class CliUpdater {
+    /**
+     * @param {Object} settings `cli` section of the config, see `ConfigLoader.normalizeCli`
+     * @param {{installPath: String, cacheDirectory: String}} options directory krlib is installed in, cache directory
+     */
+    constructor(settings = ConfigLoader.normalizeCli(), { installPath = __dirname, cacheDirectory = Constant.CACHE_DIRECTORY } = {}) {
+        this.settings = settings;
+        this.installPath = installPath;
+        this.file = path.join(cacheDirectory, Constant.CLI_UPDATE_FILE);
+    }
+
+    static get NPM() {
+        // run without a shell, the package and registry come from the config of the repo
+        return /^win/.test(process.platform) ? 'npm.cmd' : 'npm';
+    }
+
+    /**
+     * settings of the krlib config of the repo, the defaults outside a repo with a config
+     * @param {String} cwd directory inside the repo
+     * @param {Object} env environment variables
+     * @returns {Object} `cli` section of the config
+     */
+    static loadSettings(cwd = process.cwd(), env = process.env) {
+        let rootPath = null;
+        try {
+            rootPath = Utils.findRootSync(cwd);
+            ConfigLoader.find(rootPath);
+        } catch (unused) {
+            return ConfigLoader.normalizeCli();
+        }
+        return ConfigLoader.load(rootPath, env, { checkDirectories : false }).cli;
+    }
+
+    /**
+     * @returns {String} where the releases are looked up, such as `npm package krlib`
+     */
+    get origin() {
+        const { source, package : name, registry, url } = this.settings;
+        if (source === 'git') {
+            return url;
+        }
+        return `npm package ${name}${registry ? ` on ${registry}` : ''}`;
+    }
+
+    /**
+     * @returns {String} npm prefix of the global install krlib runs from, null when it was not installed globally with npm
+     */
+    get prefix() {
+        // <prefix>/lib/node_modules/krlib, <prefix>\node_modules\krlib on Windows
+        const modules = path.dirname(this.installPath);
+        if (path.basename(modules) !== 'node_modules') {
+            return null;
+        }
+        if (process.platform === 'win32') {
+            return path.dirname(modules);
+        }
+        return path.basename(path.dirname(modules)) === 'lib' ? path.dirname(path.dirname(modules)) : null;
+    }
+
+    /**
+     * get every released version of the CLI, and remember the latest for the notice
+     * @returns {String[]} versions, prereleases included, oldest first
+     */
+    async getVersionsAsync() {
+        const { source, package : name, registry, url, tagPattern } = this.settings;
+        let versions;
+        if (source === 'git') {
+            versions = Array.from((await Utils.getRemoteTagsAsync(new Library(name, { url, tagPattern }))).keys());
+        } else {
+            try {
+                const cmd = await execFileAsync(CliUpdater.NPM, ['view', name, 'versions', '--json'].concat(registry ? ['--registry', registry] : []));
+                // a single version is printed as a string
+                versions = [].concat(JSON.parse(cmd.stdout));
+            } catch (err) {
+                throw new KrlibError(`Could not get the versions of ${this.origin}`, err);
+            }
+        }
+        versions = versions.filter(version => semver.valid(version)).sort(semver.compare);
+        this._writeState(Utils.getLatestVersion(versions));
+        return versions;
+    }
+
+    /**
+     * install a version over the running krlib with `npm install --global`
+     * @param {String} version version to install
+     */
+    async installAsync(version) {
+        const prefix = this.prefix;
+        if (prefix === null) {
+            throw new KrlibError(`krlib at ${this.installPath} was not installed globally with npm, update it the way it was installed`);
+        }
+        const { source, package : name, registry, url, tagPattern } = this.settings;
+        const spec = source === 'git' ? `git+${url}#${tagPattern.replace('{version}', version)}` : `${name}@${version}`;
+        const args = ['install', '--global', '--prefix', prefix, spec].concat(registry ? ['--registry', registry] : []);
+        const command = ['npm'].concat(args).join(' ');
+        Utils.loggerDebug(command);
+        try {
+            await execFileAsync(CliUpdater.NPM, args);
+        } catch (err) {
+            throw new KrlibError(`Could not install krlib ${version}, \`${command}\` failed`, err);
+        }
+    }
+
+    /**
+     * run the installed krlib to make sure the update took
+     * @param {String} version version expected
+     */
+    async confirmAsync(version) {
+        let installed;
+        try {
+            const cmd = await execFileAsync(process.execPath, [path.join(this.installPath, 'index.js'), '--version']);
+            installed = cmd.stdout.trim().split('\n').pop();
+        } catch (err) {
+            throw new KrlibError(`The installed krlib does not start, reinstall it with \`npm install --global ${Constant.CLI_PACKAGE}\``, err);
+        }
+        if (installed !== version) {
+            throw new KrlibError(`krlib ${installed || 'of an unknown version'} is installed at ${this.installPath} after the update, expected ${version}`);
+        }
+    }
+
+    /**
+     * @returns {String} latest version found by the last look, newer than the running krlib, null if there is none
+     */
+    getNewerVersion() {
+        const state = this._readState();
+        const current = Utils.getCliVersion();
+        return state && state.latestVersion && semver.gt(state.latestVersion, current) ? state.latestVersion : null;
+    }
+
+    /**
+     * look for a newer CLI in a detached process once the check interval passed, without waiting for it
+     */
+    checkInBackground() {
+        const state = this._readState();
+        if (this.settings.checkInterval === 0 || (state && Date.now() - state.checkedAt < this.settings.checkInterval * 3600 * 1000)) {
+            return;
+        }
+        // a failed look waits for the next interval as well
+        this._writeState(state && state.latestVersion);
+        const child = spawn(process.execPath, [path.join(this.installPath, 'index.js'), 'self-update', '--check', '--quiet'], {
+            stdio : 'ignore',
+            detached : true,
+        });
+        child.on('error', () => { });
+        child.unref();
+    }
+
+    _readState() {
+        let state = null;
+        try {
+            state = Utils.readJsonSync(this.file);
+        } catch (unused) { }
+        // looked up from another source before the config changed
+        return state && state.source === this.origin ? state : null;
+    }
+
+    _writeState(latestVersion) {
+        mkdirSync(path.dirname(this.file), { recursive : true });
+        writeFileSync(this.file, JSON.stringify({ source : this.origin, checkedAt : Date.now(), latestVersion : latestVersion || null }));
+    }
+}
+
+class TableBuilder {
+    constructor() {
+        this.HEADER_NAME = ['Module', 'Installed', 'Expected', 'Latest', 'Lock'];
+        this.INTEGRITY_LABEL = {
+            verified : 'ok',
+            'tag-moved' : 'TAG MOVED',
+            'lock-drift' : 'DRIFT',
+            unverified : '-',
+        };
+        this.header = [];
+        this.margin = '\u0020\u0020\u0020\u0020';
+    }
+
+    build() {
+        this._computeLayout();
+        const bodyStr = this.data.reduce((accRow, curRow, idx) => {
+            let insert = '\n';
+            if (idx === 0) {
+                insert = '';
+            } else if (idx === 1) {
+                insert = `\n${this.line}\n`;
+            }
+            accRow = accRow + insert + Object.values(curRow).sort((ra, rb) => ra.col - rb.col).map(col => col.str).reduce((accCol, curCol) => {
+                accCol = accCol + curCol;
+                return accCol;
+            });
+            return accRow;
+        }, '');
+
+        return bodyStr;
+    }
+
+    _computeLayout() {
+        this.data.unshift({
+            componentName : {
+                rawStr : this.HEADER_NAME[0],
+                length : this.HEADER_NAME[0].length,
+                col : 0,
+            },
+            currentVersion : {
+                rawStr : this.HEADER_NAME[1],
+                length : this.HEADER_NAME[1].length,
+                col : 1,
+            },
+            expectedVersion : {
+                rawStr : this.HEADER_NAME[2],
+                length : this.HEADER_NAME[2].length,
+                col : 2,
+            },
+            latestVersion : {
+                rawStr : this.HEADER_NAME[3],
+                length : this.HEADER_NAME[3].length,
+                col : 3,
+            },
+            integrity : {
+                rawStr : this.HEADER_NAME[4],
+                length : this.HEADER_NAME[4].length,
+                col : 4,
+            },
+        });
+        const cols = this.data.reduce((acc, cur) => {
+            const col = Object.values(cur).sort((ra, rb) => ra.col - rb.col).map(row => row.length);
+            for (let i = 0; i < acc.length; i++) {
+                acc[i] = col[i] > acc[i] ? col[i] : acc[i];
+            }
+            return acc;
+        }, this.HEADER_NAME.map(() => 0));
+        this.data.forEach(row => {
+            const col = Object.values(row).sort((ra, rb) => ra.col - rb.col);
+            for (let i = 0; i < cols.length; i++) {
+                col[i].str = col[i].rawStr.padEnd(cols[i], '\u0020') + this.margin;
+            }
+        });
+        this.width = cols.reduce((acc, cur) => {
+            acc = acc + cur;
+            return acc;
+        }) + (this.HEADER_NAME.length - 1) * this.margin.length;
+        this.line = new Array(this.width).fill('-').join('');
+    }
+
+    readSourceDate(pkgs) {
+        // a component depending on several libraries has a row per library
+        this.data = pkgs.components.map(component => {
+            const { currentVersion, expectedVersion } = component;
+            const componentName = pkgs.getDisplayName(component);
+            const latestVersion = pkgs.getLatestVersionOf(component) || 'unknown';
+            const integrity = this.INTEGRITY_LABEL[pkgs.integrity.get(component).status];
+            return {
+                componentName : {
+                    rawStr : componentName,
+                    length : componentName.length,
+                    col : 0,
+                },
+                currentVersion : {
+                    rawStr : currentVersion,
+                    length : currentVersion.length,
+                    col : 1,
+                },
+                expectedVersion : {
+                    rawStr : expectedVersion,
+                    length : expectedVersion.length,
+                    col : 2,
+                },
+                latestVersion : {
+                    rawStr : latestVersion,
+                    length : latestVersion.length,
+                    col : 3,
+                },
+                integrity : {
+                    rawStr : integrity,
+                    length : integrity.length,
+                    col : 4,
+                },
+            };
+        });
+    }
+}
+
+class CommandLine {
+    static get COMMANDS() {
+        return Object.freeze({
+            status : {
+                usage : 'status',
+                maxParams : 0,
+                installs : false,
+                description : 'Print the version overview of the components',
+            },
+            install : {
+                usage : 'install',
+                maxParams : 0,
+                installs : true,
+                description : 'Install the expected libraries where they are missing or outdated',
+            },
+            update : {
+                usage : 'update [version]',
+                maxParams : 1,
+                installs : true,
+                description : 'Update the components to [version] of the selected library, defaults to the latest',
+            },
+            bump : {
+                usage : 'bump <version|latest>',
+                minParams : 1,
+                maxParams : 1,
+                installs : true,
+                description : 'Pin the components to <version> in package.json, keeping its formatting, and refresh the lockfiles',
+            },
+            check : {
+                usage : 'check',
+                maxParams : 0,
+                installs : false,
+                description : 'Fail when a library is missing or outdated in any component, or a version policy rule fails',
+            },
+            verify : {
+                usage : 'verify',
+                maxParams : 0,
+                installs : true,
+                description : 'Check the lockfiles and node_modules against the remote tags, offer to repair',
+            },
+            changelog : {
+                usage : 'changelog <from> <to>',
+                minParams : 2,
+                maxParams : 2,
+                installs : false,
+                description : 'Print the library changes after version <from> up to version <to>',
+            },
+            rollback : {
+                usage : 'rollback',
+                maxParams : 0,
+                installs : true,
+                description : 'Undo the last upgrade, restoring package.json, lockfile and node_modules',
+            },
+            doctor : {
+                usage : 'doctor',
+                maxParams : 0,
+                installs : false,
+                description : 'Check git, node, the package managers, the config, the remotes and the components, with a fix for each problem',
+            },
+            config : {
+                usage : 'config sync',
+                minParams : 1,
+                maxParams : 1,
+                subcommands : ['sync'],
+                installs : false,
+                description : 'List the components missing from the config and the config entries gone from disk',
+            },
+            hooks : {
+                usage : 'hooks <install|uninstall>',
+                minParams : 1,
+                maxParams : 1,
+                subcommands : ['install', 'uninstall'],
+                installs : false,
+                description : 'Install or remove the git hooks checking the libraries',
+            },
+            plan : {
+                usage : 'plan [version]',
+                maxParams : 1,
+                installs : false,
+                description : 'Print what krlib would install, to [version] in place of the latest, save it with --save-plan',
+            },
+            apply : {
+                usage : 'apply <plan>',
+                minParams : 1,
+                maxParams : 1,
+                installs : true,
+                description : 'Install a plan saved with --save-plan, unless a package.json changed since',
+            },
+            impact : {
+                usage : 'impact <version|latest>',
+                minParams : 1,
+                maxParams : 1,
+                installs : false,
+                description : 'List the imports of library paths and names which <version> removes or renames, per component',
+            },
+            report : {
+                usage : 'report --refs <pattern>',
+                maxParams : 0,
+                installs : false,
+                description : 'Print the version each component expects on every branch matching --refs, with the latest one',
+            },
+            'self-update' : {
+                usage : 'self-update [version]',
+                maxParams : 1,
+                installs : false,
+                description : 'Update krlib itself to [version], defaults to the latest, only look for it with --check',
+            },
+            hook : {
+                usage : 'hook <name> [args]',
+                minParams : 1,
+                maxParams : 4,
+                subcommands : GitHooks.NAMES,
+                installs : false,
+                description : 'Run by the git hooks, checks the libraries for git hook <name>',
+            },
+        });
+    }
+
+    static get OPTIONS() {
+        return Object.freeze({
+            yes : {
+                flags : ['-y', '--yes'],
+                description : 'Answer yes to every prompt',
+            },
+            format : {
+                flags : ['-f', '--format'],
+                value : '<format>',
+                default : 'text',
+                description : `Output format of status: ${StatusReporter.FORMATS.join(', ')}, of report: ${VersionMatrixReporter.FORMATS.join(', ')}`,
+            },
+            offline : {
+                flags : ['--offline'],
+                description : 'Do not contact the library remotes, use the cached tags',
+            },
+            components : {
+                flags : ['-c', '--component'],
+                value : '<name>',
+                multiple : true,
+                description : 'Only handle the given component, may be repeated',
+            },
+            libraries : {
+                flags : ['-l', '--library'],
+                value : '<name>',
+                multiple : true,
+                description : 'Only handle the given library, may be repeated',
+            },
+            refs : {
+                flags : ['--refs'],
+                value : '<pattern>',
+                multiple : true,
+                description : 'Branches of report, such as main, release/* or origin/**, may be repeated',
+            },
+            dryRun : {
+                flags : ['--dry-run'],
+                description : 'Print the commands and the package.json changes of install, update, verify, bump or krlib, run nothing',
+            },
+            savePlan : {
+                flags : ['--save-plan'],
+                value : '<file>',
+                description : 'Save the plan of --dry-run or plan to <file>, for `krlib apply <file>`',
+            },
+            commit : {
+                flags : ['--commit'],
+                description : 'With bump, commit the package.json and lockfiles, see `bump.message` of the config',
+            },
+            branch : {
+                flags : ['--branch'],
+                value : '<name>',
+                description : 'With bump, commit on a new branch <name>',
+            },
+            verbose : {
+                flags : ['-v', '--verbose'],
+                description : 'Also print the details, such as the package manager commands',
+            },
+            quiet : {
+                flags : ['-q', '--quiet'],
+                description : 'Only print warnings, errors and prompts',
+            },
+            logFile : {
+                flags : ['--log-file'],
+                value : '<file>',
+                description : 'Append a timestamped transcript of the run to <file>, verbose details included',
+            },
+            check : {
+                flags : ['--check'],
+                description : 'With self-update, only tell whether a newer krlib is released',
+            },
+            version : {
+                flags : ['--version'],
+                description : 'Print the version of krlib',
+            },
+            help : {
+                flags : ['-h', '--help'],
+                description : 'Show this help',
+            },
+        });
+    }
+
+    static get EXIT_CODES() {
+        return Object.freeze([
+            [ExitCode.SUCCESS, 'Success'],
+            [ExitCode.FAILURE, 'Unexpected failure'],
+            [ExitCode.USAGE, 'Invalid usage, or a prompt could not be answered'],
+            [ExitCode.OUTDATED, 'A library is missing or outdated (check), or krlib is (self-update --check)'],
+            [ExitCode.CONFIG, 'The krlib config is missing or invalid, or out of sync (config sync)'],
+            [ExitCode.INSTALL_FAILED, 'Installing into at least one component failed'],
+            [ExitCode.INTEGRITY, 'A tag moved or node_modules drifted from the lockfile (check, verify)'],
+            [ExitCode.POLICY, 'A version policy rule failed (check)'],
+            [ExitCode.IMPACT, 'The version removes or renames library paths or names the components import (impact)'],
+            [ExitCode.CANCELLED, 'Cancelled with Ctrl-C'],
+        ]);
+    }
+
+    /**
+     * parse the command line arguments
+     * @param {String[]} argv arguments without the node executable and script path
+     * @returns {{command: String, params: String[], options: Object}} parsed command line
+     */
+    static parse(argv) {
+        const parsed = {
+            command : null,
+            params : [],
+            options : CommandLine._defaultOptions(),
+        };
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (!arg.startsWith('-')) {
+                if (parsed.command === null) {
+                    if (!CommandLine.COMMANDS.hasOwnProperty(arg)) {
+                        throw new UsageError(`Unknown command: ${arg}`);
+                    }
+                    parsed.command = arg;
+                } else {
+                    parsed.params.push(arg);
+                }
+                continue;
+            }
+
+            const [flag, inlineValue] = arg.split(/=(.*)/, 2);
+            const key = Object.keys(CommandLine.OPTIONS).find(name => CommandLine.OPTIONS[name].flags.includes(flag));
+            if (!key) {
+                throw new UsageError(`Unknown option: ${flag}`);
+            }
+            const option = CommandLine.OPTIONS[key];
+            if (!option.value) {
+                parsed.options[key] = true;
+                continue;
+            }
+
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (!value || value.startsWith('-')) {
+                throw new UsageError(`Option ${flag} requires a value ${option.value}`);
+            }
+            if (option.multiple) {
+                parsed.options[key].push(value);
+            } else {
+                parsed.options[key] = value;
+            }
+        }
+
+        if (parsed.command !== null && parsed.params.length > CommandLine.COMMANDS[parsed.command].maxParams) {
+            throw new UsageError(`Too many arguments for ${parsed.command}: ${parsed.params.join(' ')}`);
+        }
+        if (parsed.command !== null && parsed.params.length < (CommandLine.COMMANDS[parsed.command].minParams || 0)) {
+            throw new UsageError(`Missing arguments, usage: krlib ${CommandLine.COMMANDS[parsed.command].usage}`);
+        }
+        const subcommands = parsed.command !== null && CommandLine.COMMANDS[parsed.command].subcommands;
+        if (subcommands && !subcommands.includes(parsed.params[0])) {
+            throw new UsageError(`Unknown command: ${parsed.command} ${parsed.params[0]}, usage: krlib ${CommandLine.COMMANDS[parsed.command].usage}`);
+        }
+        return parsed;
+    }
+
+    static usage() {
+        const pad = (rows) => {
+            const width = Math.max(...rows.map(row => row[0].length)) + 4;
+            return rows.map(([name, description]) => `  ${name.padEnd(width, '\u0020')}${description}`).join('\n');
+        };
+        const commands = Object.values(CommandLine.COMMANDS).map(command => [command.usage, command.description]);
+        const options = Object.values(CommandLine.OPTIONS).map(option => [
+            option.flags.join(', ') + (option.value ? ` ${option.value}` : ''),
+            option.description,
+        ]);
+        const exitCodes = CommandLine.EXIT_CODES.map(([code, description]) => [String(code), description]);
+
+        return [
+            'Usage: krlib [command] [options]',
+            '',
+            'Without a command, krlib checks every component and prompts before installing.',
+            '',
+            'Commands:',
+            pad(commands),
+            '',
+            'Options:',
+            pad(options),
+            '',
+            'Exit codes:',
+            pad(exitCodes),
+        ].join('\n');
+    }
+
+    static _defaultOptions() {
+        return Object.keys(CommandLine.OPTIONS).reduce((acc, key) => {
+            const option = CommandLine.OPTIONS[key];
+            if (option.multiple) {
+                acc[key] = [];
+            } else {
+                acc[key] = option.value ? option.default || null : false;
+            }
+            return acc;
+        }, {});
+    }
+}
+
+class StatusReporter {
+    constructor(pkgs) {
+        this.latestVersion = pkgs.latestVersion;
+        this.libraries = pkgs.getLibraries().map(library => ({
+            name : library.name,
+            latestVersion : Utils.getLatestVersion(pkgs.getVersionsOf(library), pkgs.environment.RELEASE_CHANNEL),
+        }));
+        this.status = pkgs.getStatus();
+    }
+
+    static get FORMATS() {
+        return Object.freeze(['text', 'json', 'junit', 'markdown']);
+    }
+
+    build(format) {
+        switch (format) {
+            case 'json':
+                return this.buildJson();
+            case 'junit':
+                return this.buildJunit();
+            case 'markdown':
+                return this.buildMarkdown();
+            default:
+                throw new UsageError(`Unsupported format: ${format}`);
+        }
+    }
+
+    buildJson() {
+        return JSON.stringify({
+            latestVersion : this.latestVersion,
+            libraries : this.libraries,
+            components : this.status,
+        }, null, 2);
+    }
+
+    buildJunit() {
+        const failures = this.status.filter(item => StatusReporter._isFailure(item)).length;
+        const caseOf = (item) => {
+            const properties = [
+                ['path', item.componentPath],
+                ['library', item.library],
+                ['installed', item.currentVersion || ''],
+                ['expected', item.expectedVersion],
+                ['channel', item.channel],
+                ['latest', item.latestVersion || 'unknown'],
+                ['behindLatest', String(item.behindLatest)],
+                ['integrity', item.integrity.status],
+            ].map(([name, value]) => `        <property name="${name}" value="${StatusReporter._escapeXml(value)}"/>`);
+            const lines = [
+                `    <testcase classname="krlib" name="${StatusReporter._escapeXml(item.componentName)}">`,
+                '      <properties>',
+                ...properties,
+                '      </properties>',
+            ];
+            if (StatusReporter._isFailure(item)) {
+                const message = StatusReporter._escapeXml(StatusReporter._describe(item));
+                const type = ({ '-2' : 'uninstalled', '-1' : 'outdated', '1' : 'unexpected' })[item.compareVersion] || item.integrity.status;
+                lines.push(`      <failure message="${message}" type="${type}"/>`);
+            }
+            lines.push('    </testcase>');
+            return lines.join('\n');
+        };
+        // a suite per library, so that CI dashboards keep them apart
+        const suites = this.libraries.map(({ name }) => {
+            const items = this.status.filter(item => item.library === name);
+            const suiteFailures = items.filter(item => StatusReporter._isFailure(item)).length;
+            return [
+                `  <testsuite name="${StatusReporter._escapeXml(name)}" tests="${items.length}" failures="${suiteFailures}" errors="0" skipped="0">`,
+                ...items.map(caseOf),
+                '  </testsuite>',
+            ].join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="krlib" tests="${this.status.length}" failures="${failures}">`,
+            ...suites,
+            '</testsuites>',
+        ].join('\n');
+    }
+
+    buildMarkdown() {
+        const rows = this.status.map(item => `| ${[
+            this._nameOf(item),
+            item.currentVersion || '-',
+            item.expectedVersion,
+            item.latestVersion || 'unknown',
+            StatusReporter._describe(item),
+        ].join(' | ')} |`);
+
+        return [
+            `### ${this.libraries.map(library => `${library.name} status (latest ${library.latestVersion || 'unknown'})`).join(', ')}`,
+            '',
+            '| Module | Installed | Expected | Latest | Status |',
+            '| --- | --- | --- | --- | --- |',
+            ...rows,
+        ].join('\n');
+    }
+
+    _nameOf(item) {
+        return this.libraries.length > 1 ? `${item.componentName} (${item.library})` : item.componentName;
+    }
+
+    static _describe(item) {
+        if (!item.exist) {
+            return `not installed, expected ${item.expectedVersion}`;
+        }
+        if (item.compareVersion < 0) {
+            return `outdated, expected ${item.expectedVersion}`;
+        }
+        if (item.compareVersion > 0) {
+            return `newer than expected ${item.expectedVersion}`;
+        }
+        if (item.integrity.status === 'tag-moved') {
+            return `tag of ${item.integrity.version} moved to ${String(item.integrity.tagCommit).slice(0, 7)}, locked ${item.integrity.lockedCommit.slice(0, 7)}`;
+        }
+        if (item.integrity.status === 'lock-drift') {
+            const { version, lockedCommit, installedCommit } = item.integrity;
+            const installed = installedCommit ? ` (${installedCommit.slice(0, 7)})` : '';
+            return `node_modules has ${item.currentVersion}${installed}, the lockfile has ${version} (${lockedCommit.slice(0, 7)})`;
+        }
+        if (item.behindLatest) {
+            return `behind latest ${item.latestVersion}`;
+        }
+        return 'up to date';
+    }
+
+    static _isFailure(item) {
+        return item.compareVersion !== 0 || ['tag-moved', 'lock-drift'].includes(item.integrity.status);
+    }
+
+    static _escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+/**
+ * component × branch matrix of the expected versions, built from `Krlib.report`
+ */
+class VersionMatrixReporter {
+    /**
+     * @param {{refs: String[], rows: Object[]}} matrix result of `Krlib.report`
+     */
+    constructor(matrix) {
+        this.refs = matrix.refs;
+        this.rows = matrix.rows;
+        this.libraries = Array.from(new Set(this.rows.map(row => row.library)));
+    }
+
+    static get FORMATS() {
+        return Object.freeze(['text', 'markdown', 'html']);
+    }
+
+    build(format) {
+        switch (format) {
+            case 'text':
+                return this.buildText();
+            case 'markdown':
+                return this.buildMarkdown();
+            case 'html':
+                return this.buildHtml();
+            default:
+                throw new UsageError(`Unsupported format: ${format}`);
+        }
+    }
+
+    /**
+     * @returns {String[][]} cells of each row, the module name, the range on each branch and the latest version
+     */
+    _cells() {
+        return this.rows.map(row => [this._nameOf(row)]
+            .concat(this.refs.map(ref => row.versions[ref] === null ? '-' : row.versions[ref] + (VersionMatrixReporter._isBehind(row, ref) ? ' *' : '')))
+            .concat(row.latestVersion || 'unknown'));
+    }
+
+    buildText() {
+        const header = ['Module'].concat(this.refs, 'Latest');
+        const cells = this._cells();
+        const widths = header.map((title, i) => Math.max(title.length, ...cells.map(row => row[i].length)) + 4);
+        const line = (row) => row.map((cell, i) => cell.padEnd(widths[i], '\u0020')).join('').trimRight();
+        return [
+            `\n${this.libraries.join(', ')} by branch\n${'='.repeat(`${this.libraries.join(', ')} by branch`.length)}`,
+            line(header),
+            '-'.repeat(widths.reduce((acc, width) => acc + width, 0) - 4),
+            ...cells.map(line),
+            '',
+            '* does not allow the latest version, - no dependency on the branch',
+        ].join('\n');
+    }
+
+    buildMarkdown() {
+        const header = ['Module'].concat(this.refs, 'Latest');
+        return [
+            `### ${this.libraries.join(', ')} by branch`,
+            '',
+            `| ${header.join(' | ')} |`,
+            `| ${header.map(() => '---').join(' | ')} |`,
+            ...this._cells().map(row => `| ${row.join(' | ')} |`),
+            '',
+            '\\* does not allow the latest version, - no dependency on the branch',
+        ].join('\n');
+    }
+
+    buildHtml() {
+        const escape = StatusReporter._escapeXml;
+        const title = `${this.libraries.join(', ')} by branch`;
+        const rows = this.rows.map(row => [
+            '    <tr>',
+            `      <th>${escape(this._nameOf(row))}</th>`,
+            ...this.refs.map(ref => row.versions[ref] === null
+                ? '      <td class="missing">-</td>'
+                : `      <td${VersionMatrixReporter._isBehind(row, ref) ? ' class="behind"' : ''}>${escape(row.versions[ref])}</td>`),
+            `      <td>${escape(row.latestVersion || 'unknown')}</td>`,
+            '    </tr>',
+        ].join('\n'));
+
+        return [
+            '<!DOCTYPE html>',
+            '<html>',
+            '<head>',
+            '  <meta charset="utf-8">',
+            `  <title>${escape(title)}</title>`,
+            '  <style>',
+            '    body { font-family: sans-serif; }',
+            '    table { border-collapse: collapse; }',
+            '    th, td { border: 1px solid #ccc; padding: 4px 12px; text-align: left; }',
+            '    td.behind { background: #fde2e1; }',
+            '    td.missing { color: #999; }',
+            '  </style>',
+            '</head>',
+            '<body>',
+            `  <h1>${escape(title)}</h1>`,
+            '  <table>',
+            `    <tr><th>Module</th>${this.refs.map(ref => `<th>${escape(ref)}</th>`).join('')}<th>Latest</th></tr>`,
+            ...rows,
+            '  </table>',
+            '  <p>Highlighted: does not allow the latest version, -: no dependency on the branch</p>',
+            '</body>',
+            '</html>',
+        ].join('\n');
+    }
+
+    _nameOf(row) {
+        return this.libraries.length > 1 ? `${row.component} (${row.library})` : row.component;
+    }
+
+    static _isBehind(row, ref) {
+        const range = row.versions[ref];
+        return Boolean(row.latestVersion && range && semver.validRange(range) && !semver.satisfies(row.latestVersion, range, { includePrerelease : true }));
+    }
+}
+
+/**
+ * reads answers from stdin line by line, answers piped ahead of the questions are kept for them
+ */
+class LineReader {
+    constructor(input = process.stdin) {
+        this.input = input;
+        this.lines = [];
+        this.buffer = '';
+        this.ended = false;
+    }
+
+    /**
+     * @returns {String} next line without its line break, null when stdin ended
+     */
+    readLineAsync() {
+        if (this.lines.length > 0) {
+            return Promise.resolve(this.lines.shift());
+        }
+        if (this.ended) {
+            return Promise.resolve(null);
+        }
+        return new Promise((resolve) => {
+            const done = (line) => {
+                this.input.removeListener('data', onData);
+                this.input.removeListener('end', onEnd);
+                this.input.pause();
+                resolve(line);
+            };
+            const onData = (data) => {
+                const parts = (this.buffer + data).split(/\r?\n/);
+                this.buffer = parts.pop();
+                this.lines.push(...parts);
+                if (this.lines.length > 0) {
+                    done(this.lines.shift());
+                }
+            };
+            const onEnd = () => {
+                // the last line may have no line break
+                const rest = this.buffer;
+                this.buffer = '';
+                this.ended = true;
+                done(rest !== '' ? rest : null);
+            };
+            this.input.setEncoding('utf-8');
+            this.input.on('data', onData);
+            this.input.once('end', onEnd);
+            this.input.resume();
+        });
+    }
+}
+
+/**
+ * lets the user pick the components of a plan and the version each is installed with,
+ * a checkbox list on a terminal, numbered prompts when stdin is piped
+ */
+class UpdatePicker {
+    /**
+     * @param {LeyserkidsComponentCollection} pkgs components with the tags of their libraries
+     * @param {{reader: LineReader, input: ReadStream, output: WriteStream}} options answers of the numbered prompts, terminal
+     */
+    constructor(pkgs, { reader = new LineReader(), input = process.stdin, output = process.stdout } = {}) {
+        this.pkgs = pkgs;
+        this.reader = reader;
+        this.input = input;
+        this.output = output;
+    }
+
+    /**
+     * @param {{component: Component, version: String}[]} plan installs offered, every one selected at first
+     * @returns {{component: Component, version: String}[]} installs picked, with the versions chosen
+     */
+    async pickAsync(plan) {
+        const items = plan.map(({ component, version }) => {
+            const versions = this.pkgs.getTargetVersionsOf(component);
+            // an expected range is offered as the newest release it allows, and stays the range unless another version is chosen
+            const target = semver.valid(version) ? version : semver.maxSatisfying(versions, version, { includePrerelease : true });
+            return {
+                component,
+                // no release satisfies the range, there is no version to choose
+                versions : !target ? [version] : versions.includes(target) ? versions : versions.concat(target).sort(semver.compare),
+                version : target || version,
+                planned : { target : target || version, version },
+                selected : true,
+            };
+        });
+        const picked = this.input.isTTY && this.output.isTTY ? await this._pickOnTerminalAsync(items) : await this._pickNumberedAsync(items);
+        return picked.map(({ component, version, planned }) => ({ component, version : version === planned.target ? planned.version : version }));
+    }
+
+    _describe(item) {
+        const { component } = item;
+        const latest = this.pkgs.getLatestVersionOf(component) || 'unknown';
+        return `${this.pkgs.getDisplayName(component)}  ${component.currentVersion || 'not installed'} -> ${item.version}` +
+            `  (expected ${component.expectedVersion || '-'}, latest ${latest})`;
+    }
+
+    /**
+     * ↑/↓ move, space toggles, ←/→ change the version, a toggles every component, enter confirms, esc picks none
+     */
+    _pickOnTerminalAsync(items) {
+        let cursor = 0;
+        let drawn = 0;
+        const draw = () => {
+            const lines = items.map((item, index) =>
+                `${index === cursor ? '>' : ' '} [${item.selected ? 'x' : ' '}] ${this._describe(item)}`);
+            this.output.write((drawn > 0 ? `\x1b[${drawn}A` : '') + lines.map(line => `\x1b[2K${line}\n`).join(''));
+            drawn = lines.length;
+        };
+
+        return new Promise((resolve, reject) => {
+            const finish = (error, picked) => {
+                this.input.removeListener('keypress', onKeypress);
+                this.input.setRawMode(false);
+                this.input.pause();
+                return error ? reject(error) : resolve(picked);
+            };
+            const onKeypress = (str, key = {}) => {
+                const item = items[cursor];
+                const move = (step) => {
+                    item.version = item.versions[Math.min(Math.max(item.versions.indexOf(item.version) + step, 0), item.versions.length - 1)];
+                };
+                if (key.ctrl && key.name === 'c') {
+                    return finish(new CancelledError('Cancelled', []));
+                }
+                switch (key.name) {
+                    case 'up':
+                        cursor = (cursor + items.length - 1) % items.length;
+                        break;
+                    case 'down':
+                        cursor = (cursor + 1) % items.length;
+                        break;
+                    case 'left':
+                        move(-1);
+                        break;
+                    case 'right':
+                        move(1);
+                        break;
+                    case 'space':
+                        item.selected = !item.selected;
+                        break;
+                    case 'a': {
+                        const selected = !items.every(entry => entry.selected);
+                        items.forEach(entry => { entry.selected = selected; });
+                        break;
+                    }
+                    case 'return':
+                        return finish(null, items.filter(entry => entry.selected));
+                    case 'escape':
+                        return finish(null, []);
+                    default:
+                        return null;
+                }
+                return draw();
+            };
+
+            this.output.write('Select with space, change the version with ←/→, [a] toggles all, enter confirms, esc skips\n');
+            draw();
+            readline.emitKeypressEvents(this.input);
+            this.input.setRawMode(true);
+            this.input.on('keypress', onKeypress);
+            this.input.resume();
+        });
+    }
+
+    async _askAsync(question, parse) {
+        for (;;) {
+            Utils.loggerPrompt(question);
+            const line = await this.reader.readLineAsync();
+            if (line === null) {
+                throw new UsageError('No answer could be read from stdin, rerun with --yes to confirm');
+            }
+            Utils.logger.record('input', line);
+            const answer = parse(line.trim());
+            if (answer !== undefined) {
+                return answer;
+            }
+            Utils.loggerWarning('Invalid input');
+        }
+    }
+
+    async _pickNumberedAsync(items) {
+        Utils.loggerPrompt('');
+        items.forEach((item, index) => Utils.loggerPrompt(`  ${index + 1}) ${this._describe(item)}`));
+        const picked = await this._askAsync('Type the numbers of the components separated by spaces, [a] for all or [n] for none', (answer) => {
+            if (answer === 'a' || answer === 'n') {
+                return answer === 'a' ? items : [];
+            }
+            const numbers = answer.split(/[\s,]+/).map(Number);
+            const valid = answer !== '' && numbers.every(number => Number.isInteger(number) && number >= 1 && number <= items.length);
+            return valid ? items.filter((item, index) => numbers.includes(index + 1)) : undefined;
+        });
+        for (const item of picked.filter(entry => entry.versions.length > 1)) {
+            item.version = await this._askAsync(
+                `${this.pkgs.getDisplayName(item.component)}: type the version, or press enter for ${item.version} (available: ${item.versions.join(', ')})`,
+                (answer) => answer === '' ? item.version : item.versions.find(version => version === semver.clean(answer) || version === answer),
+            );
+        }
+        return picked;
+    }
+}
+
+class Cli {
+    constructor() {
+        this.reader = new LineReader();
+        // newer krlib found by an earlier look, announced at the end of the run
+        this.newerCliVersion = null;
+    }
+
+    showLogo() {
+        // prettier-ignore
+        const LOGO = '' +
+            '    __ __         __    _ __                         \n' +
+            '   / //_/_____   / /   (_) /_  _________ ________  __\n' +
+            '  / ,<  / ___/  / /   / / __ \\/ ___/ __ `/ ___/ / / /\n' +
+            ' / /| |/ /     / /___/ / /_/ / /  / /_/ / /  / /_/ / \n' +
+            '/_/ |_/_/     /_____/_/_.___/_/   \\__,_/_/   \\__, /  \n' +
+            '                                            /____/   \n';
+        Utils.loggerInfo(LOGO);
+    }
+
+    /**
+     * read answers until one of the expected ones is typed
+     * @param {String[]} expectedInputs answers accepted, such as y and n
+     * @returns {String} answer, null when stdin ended
+     */
+    async getUserInputAsync(expectedInputs) {
+        for (;;) {
+            const line = await this.reader.readLineAsync();
+            if (line === null) {
+                return null;
+            }
+            Utils.logger.record('input', line);
+            const answer = line.trim().toLowerCase();
+            if (expectedInputs.includes(answer)) {
+                return answer;
+            }
+            Utils.loggerWarning(`Invalid input, type one of ${expectedInputs.join(', ')}`);
+        }
+    }
+
+    /**
+     * let the user pick the installs of a plan and confirm them, the whole plan with --yes
+     * @param {{component: Component, version: String}[]} plan installs offered
+     * @param {String} action what the installs do, such as update
+     * @returns {{component: Component, version: String}[]} installs confirmed, empty when none
+     */
+    async pickPlanAsync(plan, action) {
+        if (this.options.yes) {
+            return plan;
+        }
+        const picked = await new UpdatePicker(this.pkgs, { reader : this.reader }).pickAsync(plan);
+        if (picked.length === 0) {
+            Utils.loggerInfo('Nothing selected');
+            return [];
+        }
+        Utils.loggerWarning(`\nPlan:\n${picked
+            .map(({ component, version }) => `  ${this.pkgs.getDisplayName(component)}: ${component.currentVersion || 'not installed'} -> ${version}`)
+            .join('\n')}`);
+        return (await this.confirmAsync(`Type [y] to confirm ${action} or [n] to cancel`)) ? picked : [];
+    }
+
+    /**
+     * ask the user for a y/n answer, or answer yes straight away with --yes
+     * @param {String} question prompt shown to the user
+     * @returns {Boolean} true when confirmed
+     */
+    async confirmAsync(question) {
+        if (this.options.yes) {
+            return true;
+        }
+        Utils.loggerPrompt(`\n${question}`);
+        const ipt = await this.getUserInputAsync(['y', 'n']);
+        if (ipt === null) {
+            throw new UsageError('No answer could be read from stdin, rerun with --yes to confirm');
+        }
+        return ipt === 'y';
+    }
+
+    async checkInstall() {
+        const exist = await this.krLibrary.checkFullyInstalledAsync();
+        if (!exist) {
+            const UNINSTALLED =
+                'The kr-library has never been installed, \nPlease type y to confirm install the expected kr-library';
+            Utils.loggerError(UNINSTALLED);
+        }
+        return exist;
+    }
+
+    /**
+     * make sure krlib runs in a leyserkids repository, one of its remotes matching the `remotes` of the config
+     * @returns {Boolean} true when it does
+     */
+    async checkEnvironmentAsync() {
+        // eslint-disable-next-line no-sync
+        const rootPath = Utils.findRootSync();
+        const { remotes : patterns } = ConfigLoader.load(rootPath, process.env, { checkDirectories : false });
+        const remotes = await Utils.getRemotesAsync(rootPath);
+        if (Utils.matchRemote(remotes, patterns) === null) {
+            Utils.loggerError(`Please run this command in a leyserkids repository, ${Utils.describeRemoteMismatch(remotes, patterns)}.\n` +
+                'Add a pattern matching one of the remotes to "remotes" in the config if it is one');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * pick up the newer krlib found by the last look, and look again in the background once the check interval passed
+     */
+    checkCliUpdate() {
+        if (process.env.CI || !process.stdout.isTTY) {
+            return;
+        }
+        try {
+            const updater = new CliUpdater(CliUpdater.loadSettings());
+            this.newerCliVersion = updater.getNewerVersion();
+            updater.checkInBackground();
+        } catch (unused) {
+            // a broken config is reported by the command itself
+        }
+    }
+
+    /**
+     * @param {Component[]} componentArray components
+     * @returns {String} their libraries with the verb, such as `kr-library is` or `kr-library, ui-kit are`
+     */
+    static describeLibraries(componentArray) {
+        const names = Array.from(new Set(componentArray.map(component => component.library.name)));
+        return `${names.join(', ')} ${names.length > 1 ? 'are' : 'is'}`;
+    }
+
+    showInstalledStatus(pkgs) {
+        Utils.loggerInfo('\nOverview\n========');
+        const tableBuilder = new TableBuilder();
+        tableBuilder.readSourceDate(pkgs);
+        const table = tableBuilder.build();
+        Utils.loggerInfo(table);
+    }
+
+    /**
+     * print the library changes between two versions, grouped by version and newest first
+     * @param {String} from version to start after
+     * @param {String} to version to end with
+     * @param {String} libraryName library, the first one when not given
+     */
+    async showChangelogAsync(from, to, libraryName) {
+        const library = this.krlib.getLibrary(libraryName);
+        const changelog = await this.krlib.changelog(from, to, { library : library.name });
+        [from, to] = [from, to].map(version => semver.clean(version));
+        Utils.loggerInfo(`\nChangelog\n=========\n${library.name} ${from} -> ${to}`);
+        if (changelog.length === 0) {
+            Utils.loggerInfo(`No release after ${from} up to ${to}`);
+            return;
+        }
+        changelog.slice().reverse().forEach(release => {
+            const header = `\n${release.version}${release.breaking ? '  [BREAKING CHANGES]' : ''}`;
+            if (release.breaking) {
+                Utils.loggerDanger(header);
+            } else {
+                Utils.loggerSuccess(header);
+            }
+            if (release.message) {
+                Utils.loggerInfo(release.message.split('\n').map(line => `    ${line}`).join('\n'));
+            }
+            release.commits.forEach(commit => {
+                if (!commit.breaking) {
+                    Utils.loggerInfo(`  ${commit.hash} ${commit.subject}`);
+                    return;
+                }
+                const notes = commit.body.split('\n').filter(line => Constant.BREAKING_CHANGE.test(line));
+                Utils.loggerDanger([`! ${commit.hash} ${commit.subject}`].concat(notes.map(line => `      ${line}`)).join('\n'));
+            });
+        });
+    }
+
+    /**
+     * show the changelog of every distinct update before asking to confirm it, never fails the update
+     * @param {{component: Component, version: String}[]} plan installs of the update
+     */
+    async showUpdateChangelogAsync(plan) {
+        const updates = new Map();
+        plan.forEach(({ component, version }) => {
+            const from = semver.maxSatisfying(this.pkgs.getVersionsOf(component.library), component.expectedVersion);
+            const to = version;
+            const library = component.library.name;
+            if (from && to && semver.lt(from, to)) {
+                updates.set(`${library} ${from} ${to}`, { library, from, to });
+            }
+        });
+        for (const { library, from, to } of updates.values()) {
+            try {
+                await this.showChangelogAsync(from, to, library);
+            } catch (err) {
+                Utils.loggerWarning(`Could not read the changelog of ${library} ${from} -> ${to}: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * print the progress of the installs, their output line by line with the name of the component in front
+     */
+    listenInstalls() {
+        // the last line of each component and stream, until its line break comes
+        const partials = new Map();
+        const printLine = (component, stream, line) => {
+            const prefixed = `[${this.pkgs ? this.pkgs.getDisplayName(component) : component.componentName}] ${line}`;
+            if (stream === 'stdout') {
+                Utils.loggerInfo(prefixed);
+            } else if (!line.includes('npm update check failed')) {
+                Utils.loggerError(prefixed);
+            }
+        };
+        this.krlib.on('log', ({ level, message }) => {
+            if (level === 'warning') {
+                Utils.loggerWarning(message);
+            } else if (level === 'success') {
+                Utils.loggerSuccess(message);
+            } else if (level === 'debug') {
+                Utils.loggerDebug(message);
+            } else {
+                Utils.loggerInfo(message);
+            }
+        });
+        this.krlib.on('install-start', ({ component, version, attempt }) => {
+            const { install, add } = Constant.PACKAGE_MANAGERS[component.packageManager];
+            const command = [component.packageManager].concat(version ? add.concat(component.npmUrl + version) : install).join(' ');
+            if (version) {
+                Utils.loggerInfo(`Please wait, installing ${component.library.name}(${version}) into ${component.componentPath} . . .`);
+            } else {
+                Utils.loggerInfo(`Please wait, Running '${component.packageManager} install' at ${component.componentPath} . . .`);
+            }
+            Utils.loggerDebug(`${component.componentPath}: ${command}, attempt ${attempt}`);
+        });
+        this.krlib.on('install-output', ({ component, stream, chunk }) => {
+            const partial = partials.get(component) || { stdout : '', stderr : '' };
+            const lines = (partial[stream] + chunk).split(/\r?\n/);
+            partial[stream] = lines.pop();
+            partials.set(component, partial);
+            lines.filter(line => line.trim() !== '').forEach(line => printLine(component, stream, line));
+        });
+        this.krlib.on('rollback-start', ({ components }) => {
+            Utils.loggerWarning(`\nRolling back ${components.map(component => component.componentName).join(', ')}, restoring package.json and lockfiles . . .`);
+        });
+        this.krlib.on('install-retry', ({ component, delay, error }) => {
+            Utils.loggerWarning(`${component.componentName}: ${error.message}, retrying in ${delay / 1000}s . . .`);
+        });
+        this.krlib.on('install-done', ({ component, version, status }) => {
+            const partial = partials.get(component);
+            if (partial) {
+                ['stdout', 'stderr'].filter(stream => partial[stream].trim() !== '').forEach(stream => printLine(component, stream, partial[stream]));
+                partials.delete(component);
+            }
+            if (status !== 'success') {
+                return;
+            }
+            if (version) {
+                Utils.loggerSuccess(`Install ${component.library.name} into ${component.componentPath} successfully`);
+            } else {
+                Utils.loggerSuccess(`Run '${component.packageManager} install' at [${component.componentPath}] successfully`);
+            }
+        });
+    }
+
+    /**
+     * run the installs and print their summary
+     * @param {{component: Component, version: String}[]} plan installs
+     * @returns {Number} exit code
+     */
+    async executeAsync(plan) {
+        return this.guardInstallsAsync(() => this.krlib.execute(plan));
+    }
+
+    /**
+     * run installs and print their summary, the first Ctrl-C cancels them, the second one exits straight away
+     * @param {Function} task runs the installs, returns a promise of their results
+     * @returns {Number} exit code
+     */
+    async guardInstallsAsync(task) {
+        let cancelling = false;
+        const onSigint = () => {
+            if (cancelling) {
+                process.exit(ExitCode.CANCELLED);
+            }
+            cancelling = true;
+            Utils.loggerWarning('\nCancelling, waiting for the running installs to stop . . .');
+            this.krlib.cancel();
+        };
+        process.on('SIGINT', onSigint);
+
+        let results;
+        let rollback = null;
+        try {
+            results = await task();
+        } catch (err) {
+            if (!err.results) {
+                throw err;
+            }
+            results = err.results;
+            rollback = err.rollback || null;
+        } finally {
+            process.removeListener('SIGINT', onSigint);
+        }
+        const code = this.showInstallSummary(results);
+        if (rollback) {
+            this.showRollbackSummary(rollback);
+        }
+        return code;
+    }
+
+    /**
+     * print the outcome of rolling back a failed upgrade
+     * @param {Object[]} results results of installing node_modules again
+     */
+    showRollbackSummary(results) {
+        Utils.loggerInfo('\nRollback\n========');
+        Utils.loggerInfo('package.json and lockfiles of every component are back as before the upgrade');
+        results.forEach(({ component, status, error }) => {
+            if (status === 'success') {
+                Utils.loggerSuccess(`${component.componentName}: node_modules restored`);
+            } else if (status === 'failed') {
+                Utils.loggerError(`${component.componentName}: node_modules not restored, ${error.message}`);
+            } else {
+                Utils.loggerWarning(`${component.componentName}: node_modules not restored, run \`${component.packageManager} install\` there`);
+            }
+        });
+    }
+
+    /**
+     * print the outcome of every install
+     * @param {Object[]} results results of `InstallQueue.runAsync`
+     * @returns {Number} exit code
+     */
+    showInstallSummary(results) {
+        Utils.loggerInfo('\nSummary\n=======');
+        results.forEach(({ component, version, status, attempts, error }) => {
+            const tries = attempts > 1 ? ` after ${attempts} attempts` : '';
+            if (status === 'success') {
+                Utils.loggerSuccess(`${component.componentName}: ${version ? `${component.library.name} ${version} ` : ''}installed${tries}`);
+            } else if (status === 'failed') {
+                Utils.loggerError(`${component.componentName}: failed${tries}, ${error.message}`);
+            } else {
+                Utils.loggerWarning(`${component.componentName}: cancelled`);
+            }
+        });
+        if (results.some(result => result.status === 'cancelled')) {
+            return ExitCode.CANCELLED;
+        }
+        if (results.some(result => result.status === 'failed')) {
+            return ExitCode.INSTALL_FAILED;
+        }
+        return ExitCode.SUCCESS;
+    }
+
+    /**
+     * @returns {Number} exit code when krlib should stop here, null to go on
+     */
+    async checkFullyInstalled() {
+        const unInstalled = this.pkgs.getUnInstalled();
+        if (unInstalled.length === 0) {
+            return null;
+        }
+        Utils.loggerError(`\nOops, The ${Cli.describeLibraries(unInstalled)} not fully installed`);
+        if (await this.confirmAsync('Type [y] to confirm install or [n] to exit')) {
+            return this.executeAsync(unInstalled.map(component => ({ component, version : component.expectedVersion })));
+        }
+        return ExitCode.SUCCESS;
+    }
+
+    /**
+     * @returns {Number} exit code when krlib should stop here, null to go on
+     */
+    async checkExpectedVersion() {
+        const unExpected = this.pkgs.getUnExpected();
+        if (unExpected.length === 0) {
+            return null;
+        }
+        Utils.loggerError(`\nOops, The ${Cli.describeLibraries(unExpected)} outdated`);
+        const plan = await this.pickPlanAsync(unExpected.map(component => ({ component, version : component.expectedVersion })), 'install');
+        return plan.length > 0 ? this.executeAsync(plan) : null;
+    }
+
+    showIntegrityProblems(componentArray) {
+        componentArray.forEach(component => {
+            const { status, version, tagCommit, lockedCommit, installedCommit } = this.pkgs.integrity.get(component);
+            if (status === 'tag-moved') {
+                const moved = tagCommit ? `now points to ${tagCommit.slice(0, 7)}` : 'no longer exists';
+                Utils.loggerError(`${component.componentName}: tag ${component.library.tagOf(version)} ${moved}, the lockfile has ${lockedCommit.slice(0, 7)}`);
+            } else {
+                // the versions differ even where two tags point at the same commit
+                const describe = (ref, commit) => commit ? `${ref} (${commit.slice(0, 7)})` : ref;
+                Utils.loggerError(`${component.componentName}: node_modules has ${component.library.name} ${describe(component.currentVersion, installedCommit)}, `
+                    + `the lockfile has ${describe(component.library.tagOf(version), lockedCommit)}`);
+            }
+        });
+    }
+
+    /**
+     * @returns {Number} exit code when krlib should stop here, null to go on
+     */
+    async checkIntegrity() {
+        const unVerified = this.pkgs.getUnVerified();
+        if (unVerified.length === 0) {
+            return null;
+        }
+        Utils.loggerError(`\nOops, The installed ${Cli.describeLibraries(unVerified)} out of sync with the remote tags`);
+        this.showIntegrityProblems(unVerified);
+        if (await this.confirmAsync('Type [y] to confirm repair or [n] to ignore')) {
+            return this.executeAsync(this.pkgs.planRepair());
+        }
+        return null;
+    }
+
+    /**
+     * @returns {Number} exit code when krlib should stop here, null to go on
+     */
+    async checkLatestVersion() {
+        const plan = this.pkgs.planLatest();
+        if (plan.length === 0) {
+            return null;
         }
+        Utils.loggerWarning(`\nThe latest version ${Cli.describeLibraries(plan.map(({ component }) => component))} available`);
+        await this.showUpdateChangelogAsync(plan);
+        await this.showUpdateImpactAsync(plan);
+        const picked = await this.pickPlanAsync(plan, 'update');
+        return picked.length > 0 ? this.executeAsync(picked) : null;
     }
-}
 
-class TableBuilder {
-    constructor() {
-        this.HEADER_NAME = ['Module', 'Installed', 'Expected', 'Latest'];
-        this.header = [];
-        this.margin = '\u0020\u0020\u0020\u0020';
+    /**
+     * check the version of every package manager the components are installed with
+     * @returns {Boolean} true when none is too old
+     */
+    async checkPackageManagersAsync() {
+        const packageManagers = new Set(this.pkgs.components.map(component => component.packageManager));
+        for (const packageManager of packageManagers) {
+            const version = await Utils.getPackageManagerVersionAsync(packageManager);
+            const { minimumVersion } = Constant.PACKAGE_MANAGERS[packageManager];
+            if (semver.lt(version, minimumVersion)) {
+                Utils.loggerError(`Oops! The ${packageManager} version is too low. \n\nPlease update ${packageManager} (gte ${minimumVersion})`);
+                return false;
+            }
+        }
+        return true;
     }
 
-    build() {
-        this._computeLayout();
-        const bodyStr = this.data.reduce((accRow, curRow, idx) => {
-            let insert = '\n';
-            if (idx === 0) {
-                insert = '';
-            } else if (idx === 1) {
-                insert = `\n${this.line}\n`;
+    async runInteractiveAsync() {
+        if (this.options.dryRun) {
+            return this.runPlan();
+        }
+        for (const check of [this.checkFullyInstalled, this.checkExpectedVersion, this.checkIntegrity, this.checkLatestVersion]) {
+            const code = await check.call(this);
+            if (code !== null) {
+                return code;
             }
-            accRow = accRow + insert + Object.values(curRow).sort((ra, rb) => ra.col - rb.col).map(col => col.str).reduce((accCol, curCol) => {
-                accCol = accCol + curCol;
-                return accCol;
-            });
-            return accRow;
-        }, '');
+        }
+        return ExitCode.SUCCESS;
+    }
 
-        return bodyStr;
+    /**
+     * print the package manager command and the package.json diff of every install of the plan, save it with --save-plan
+     * @param {{component: Component, version: String}[]} plan installs
+     * @returns {Number} exit code
+     */
+    previewPlan(plan) {
+        // quoted for a POSIX shell, `#` and `^` of the dependency included
+        const quote = (arg) => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, '\'\\\'\'')}'`;
+        Utils.loggerInfo('\nPlan\n====');
+        this.krlib.preview(plan).forEach(({ component, version, command, diff }) => {
+            Utils.loggerWarning(`\n${this.pkgs.getDisplayName(component)}: ${component.currentVersion || 'not installed'} -> ${version || 'the lockfile'}`);
+            Utils.loggerInfo(`  $ cd ${path.relative(this.rootPath, component.componentPath) || '.'} && ${command.map(quote).join(' ')}`);
+            if (!diff) {
+                Utils.loggerInfo('  package.json stays the same');
+            } else {
+                Utils.loggerInfo(diff.split('\n').map(line => `  ${line}`).join('\n'));
+            }
+        });
+        if (this.options.savePlan) {
+            this.krlib.savePlan(plan, path.resolve(this.options.savePlan));
+            Utils.loggerSuccess(`\nSaved the plan to ${this.options.savePlan}, run \`krlib apply ${this.options.savePlan}\` to install it`);
+        } else {
+            Utils.loggerInfo('\nNothing was run, save the plan with --save-plan <file> and install it with `krlib apply <file>`');
+        }
+        return ExitCode.SUCCESS;
     }
 
-    _computeLayout() {
-        this.data.unshift({
-            componentName : {
-                rawStr : this.HEADER_NAME[0],
-                length : this.HEADER_NAME[0].length,
-                col : 0,
-            },
-            currentVersion : {
-                rawStr : this.HEADER_NAME[1],
-                length : this.HEADER_NAME[1].length,
-                col : 1,
-            },
-            expectedVersion : {
-                rawStr : this.HEADER_NAME[2],
-                length : this.HEADER_NAME[2].length,
-                col : 2,
-            },
-            latestVersion : {
-                rawStr : this.HEADER_NAME[3],
-                length : this.HEADER_NAME[3].length,
-                col : 3,
-            },
+    async runImpactAsync(target) {
+        const version = target === 'latest' ? undefined : target;
+        const plan = this.pkgs.planUpdate(version);
+        this.pkgs.getPinned(version).forEach(component => {
+            Utils.loggerWarning(`Skip ${component.componentName}, it is pinned to ${component.library.name} ${component.range}`);
         });
-        const cols = this.data.reduce((acc, cur) => {
-            const col = Object.values(cur).sort((ra, rb) => ra.col - rb.col).map(row => row.length);
-            for (let i = 0; i < acc.length; i++) {
-                acc[i] = col[i] > acc[i] ? col[i] : acc[i];
+        if (plan.length === 0) {
+            Utils.loggerSuccess('\nNothing to compare, every component has its target libraries installed');
+            return ExitCode.SUCCESS;
+        }
+        const impacts = await this.showImpactAsync(plan);
+        return impacts.some(impact => impact.usages.length > 0) ? ExitCode.IMPACT : ExitCode.SUCCESS;
+    }
+
+    /**
+     * print the imports each install of the plan breaks, per component
+     * @param {{component: Component, version: String}[]} plan installs
+     * @returns {Object[]} impact per install, see `Krlib.impact`
+     */
+    async showImpactAsync(plan) {
+        const libraries = Array.from(new Set(plan.map(({ component }) => component.library.name)));
+        Utils.loggerInfo(`\nLooking for the imports of ${libraries.join(', ')} the update breaks . . .`);
+        const impacts = await this.krlib.impact(plan);
+        Utils.loggerInfo('\nImpact\n======');
+        impacts.forEach(({ component, from, to, skipped, usages }) => {
+            const header = `${this.pkgs.getDisplayName(component)}: ${component.library.name} ${from || 'not installed'} -> ${to || 'the lockfile'}`;
+            if (skipped) {
+                Utils.loggerInfo(`${header}, skipped, ${skipped}`);
+                return;
             }
-            return acc;
-        }, [0, 0, 0, 0]);
-        this.data.forEach(row => {
-            const col = Object.values(row).sort((ra, rb) => ra.col - rb.col);
-            for (let i = 0; i < cols.length; i++) {
-                col[i].str = col[i].rawStr.padEnd(cols[i], '\u0020') + this.margin;
+            if (usages.length === 0) {
+                Utils.loggerSuccess(`${header}, none of its imports is removed or renamed`);
+                return;
             }
+            Utils.loggerDanger(header);
+            const directory = path.relative(this.rootPath, component.componentPath);
+            usages.forEach(({ file, line, specifier, symbol, status, replacement }) => {
+                const what = symbol ? `${symbol} from ${specifier}` : specifier;
+                const location = `${path.join(directory, file).split(path.sep).join('/')}:${line}`;
+                Utils.loggerWarning(`  ${location}  ${what} ${status}${replacement ? ` to ${replacement}` : ''}`);
+            });
         });
-        this.width = cols.reduce((acc, cur) => {
-            acc = acc + cur;
-            return acc;
-        }) + (this.HEADER_NAME.length - 1) * this.margin.length;
-        this.line = new Array(this.width).fill('-').join('');
+        return impacts;
     }
 
-    readSourceDate(pkgs) {
-        this.data = pkgs.components.map(component => {
-            const { componentName, currentVersion, expectedVersion } = component;
-            const latestVersion = pkgs.latestVersion;
-            return {
-                componentName : {
-                    rawStr : componentName,
-                    length : componentName.length,
-                    col : 0,
-                },
-                currentVersion : {
-                    rawStr : currentVersion,
-                    length : currentVersion.length,
-                    col : 1,
-                },
-                expectedVersion : {
-                    rawStr : expectedVersion,
-                    length : expectedVersion.length,
-                    col : 2,
-                },
-                latestVersion : {
-                    rawStr : latestVersion,
-                    length : latestVersion.length,
-                    col : 3,
-                },
-            };
-        });
+    /**
+     * show the imports an update breaks before asking to confirm it, never fails the update
+     * @param {{component: Component, version: String}[]} plan installs of the update
+     */
+    async showUpdateImpactAsync(plan) {
+        const updates = plan.filter(({ component, version }) => component.currentVersion && version && component.currentVersion !== version);
+        if (updates.length === 0) {
+            return;
+        }
+        try {
+            await this.showImpactAsync(updates);
+        } catch (err) {
+            Utils.loggerWarning(`Could not compare the imports with the versions of the update: ${err.message}`);
+        }
     }
-}
 
-class Cli {
-    showLogo() {
-        // prettier-ignore
-        const LOGO = '' +
-            '    __ __         __    _ __                         \n' +
-            '   / //_/_____   / /   (_) /_  _________ ________  __\n' +
-            '  / ,<  / ___/  / /   / / __ \\/ ___/ __ `/ ___/ / / /\n' +
-            ' / /| |/ /     / /___/ / /_/ / /  / /_/ / /  / /_/ / \n' +
-            '/_/ |_/_/     /_____/_/_.___/_/   \\__,_/_/   \\__, /  \n' +
-            '                                            /____/   \n';
-        Utils.loggerInfo(LOGO);
+    async runReportAsync() {
+        const matrix = await this.krlib.report({ refs : this.options.refs });
+        Utils.output(new VersionMatrixReporter(matrix).build(this.options.format));
+        return ExitCode.SUCCESS;
     }
 
-    getUserInputAsync(expectedInputs) {
-        const matcher = new RegExp(`[${expectedInputs.join('|')}]`, 'g');
-        return new Promise((resolve) => {
-            let stdin = process.stdin;
-            stdin.resume();
-            stdin.setEncoding('utf-8');
-            stdin.on('data', (data) => {
-                const matche = data.match(matcher);
-                if (matche && matche.length === 1) {
-                    resolve(matche[0]);
-                    stdin.pause();
-                } else {
-                    Utils.loggerWarning('Invalied input');
-                }
-            });
-        });
+    runPlan(version) {
+        const plan = this.pkgs.planAll(version);
+        if (plan.length === 0) {
+            Utils.loggerSuccess('\nNothing to install, every component has its expected and latest libraries');
+            return ExitCode.SUCCESS;
+        }
+        return this.previewPlan(plan);
     }
 
-    async checkInstall() {
-        const exist = await this.krLibrary.checkFullyInstalledAsync();
-        if (!exist) {
-            const UNINSTALLED =
-                'The kr-library has never been installed, \nPlease type y to confirm install the expected kr-library';
-            Utils.loggerError(UNINSTALLED);
+    async runApplyAsync(file) {
+        const plan = await this.krlib.readPlan(path.resolve(file));
+        if (plan.length === 0) {
+            Utils.loggerSuccess('\nThe plan has nothing to install');
+            return ExitCode.SUCCESS;
         }
-        return exist;
+        Utils.loggerWarning(`\nPlan:\n${plan
+            .map(({ component, version }) => `  ${this.pkgs.getDisplayName(component)}: ${component.currentVersion || 'not installed'} -> ${version || 'the lockfile'}`)
+            .join('\n')}`);
+        if (await this.confirmAsync('Type [y] to confirm install or [n] to exit')) {
+            return this.executeAsync(plan);
+        }
+        return ExitCode.SUCCESS;
     }
 
-    async checkEnvironmentAsync() {
-        if (!(await Utils.checkLeyserkidsRepositoryAsync())) {
-            Utils.loggerError(`Please run this command in leyserkids directory!`);
-            process.exit(1);
+    runStatus() {
+        if (this.options.format !== 'text') {
+            Utils.output(new StatusReporter(this.pkgs).build(this.options.format));
         }
+        return ExitCode.SUCCESS;
     }
 
-    async obtainLatestVersionAsync() {
-        Utils.loggerInfo('Obtaining the version number . . .');
-        const version = await Utils.getLatestVersionAsync();
-        Utils.loggerSuccess(`The latest kr-library is ${version}`);
-        return version;
+    async runInstallAsync() {
+        const plan = this.pkgs.planInstall();
+        if (plan.length === 0) {
+            Utils.loggerSuccess('\nThe expected libraries are installed in every component');
+            return ExitCode.SUCCESS;
+        }
+        if (this.options.dryRun) {
+            return this.previewPlan(plan);
+        }
+        Utils.loggerWarning(`\nThe expected libraries will be installed into: ${plan
+            .map(({ component }) => `${component.componentName}(${component.library.name})`).join(', ')}`);
+        if (await this.confirmAsync('Type [y] to confirm install or [n] to exit')) {
+            return this.executeAsync(plan);
+        }
+        return ExitCode.SUCCESS;
     }
 
-    async checkCliVersionAsync(latestVersion) {
-        const cliVersion = await Utils.getCliVersion();
-        if (semver.lt(cliVersion, latestVersion)) {
-            Utils.loggerWarning(`Caution! The globally installed krlib cli is outdated. \nIt is highly recommended to update krlib cli.\n\nType [y] to confirm update or [n] to ignore`);
-            const ipt = await this.getUserInputAsync(['y', 'n']);
-            if (ipt === 'y') {
-                Utils.loggerInfo('Current command will exit to updating, Please wait a moment and rerun or follow the message if available');
-                Utils.updateCli(this.rootPath);
-            }
+    async runUpdateAsync(version) {
+        const plan = this.pkgs.planUpdate(version);
+        this.pkgs.getPinned(version).forEach(component => {
+            Utils.loggerWarning(`Skip ${component.componentName}, it is pinned to ${component.library.name} ${component.range}`);
+        });
+        if (plan.length === 0) {
+            Utils.loggerSuccess('\nNothing to update, every component has its target libraries installed');
+            return ExitCode.SUCCESS;
+        }
+        if (this.options.dryRun) {
+            return this.previewPlan(plan);
         }
+        await this.showUpdateChangelogAsync(plan);
+        await this.showUpdateImpactAsync(plan);
+        Utils.loggerWarning(`\nThe libraries will be installed into: ${plan
+            .map(({ component, version }) => `${component.componentName}(${component.library.name} ${version})`).join(', ')}`);
+        if (await this.confirmAsync('Type [y] to confirm update or [n] to exit')) {
+            return this.executeAsync(plan);
+        }
+        return ExitCode.SUCCESS;
     }
 
-    showInstalledStatus(pkgs) {
-        Utils.loggerInfo('\nOverview\n========');
-        const tableBuilder = new TableBuilder();
-        tableBuilder.readSourceDate(pkgs);
-        const table = tableBuilder.build();
-        Utils.loggerInfo(table);
+    async runBumpAsync(target) {
+        const version = target === 'latest' ? undefined : target;
+        const plan = this.pkgs.planBump(version);
+        this.pkgs.getPinned(version).forEach(component => {
+            Utils.loggerWarning(`Skip ${component.componentName}, it is pinned to ${component.library.name} ${component.range}`);
+        });
+        if (plan.length === 0) {
+            Utils.loggerSuccess('\nNothing to bump, every component depending on a library is pinned to its target version');
+            return ExitCode.SUCCESS;
+        }
+        if (this.options.dryRun) {
+            return this.previewBump(plan);
+        }
+        if (this.options.branch) {
+            // before anything is written
+            await Utils.checkNewBranchAsync(this.rootPath, this.options.branch);
+        }
+        await this.showUpdateImpactAsync(plan);
+        const changes = plan.map(({ component, version : to }) => ({ component, from : component.expectedVersion, to }));
+        Utils.loggerWarning(`\nThe package.json of the components will be changed:\n${changes
+            .map(({ component, from, to }) => `  ${this.pkgs.getDisplayName(component)}: ${from} -> ${to}`).join('\n')}`);
+        if (!(await this.confirmAsync('Type [y] to confirm bump or [n] to exit'))) {
+            return ExitCode.SUCCESS;
+        }
+        const code = await this.guardInstallsAsync(() => this.krlib.executeBump(plan));
+        if (code !== ExitCode.SUCCESS || !this.options.commit) {
+            return code;
+        }
+        const message = await this.krlib.commitBump(changes, { branch : this.options.branch });
+        Utils.loggerSuccess(`\nCommitted${this.options.branch ? ` on ${this.options.branch}` : ''}: ${message.split('\n')[0]}`);
+        return ExitCode.SUCCESS;
     }
 
-    async checkFullyInstalled() {
+    /**
+     * print the package.json diff of every component of a bump
+     * @param {{component: Component, version: String}[]} plan package.json changes
+     * @returns {Number} exit code
+     */
+    previewBump(plan) {
+        Utils.loggerInfo('\nPlan\n====');
+        plan.forEach(({ component, version }) => {
+            const file = path.relative(this.rootPath, component.packageJson).split(path.sep).join('/');
+            Utils.loggerWarning(`\n${this.pkgs.getDisplayName(component)}: ${component.expectedVersion} -> ${version}`);
+            Utils.loggerInfo(Utils.unifiedDiff(readFileSync(component.packageJson, 'utf8'), component.renderBumpedPackageJson(version), file)
+                .split('\n').map(line => `  ${line}`).join('\n'));
+        });
+        Utils.loggerInfo('\nNothing was written, run bump without --dry-run to change package.json and refresh the lockfiles');
+        return ExitCode.SUCCESS;
+    }
+
+    async runRollbackAsync() {
+        const transaction = this.krlib.getLastUpgrade();
+        if (!transaction) {
+            Utils.loggerSuccess('\nNothing to roll back, no upgrade was recorded since the last rollback');
+            return ExitCode.SUCCESS;
+        }
+        Utils.loggerWarning(`\nThe upgrade made ${Utils.formatAge(transaction.journal.startedAt)} will be rolled back:`);
+        transaction.journal.components.forEach(record => {
+            Utils.loggerInfo(`  ${record.name}: ${record.library} ${record.targetVersion || 'from the lockfile'} -> ${record.version || 'not installed'}`);
+        });
+        const changed = transaction.getChangedFiles();
+        if (changed.length > 0) {
+            Utils.loggerWarning(`Changed since the upgrade, these changes will be lost: ${changed.join(', ')}`);
+        }
+        if (await this.confirmAsync('Type [y] to confirm rollback or [n] to exit')) {
+            return this.guardInstallsAsync(() => this.krlib.rollback());
+        }
+        return ExitCode.SUCCESS;
+    }
+
+    runCheck() {
         const unInstalled = this.pkgs.getUnInstalled();
-        if (unInstalled.length > 0) {
-            Utils.loggerError('\nOops, The kr-library is not fully installed, \n\nType [y] to confirm install or [n] to exit');
-            const ipt = await this.getUserInputAsync(['y', ['n']]);
-            if (ipt === 'y') {
-                await this.pkgs.installExpectAsync(unInstalled);
-                process.exit(0);
+        const unExpected = this.pkgs.getUnExpected();
+        Utils.loggerInfo('');
+        unInstalled.forEach(component => {
+            Utils.loggerError(`${component.componentName}: ${component.library.name} is not installed, expected ${component.expectedVersion}`);
+        });
+        unExpected.forEach(component => {
+            Utils.loggerError(`${component.componentName}: ${component.library.name} ${component.currentVersion} is installed, expected ${component.expectedVersion}`);
+        });
+        this.pkgs.getUnLatested().forEach(component => {
+            Utils.loggerWarning(`${component.componentName}: ${component.library.name} ${this.pkgs.getLatestVersionOf(component)} is available, expected ${component.expectedVersion}`);
+        });
+        const unVerified = this.pkgs.getUnVerified();
+        this.showIntegrityProblems(unVerified);
+        const violations = this.pkgs.getViolations();
+        violations.forEach(({ component, rule, severity, message }) => {
+            const line = `${component.componentName}: ${component.library.name} ${message} (${rule})`;
+            if (severity === 'error') {
+                Utils.loggerError(line);
             } else {
-                process.exit(0);
+                Utils.loggerWarning(line);
             }
+        });
+        if (unInstalled.length > 0 || unExpected.length > 0) {
+            return ExitCode.OUTDATED;
         }
+        if (unVerified.length > 0) {
+            return ExitCode.INTEGRITY;
+        }
+        if (violations.some(violation => violation.failing)) {
+            return ExitCode.POLICY;
+        }
+        Utils.loggerSuccess('The expected libraries are installed in every component');
+        return ExitCode.SUCCESS;
     }
 
-    async checkExpectedVersion() {
-        const unExpected = this.pkgs.getUnExpected();
-        if (unExpected.length > 0) {
-            Utils.loggerError('\nOops, The kr-library is outdated, \n\nType [y] to confirm install or [n] to ignore');
-            const ipt = await this.getUserInputAsync(['y', ['n']]);
-            if (ipt === 'y') {
-                await this.pkgs.installExpectAsync(unExpected);
-                process.exit(0);
+    async runVerifyAsync() {
+        const unVerified = this.pkgs.getUnVerified();
+        if (unVerified.length === 0) {
+            Utils.loggerSuccess('\nThe lockfile and node_modules of every component match the remote tags');
+            return ExitCode.SUCCESS;
+        }
+        Utils.loggerInfo('');
+        this.showIntegrityProblems(unVerified);
+        if (this.options.dryRun) {
+            this.previewPlan(this.pkgs.planRepair());
+            return ExitCode.INTEGRITY;
+        }
+        if (await this.confirmAsync('Type [y] to confirm repair or [n] to exit')) {
+            return this.executeAsync(this.pkgs.planRepair());
+        }
+        return ExitCode.INTEGRITY;
+    }
+
+    /**
+     * list the components depending on a library which the config misses, and the config entries gone from disk
+     * @returns {Number} exit code
+     */
+    runConfigSync() {
+        // eslint-disable-next-line no-sync
+        const rootPath = Utils.findRootSync();
+        const config = ConfigLoader.load(rootPath, process.env, { checkDirectories : false });
+        const { unlisted, missing } = ComponentDiscovery.compareWithConfigSync(rootPath, config);
+        Utils.loggerInfo('');
+        unlisted.forEach(directory => {
+            Utils.loggerWarning(`${directory}: depends on ${Object.keys(config.libraries).join(' or ')} but is not in the config, add "${path.posix.basename(directory)}": "${directory}" to "component"`);
+        });
+        missing.forEach(entry => {
+            Utils.loggerError(`${entry.name}: ${entry.path} has no ${Constant.COMPONENT_PKG_FILE}, remove it from "component"`);
+        });
+        if (unlisted.length > 0 || missing.length > 0) {
+            return ExitCode.CONFIG;
+        }
+        Utils.loggerSuccess(`The config lists every component depending on ${Object.keys(config.libraries).join(' or ')}`);
+        return ExitCode.SUCCESS;
+    }
+
+    /**
+     * print the result of every check of `Doctor`
+     * @returns {Number} exit code, a failure when any check fails
+     */
+    async runDoctorAsync() {
+        const results = await new Doctor({ offline : this.options.offline }).runAsync();
+        const width = Math.max(...results.map(result => result.name.length)) + 2;
+        Utils.loggerInfo('\nDoctor\n======');
+        results.forEach(({ name, status, message, fix }) => {
+            const line = `[${status}] ${name.padEnd(width, '\u0020')}${message.split('\n').join(`\n${''.padEnd(width + 7, '\u0020')}`)}`;
+            if (status === 'pass') {
+                Utils.loggerSuccess(line);
+            } else if (status === 'warn') {
+                Utils.loggerWarning(line);
+            } else {
+                Utils.loggerDanger(line);
             }
+            if (fix) {
+                Utils.loggerInfo(`${''.padEnd(width + 7, '\u0020')}fix: ${fix}`);
+            }
+        });
+        const failed = results.filter(result => result.status === 'fail').length;
+        const warned = results.filter(result => result.status === 'warn').length;
+        Utils.loggerInfo(`\n${results.length} checks, ${failed} failed, ${warned} with warnings`);
+        return failed > 0 ? ExitCode.FAILURE : ExitCode.SUCCESS;
+    }
+
+    runHooks(subcommand) {
+        // eslint-disable-next-line no-sync
+        const rootPath = Utils.findRootSync();
+        Utils.loggerInfo('');
+        if (subcommand === 'install') {
+            GitHooks.installSync(rootPath).forEach(({ file, chained }) => {
+                Utils.loggerSuccess(`Installed ${file}${chained ? `, the hook found there runs first` : ''}`);
+            });
+            return ExitCode.SUCCESS;
         }
+        GitHooks.uninstallSync(rootPath).forEach(({ file, removed, restored }) => {
+            if (restored) {
+                Utils.loggerSuccess(`Removed ${file}, the hook found there before is back`);
+            } else if (removed) {
+                Utils.loggerSuccess(`Removed ${file}`);
+            } else if (existsSync(file)) {
+                Utils.loggerWarning(`Kept ${file}, it was not installed by krlib`);
+            }
+        });
+        return ExitCode.SUCCESS;
     }
 
-    async checkLatestVersion() {
-        const unLatested = this.pkgs.getUnLatested();
-        if (unLatested.length > 0) {
-            Utils.loggerWarning('\nThe latest version kr-library is available, \n\nType [y] to confirm update to latest or [n] to ignore');
-            const ipt = await this.getUserInputAsync(['y', ['n']]);
-            if (ipt === 'y') {
-                await this.pkgs.installLatestAsync(unLatested);
-                process.exit(0);
+    /**
+     * pre-commit and pre-push fail on a missing or outdated library,
+     * post-merge and post-checkout warn when the expected version of a library changed
+     * @param {String} name hook name
+     * @param {String[]} args arguments git passed to the hook
+     * @returns {Number} exit code, only a failing pre-commit or pre-push stops git
+     */
+    async runHookAsync(name, args) {
+        if (!(await this.checkEnvironmentAsync())) {
+            return ExitCode.SUCCESS;
+        }
+        // no tags needed, the installed version is compared with the expected one
+        this.krlib = createKrlib({ offline : true });
+        const pkgs = await this.krlib.load();
+
+        if (name === 'pre-commit' || name === 'pre-push') {
+            const outdated = pkgs.getUnInstalled().concat(pkgs.getUnExpected());
+            outdated.forEach(component => {
+                const installed = component.exist ? component.currentVersion : 'not installed';
+                Utils.loggerError(`krlib: ${component.componentName} has ${component.library.name} ${installed}, expected ${component.expectedVersion}`);
+            });
+            if (outdated.length > 0) {
+                Utils.loggerError(`krlib: run \`krlib install\` before the ${name === 'pre-push' ? 'push' : 'commit'}, or skip this check with --no-verify`);
+                return ExitCode.OUTDATED;
+            }
+            return ExitCode.SUCCESS;
+        }
+
+        // post-checkout gets <previous HEAD> <new HEAD> <1 when switching branches>
+        if (name === 'post-checkout' && args[2] !== '1') {
+            return ExitCode.SUCCESS;
+        }
+        const revision = name === 'post-checkout' ? args[0] : 'ORIG_HEAD';
+        const changes = await GitHooks.getChangedExpectationsAsync(pkgs, revision);
+        changes.forEach(({ component, from, to }) => {
+            Utils.loggerWarning(`krlib: the expected ${component.library.name} of ${component.componentName} changed from ${from || 'none'} to ${to || 'none'}`);
+        });
+        if (changes.length > 0) {
+            Utils.loggerWarning('krlib: run `krlib install` to install it');
+        }
+        return ExitCode.SUCCESS;
+    }
+
+    async runSelfUpdateAsync(version) {
+        if (version && !semver.valid(version)) {
+            throw new VersionError(`Invalid version: ${version}`);
+        }
+        const updater = new CliUpdater(CliUpdater.loadSettings());
+        const current = Utils.getCliVersion();
+        Utils.loggerInfo(`Looking for krlib releases in ${updater.origin} . . .`);
+        const versions = await updater.getVersionsAsync();
+        const target = version || Utils.getLatestVersion(versions);
+        if (version && !versions.includes(version)) {
+            throw new VersionError(`krlib has no release ${version} in ${updater.origin}`);
+        }
+        if (target === null) {
+            throw new VersionError(`krlib has no stable release in ${updater.origin}`);
+        }
+
+        if (this.options.check) {
+            if (semver.gt(target, current)) {
+                Utils.loggerWarning(`krlib ${target} is available, ${current} is installed, run \`krlib self-update\` to update`);
+                return ExitCode.OUTDATED;
             }
+            Utils.loggerSuccess(`krlib ${current} is up to date`);
+            return ExitCode.SUCCESS;
+        }
+        if (target === current || (!version && semver.lt(target, current))) {
+            Utils.loggerSuccess(`krlib ${current} is installed, the latest release is ${target}`);
+            return ExitCode.SUCCESS;
+        }
+        if (!(await this.confirmAsync(`Type [y] to update krlib ${current} -> ${target} or [n] to cancel`))) {
+            Utils.loggerInfo('Nothing updated');
+            return ExitCode.SUCCESS;
         }
+        Utils.loggerInfo(`Please wait, installing krlib ${target} . . .`);
+        await updater.installAsync(target);
+        await updater.confirmAsync(target);
+        Utils.loggerSuccess(`krlib ${current} -> ${target} is installed at ${updater.installPath}`);
+        return ExitCode.SUCCESS;
     }
 
-    async checkNPMVersion() {
-        const npmVersion = await Utils.getNpmVersionAsync();
-        if (semver.lt(npmVersion, Constant.MINIMUM_NPM_VERSION)) {
-            Utils.loggerError(`Oops! The npm version is too low. \n\nPlease update npm (gte 5.7.1)`);
-            process.exit(1);
+    async runChangelogAsync(from, to) {
+        if (this.options.libraries.length > 1) {
+            throw new UsageError('Option --library is given more than once, the changelog is of a single library');
+        }
+        await this.showChangelogAsync(from, to, this.options.libraries[0]);
+        return ExitCode.SUCCESS;
+    }
+
+    /**
+     * run the cli
+     * @param {String[]} argv arguments without the node executable and script path
+     * @returns {Number} exit code, see `krlib --help`
+     */
+    async run(argv = []) {
+        const code = await this._runCommandAsync(argv);
+        if (this.newerCliVersion) {
+            Utils.loggerWarning(`\nkrlib ${this.newerCliVersion} is available, ${Utils.getCliVersion()} is installed, run \`krlib self-update\` to update`);
         }
+        Utils.logger.record('exit', `exit code ${code}`);
+        return code;
     }
 
-    async run() {
+    async _runCommandAsync(argv) {
         try {
-            this.showLogo();
-            await this.checkEnvironmentAsync();
-            await this.checkNPMVersion();
-            // eslint-disable-next-line no-sync
-            this.rootPath = Utils.getGitRootDirectorySync();
-            Constant = Object.assign(new Environment(this.rootPath), Constant);
-            const latestVersion = await this.obtainLatestVersionAsync();
-            // await this.checkCliVersionAsync(latestVersion);
-            this.pkgs = new LeyserkidsComponentCollection(this.rootPath, latestVersion);
-            this.showInstalledStatus(this.pkgs);
-            await this.checkFullyInstalled();
-            await this.checkExpectedVersion();
-            await this.checkLatestVersion();
+            const { command, params, options } = CommandLine.parse(argv);
+            this.options = options;
+            if (options.help) {
+                Utils.loggerInfo(CommandLine.usage());
+                return ExitCode.SUCCESS;
+            }
+            if (options.version) {
+                Utils.output(Utils.getCliVersion());
+                return ExitCode.SUCCESS;
+            }
+            if (options.check && command !== 'self-update') {
+                throw new UsageError('Option --check is only supported by self-update');
+            }
+            // a plan is saved instead of being installed
+            options.dryRun = options.dryRun || options.savePlan !== null;
+            if (options.savePlan !== null && command === 'bump') {
+                throw new UsageError('Option --save-plan is not supported by bump, `krlib apply` installs rather than bumps');
+            }
+            if (options.dryRun && ![null, 'install', 'update', 'verify', 'plan', 'bump'].includes(command)) {
+                throw new UsageError('Options --dry-run and --save-plan are only supported by install, update, verify, plan, bump and krlib without a command');
+            }
+            // a branch is created for the commit
+            options.commit = options.commit || options.branch !== null;
+            if (options.commit && command !== 'bump') {
+                throw new UsageError('Options --commit and --branch are only supported by bump');
+            }
+            if (!(command === 'report' ? VersionMatrixReporter : StatusReporter).FORMATS.includes(options.format)) {
+                throw new UsageError(`Unsupported format: ${options.format}`);
+            }
+            if (options.format !== 'text' && command !== 'status' && command !== 'report') {
+                throw new UsageError('Option --format is only supported by status and report');
+            }
+            if ((command === 'report') !== (options.refs.length > 0)) {
+                throw new UsageError(command === 'report' ? 'Missing option --refs <pattern>, usage: krlib report --refs <pattern>' : 'Option --refs is only supported by report');
+            }
+            if (options.verbose && options.quiet) {
+                throw new UsageError('Options --verbose and --quiet cannot be used together');
+            }
+            // keep stdout clean for the report
+            Utils.logger.silent = options.format !== 'text';
+            Utils.logger.level = options.verbose ? 'verbose' : options.quiet ? 'quiet' : 'normal';
+            if (options.logFile) {
+                Utils.logger.openFile(path.resolve(options.logFile), `krlib ${argv.join(' ')} in ${process.cwd()}, node ${process.version}`);
+            }
+
+            if (command !== 'hook') {
+                this.showLogo();
+            }
+            if (command === 'self-update') {
+                // works outside a leyserkids repository as well
+                return await this.runSelfUpdateAsync(params[0]);
+            }
+            if (command !== 'hook') {
+                this.checkCliUpdate();
+            }
+            if (command === 'doctor') {
+                // before anything else could fail on the problems it reports
+                return await this.runDoctorAsync();
+            }
+            if (command === 'hook') {
+                // a broken krlib setup never stops git
+                return await this.runHookAsync(params[0], params.slice(1)).catch(err => {
+                    Utils.loggerWarning(`krlib: ${err.message}, the ${params[0]} check is skipped`);
+                    return ExitCode.SUCCESS;
+                });
+            }
+            if (!(await this.checkEnvironmentAsync())) {
+                return ExitCode.FAILURE;
+            }
+            if (command === 'config') {
+                return this.runConfigSync();
+            }
+            if (command === 'hooks') {
+                return this.runHooks(...params);
+            }
+            // a tag moved since the tags were cached is only seen on the remote
+            this.krlib = createKrlib({ offline : options.offline, refresh : command === 'verify' });
+            this.rootPath = this.krlib.root;
+            this.listenInstalls();
+            if (command === 'changelog') {
+                return await this.runChangelogAsync(...params);
+            }
+            // run inside a component, krlib handles that component only, a plan names its own components
+            const current = options.components.length === 0 && command !== 'apply' ? this.krlib.findComponentAt(process.cwd()) : null;
+            if (current) {
+                Utils.loggerInfo(`Only ${current} is handled, run krlib at ${this.rootPath} or pass --component for the others`);
+            }
+            this.pkgs = await this.krlib.load({ components : current ? [current] : options.components, libraries : options.libraries });
+            const installing = command === null || CommandLine.COMMANDS[command].installs;
+            if (installing && !(await this.checkPackageManagersAsync())) {
+                return ExitCode.FAILURE;
+            }
+            if (command !== 'report') {
+                this.showInstalledStatus(this.pkgs);
+            }
 
+            switch (command) {
+                case 'status':
+                    return this.runStatus();
+                case 'install':
+                    return await this.runInstallAsync();
+                case 'update':
+                    return await this.runUpdateAsync(...params);
+                case 'bump':
+                    return await this.runBumpAsync(...params);
+                case 'check':
+                    return this.runCheck();
+                case 'verify':
+                    return await this.runVerifyAsync();
+                case 'rollback':
+                    return await this.runRollbackAsync();
+                case 'plan':
+                    return this.runPlan(...params);
+                case 'report':
+                    return await this.runReportAsync();
+                case 'impact':
+                    return await this.runImpactAsync(...params);
+                case 'apply':
+                    return await this.runApplyAsync(...params);
+                default:
+                    return await this.runInteractiveAsync();
+            }
         } catch (err) {
+            if (err instanceof UsageError) {
+                Utils.loggerError(`${err.message}\nRun \`krlib --help\` for usage`);
+                return ExitCode.USAGE;
+            }
+            if (err instanceof VersionError) {
+                Utils.loggerError(err.message);
+                return ExitCode.USAGE;
+            }
+            if (err instanceof ConfigError) {
+                Utils.loggerError(err.message);
+                return ExitCode.CONFIG;
+            }
+            if (err instanceof CancelledError) {
+                Utils.loggerWarning(err.message);
+                return ExitCode.CANCELLED;
+            }
+            if (err instanceof KrlibError) {
+                Utils.loggerError(err.cause ? `${err.message}: ${err.cause.message}` : err.message);
+                return ExitCode.FAILURE;
+            }
             Utils.loggerError(`Failed to run krlib, err: ${err.message} \r\n ${err.stack}`);
-            process.exit(1);
+            return ExitCode.FAILURE;
         }
     }
 }
 
 if (typeof require !== 'undefined' && require.main === module) {
-    new Cli().run();
+    new Cli().run(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
 }
 
 module.exports = LeyserkidsComponentCollection;
+Object.assign(module.exports, {
+    createKrlib,
+    Krlib,
+    KrlibError,
+    UsageError,
+    ConfigError,
+    GitError,
+    VersionError,
+    InstallError,
+    CancelledError,
+});
+// the parsers and helpers, for the tests only, not part of the API
+Object.defineProperty(module.exports, 'internals', {
+    value : Object.freeze({ JsonSource, Logger, Utils, VersionPolicy, ImpactAnalyzer, UpdatePicker, CliUpdater, InstallQueue, Doctor }),
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const assert = require('assert');
+const { readFileSync, writeFileSync } = require('fs');
+const path = require('path');
+const { createKrlib, VersionError } = require('..');
+const { createLibrary, createRepo, createTempDir, dependency, git, removeDir } = require('./helpers');
+
+// runs the package manager, the components install the library from a local repository
+describe('Krlib', function () {
+    this.timeout(180000);
+    let directory;
+    let root;
+    let url;
+    let krlib;
+
+    const statusOf = (status) => status.map(({ componentName, exist, currentVersion, expectedVersion, compareVersion }) =>
+        ({ componentName, exist, currentVersion, expectedVersion, compareVersion }));
+    const readPkg = (name) => readFileSync(path.join(root, name, 'package.json'), 'utf8');
+
+    before(() => {
+        directory = createTempDir('api');
+        process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+        url = createLibrary(directory, ['1.0.0', '1.1.0', '1.2.0'].map(version =>
+            ({ version, files : { 'index.js' : `module.exports = { version : '${version}' };\n` } })));
+        root = createRepo(path.join(directory, 'repo'), {
+            'krlib.config.json' : { url, component : { web : 'web', admin : 'admin' } },
+            '.gitignore' : 'node_modules\n',
+            // four spaces, and minified without a trailing newline
+            'web/package.json' : JSON.stringify({ name : 'web', dependencies : { 'kr-library' : dependency(url, '1.0.0') } }, null, 4) + '\n',
+            'admin/package.json' : JSON.stringify({ name : 'admin', dependencies : { 'kr-library' : dependency(url, '1.0.0') } }),
+        });
+        krlib = createKrlib({ root, env : {} });
+    });
+
+    after(() => {
+        delete process.env.KRLIB_CACHE_DIR;
+        removeDir(directory);
+    });
+
+    it('reports the components not installed', async () => {
+        assert.deepStrictEqual(statusOf(await krlib.status()), [
+            { componentName : 'web', exist : false, currentVersion : null, expectedVersion : '1.0.0', compareVersion : -2 },
+            { componentName : 'admin', exist : false, currentVersion : null, expectedVersion : '1.0.0', compareVersion : -2 },
+        ]);
+        const result = await krlib.check();
+        assert.strictEqual(result.ok, false);
+        assert.deepStrictEqual(result.uninstalled.map(item => item.componentName), ['web', 'admin']);
+        assert.deepStrictEqual(result.behindLatest.map(item => item.componentName), ['web', 'admin']);
+    });
+
+    it('previews the package.json changes of an update without writing them', async () => {
+        const before = { web : readPkg('web'), admin : readPkg('admin') };
+        const [web, admin] = krlib.preview((await krlib.load()).planUpdate('1.1.0'));
+        assert.strictEqual(web.file, 'web/package.json');
+        assert.deepStrictEqual(web.diff.split('\n'), [
+            '--- a/web/package.json',
+            '+++ b/web/package.json',
+            '@@ -1,6 +1,6 @@',
+            ' {',
+            '     "name": "web",',
+            '     "dependencies": {',
+            `-        "kr-library": "${dependency(url, '1.0.0')}"`,
+            `+        "kr-library": "${dependency(url, '1.1.0')}"`,
+            '     }',
+            ' }',
+        ]);
+        assert.deepStrictEqual(admin.diff.split('\n').slice(2), [
+            '@@ -1,1 +1,1 @@',
+            `-${before.admin}`,
+            '\\ No newline at end of file',
+            `+${before.admin.replace('#semver:1.0.0', '#semver:1.1.0')}`,
+            '\\ No newline at end of file',
+        ]);
+        assert.deepStrictEqual({ web : readPkg('web'), admin : readPkg('admin') }, before);
+    });
+
+    it('reads the components again after install', async () => {
+        const results = await krlib.install();
+        assert.deepStrictEqual(results.map(({ component, status }) => [component.componentName, status]), [['web', 'success'], ['admin', 'success']]);
+        assert.deepStrictEqual(statusOf(await krlib.status()), [
+            { componentName : 'web', exist : true, currentVersion : '1.0.0', expectedVersion : '1.0.0', compareVersion : 0 },
+            { componentName : 'admin', exist : true, currentVersion : '1.0.0', expectedVersion : '1.0.0', compareVersion : 0 },
+        ]);
+        const result = await krlib.check();
+        assert.strictEqual(result.ok, true);
+        assert.deepStrictEqual((await krlib.status()).map(item => item.integrity.status), ['verified', 'verified']);
+        git(root, 'add', '-A');
+        git(root, 'commit', '-qm', 'install');
+    });
+
+    it('reads the components again after update', async () => {
+        await krlib.update({ version : '1.1.0', components : ['web'] });
+        assert.deepStrictEqual(statusOf(await krlib.status()), [
+            { componentName : 'web', exist : true, currentVersion : '1.1.0', expectedVersion : '1.1.0', compareVersion : 0 },
+        ]);
+        await krlib.load();
+        assert.deepStrictEqual((await krlib.status()).map(item => item.currentVersion), ['1.1.0', '1.0.0']);
+    });
+
+    it('reads the components again after bump, keeping the formatting of package.json', async () => {
+        const before = { web : readPkg('web'), admin : readPkg('admin') };
+        await krlib.bump({ version : '1.2.0' });
+        assert.strictEqual(readPkg('web'), before.web.replace('#semver:1.1.0', '#semver:1.2.0'));
+        assert.strictEqual(readPkg('admin'), before.admin.replace('#semver:1.0.0', '#semver:1.2.0'));
+        assert.deepStrictEqual(statusOf(await krlib.status()), [
+            { componentName : 'web', exist : true, currentVersion : '1.2.0', expectedVersion : '1.2.0', compareVersion : 0 },
+            { componentName : 'admin', exist : true, currentVersion : '1.2.0', expectedVersion : '1.2.0', compareVersion : 0 },
+        ]);
+        const result = await krlib.check();
+        assert.strictEqual(result.ok, true);
+        assert.deepStrictEqual(result.behindLatest, []);
+    });
+
+    it('reads the components again after rollback', async () => {
+        await krlib.rollback();
+        assert.deepStrictEqual((await krlib.status()).map(item => [item.currentVersion, item.expectedVersion]), [['1.1.0', '1.1.0'], ['1.0.0', '1.0.0']]);
+        assert.strictEqual(krlib.getLastUpgrade(), null);
+    });
+
+    it('reads package.json again in a new instance', async () => {
+        writeFileSync(path.join(root, 'admin', 'package.json'), readPkg('admin').replace('#semver:1.0.0', '#semver:^1.1.0'));
+        const status = await createKrlib({ root, env : {} }).status();
+        assert.deepStrictEqual(statusOf(status)[1],
+            { componentName : 'admin', exist : true, currentVersion : '1.0.0', expectedVersion : '^1.1.0', compareVersion : -1 });
+    });
+
+    it('names the component of a dependency krlib cannot read', async () => {
+        writeFileSync(path.join(root, 'admin', 'package.json'), JSON.stringify({ name : 'admin', dependencies : { 'kr-library' : '^1.0.0' } }));
+        await assert.rejects(createKrlib({ root, env : {} }).status(), (err) => err instanceof VersionError &&
+            err.message === 'The kr-library dependency of admin is "^1.0.0", krlib only supports git+<url>#semver:<range>');
+    });
+});
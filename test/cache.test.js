@@ -0,0 +1,88 @@
+'use strict';
+
+const assert = require('assert');
+const { existsSync, readdirSync, renameSync } = require('fs');
+const path = require('path');
+const { createKrlib } = require('..');
+const { createLibrary, createRepo, createTempDir, dependency, git, removeDir, writeFiles } = require('./helpers');
+
+describe('tag cache', function () {
+    this.timeout(60000);
+    let directory;
+    let root;
+    let bare;
+
+    // latest version and the messages logged while loading
+    const load = async (options = {}, config = {}) => {
+        const krlib = createKrlib(Object.assign({ root, config : Object.assign({ url : `file://${bare}`, component : { web : 'web' } }, config), env : {} }, options));
+        const messages = [];
+        krlib.on('log', ({ level, message }) => messages.push(`${level}: ${message}`));
+        const pkgs = await krlib.load();
+        return { latest : pkgs.latestVersion || null, messages };
+    };
+
+    before(() => {
+        directory = createTempDir('cache');
+        process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+        bare = createLibrary(directory, ['1.0.0', '1.1.0'].map(version => ({ version }))).slice('file://'.length);
+        root = createRepo(path.join(directory, 'repo'), {
+            'web/package.json' : { name : 'web', dependencies : { 'kr-library' : dependency(`file://${bare}`, '1.0.0') } },
+        });
+    });
+
+    after(() => {
+        delete process.env.KRLIB_CACHE_DIR;
+        removeDir(directory);
+    });
+
+    it('knows no version offline before the tags were ever obtained', async () => {
+        const { latest, messages } = await load({ offline : true });
+        assert.strictEqual(latest, null);
+        assert.deepStrictEqual(messages, ['warning: Offline and the version numbers were never obtained, the latest kr-library is unknown']);
+        assert.strictEqual(existsSync(path.join(directory, 'cache')), false);
+    });
+
+    it('caches the tags in KRLIB_CACHE_DIR and uses them while they are fresh', async () => {
+        assert.strictEqual((await load()).latest, '1.1.0');
+        assert.strictEqual(readdirSync(path.join(directory, 'cache', 'tags')).length, 1);
+
+        git(bare, 'tag', 'v1.2.0', 'v1.1.0');
+        const cached = await load();
+        assert.strictEqual(cached.latest, '1.1.0');
+        assert.ok(cached.messages[0].startsWith('debug: Using the kr-library version numbers cached'), cached.messages[0]);
+        assert.strictEqual((await load({ refresh : true })).latest, '1.2.0');
+    });
+
+    it('asks the remote every time with a cacheTtl of 0', async () => {
+        git(bare, 'tag', 'v1.3.0', 'v1.1.0');
+        assert.strictEqual((await load({}, { cacheTtl : 0 })).latest, '1.3.0');
+    });
+
+    it('falls back to the cached tags when the remote cannot be reached', async () => {
+        renameSync(bare, `${bare}.gone`);
+        try {
+            const { latest, messages } = await load({ refresh : true });
+            assert.strictEqual(latest, '1.3.0');
+            assert.ok(messages.some(message => /^warning: .+, using the version numbers obtained .+, they may be stale$/.test(message)), messages.join('\n'));
+
+            const offline = await load({ offline : true });
+            assert.strictEqual(offline.latest, '1.3.0');
+            assert.ok(offline.messages[0].startsWith('info: Offline, using the kr-library version numbers obtained'), offline.messages[0]);
+        } finally {
+            renameSync(`${bare}.gone`, bare);
+        }
+    });
+
+    it('goes on without caching when the cache directory cannot be written', async () => {
+        const file = path.join(directory, 'not-a-directory');
+        writeFiles(directory, { 'not-a-directory' : '' });
+        process.env.KRLIB_CACHE_DIR = file;
+        try {
+            const { latest, messages } = await load();
+            assert.strictEqual(latest, '1.3.0');
+            assert.ok(messages.some(message => message.startsWith(`warning: Could not cache the kr-library tags in ${path.join(file, 'tags')}`)), messages.join('\n'));
+        } finally {
+            process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+        }
+    });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { createKrlib, UsageError, VersionError } = require('..');
+const { createRepo, createTempDir, git, removeDir, runCli, writeFiles } = require('./helpers');
+
+describe('changelog', function () {
+    this.timeout(60000);
+    let directory;
+    let root;
+
+    const commit = (work, subject, body = '') => {
+        writeFiles(work, { 'CHANGES' : `${subject}\n` });
+        git(work, 'add', '-A');
+        git(work, 'commit', '-qm', subject, ...(body ? ['-m', body] : []));
+    };
+    const changelog = (from, to) => createKrlib({ root, env : {} }).changelog(from, to);
+
+    before(() => {
+        directory = createTempDir('changelog');
+        process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+        const work = path.join(directory, 'work');
+        const bare = path.join(directory, 'kr-library.git');
+        createRepo(work, { 'package.json' : { name : 'kr-library', version : '1.0.0' } });
+        git(work, 'tag', 'v1.0.0');
+        commit(work, 'fix: button color');
+        commit(work, 'feat!: rename Grid to Layout', 'BREAKING CHANGE: Grid is gone, import Layout');
+        git(work, 'tag', '-a', 'v1.1.0', '-m', 'Release 1.1.0\n\nThe layout release');
+        commit(work, 'docs: readme');
+        git(work, 'tag', 'v1.2.0');
+        git(directory, 'clone', '-q', '--bare', work, bare);
+        root = createRepo(path.join(directory, 'repo'), {
+            'krlib.config.json' : { url : `file://${bare}`, component : { web : 'web' } },
+            'web/package.json' : { name : 'web' },
+        });
+    });
+
+    after(() => {
+        delete process.env.KRLIB_CACHE_DIR;
+        removeDir(directory);
+    });
+
+    it('lists the tag message and commits of every release, oldest first', async () => {
+        const releases = await changelog('1.0.0', 'v1.2.0');
+        assert.deepStrictEqual(releases.map(({ version, message, breaking, commits }) =>
+            ({ version, message, breaking, commits : commits.map(item => [item.subject, item.breaking]) })), [
+            {
+                version : '1.1.0',
+                message : 'Release 1.1.0\n\nThe layout release',
+                breaking : true,
+                commits : [['feat!: rename Grid to Layout', true], ['fix: button color', false]],
+            },
+            { version : '1.2.0', message : '', breaking : false, commits : [['docs: readme', false]] },
+        ]);
+        assert.strictEqual(releases[0].commits[0].body, 'BREAKING CHANGE: Grid is gone, import Layout');
+        assert.deepStrictEqual(await changelog('1.2.0', '1.2.0'), []);
+    });
+
+    it('refuses an invalid or unreleased version', async () => {
+        await assert.rejects(changelog('1.0', '1.2.0'), (err) => err instanceof UsageError && err.message === 'Invalid version: 1.0');
+        await assert.rejects(changelog('1.0.0', '1.3.0'), (err) => err instanceof VersionError && err.message === 'The kr-library has no release 1.3.0');
+    });
+
+    it('prints the newest release first with the breaking changes marked', () => {
+        const result = runCli(root, ['changelog', '1.0.0', '1.2.0']);
+        assert.strictEqual(result.status, 0, result.stderr);
+        const lines = result.stdout.split('\n');
+        const [newest, breaking] = ['1.2.0', '1.1.0  [BREAKING CHANGES]'].map(line => lines.indexOf(line));
+        assert.ok(newest !== -1 && newest < breaking, result.stdout);
+        assert.ok(/^! [0-9a-f]+ feat!: rename Grid to Layout\n {6}BREAKING CHANGE: Grid is gone, import Layout$/m.test(result.stdout), result.stdout);
+    });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { createKrlib } = require('..');
+const { createLibrary, createRepo, createTempDir, dependency, fakeInstall, removeDir, writeFiles } = require('./helpers');
+
+describe('channels', function () {
+    this.timeout(60000);
+    let directory;
+    let root;
+    let url;
+
+    const load = (config = {}) => createKrlib({
+        root,
+        config : Object.assign({
+            url,
+            component : { web : { path : 'web', channel : 'beta' }, admin : 'admin', shop : { path : 'shop', channel : 'rc' } },
+        }, config),
+        env : {},
+    }).load();
+    const install = (component, range, version) => {
+        const componentPath = path.join(root, component);
+        writeFiles(componentPath, { 'package.json' : { name : component, dependencies : { 'kr-library' : dependency(url, range) } } });
+        fakeInstall(componentPath, version);
+    };
+
+    before(() => {
+        directory = createTempDir('channels');
+        process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+        url = createLibrary(directory, ['1.0.0', '1.2.0', '1.3.0-beta.1', '1.3.0-rc.1', '1.4.0-beta.1'].map(version => ({ version })));
+        root = createRepo(path.join(directory, 'repo'), { 'web/package.json' : {}, 'admin/package.json' : {}, 'shop/package.json' : {} });
+    });
+
+    after(() => {
+        delete process.env.KRLIB_CACHE_DIR;
+        removeDir(directory);
+    });
+
+    it('takes the latest release on the channel of each component', async () => {
+        install('web', '^1.2.0', '1.2.0');
+        install('admin', '^1.2.0', '1.2.0');
+        install('shop', '^1.2.0', '1.2.0');
+        const pkgs = await load();
+        assert.deepStrictEqual(pkgs.getStatus().map(item => [item.componentName, item.channel, item.latestVersion]), [
+            ['web', 'beta', '1.4.0-beta.1'],
+            ['admin', 'stable', '1.2.0'],
+            ['shop', 'rc', '1.3.0-rc.1'],
+        ]);
+        assert.deepStrictEqual(pkgs.planUpdate().map(({ component, version }) => [component.componentName, version]), [
+            ['web', '1.4.0-beta.1'],
+            ['admin', '1.2.0'],
+            ['shop', '1.3.0-rc.1'],
+        ]);
+        assert.deepStrictEqual((await load({ channel : 'rc' })).getStatus().map(item => item.latestVersion), ['1.4.0-beta.1', '1.3.0-rc.1', '1.3.0-rc.1']);
+    });
+
+    it('accepts a prerelease installed within the expected range', async () => {
+        install('web', '^1.2.0', '1.3.0-beta.1');
+        const pkgs = await load();
+        assert.strictEqual(pkgs.getStatus()[0].compareVersion, 0);
+        const result = pkgs.check();
+        assert.deepStrictEqual(result.unexpected, []);
+        assert.strictEqual(result.ok, true);
+        assert.deepStrictEqual(pkgs.planInstall(), []);
+    });
+
+    it('reports a prerelease of the expected version as below it', async () => {
+        install('web', '1.3.0', '1.3.0-rc.1');
+        const pkgs = await load();
+        assert.strictEqual(pkgs.getStatus()[0].compareVersion, -1);
+        assert.deepStrictEqual(pkgs.planInstall().map(({ component, version }) => [component.componentName, version]), [['web', '1.3.0']]);
+    });
+
+    it('leaves a version above the expected range installed', async () => {
+        install('web', '~1.0.0', '1.2.0');
+        install('admin', '1.0.0', '1.3.0-beta.1');
+        const pkgs = await load();
+        assert.deepStrictEqual(pkgs.getStatus().map(item => item.compareVersion), [1, 1, 0]);
+        const result = pkgs.check();
+        assert.deepStrictEqual(result.unexpected, []);
+        assert.strictEqual(result.ok, true);
+        assert.deepStrictEqual(pkgs.planInstall(), []);
+    });
+
+    it('reports a version below the expected range as outdated', async () => {
+        install('web', '^1.2.0', '1.0.0');
+        install('admin', '^1.2.0', '1.2.0');
+        const pkgs = await load();
+        const result = pkgs.check();
+        assert.deepStrictEqual(result.unexpected.map(item => [item.componentName, item.compareVersion]), [['web', -1]]);
+        assert.strictEqual(result.ok, false);
+        assert.deepStrictEqual(pkgs.planInstall().map(({ component, version }) => [component.componentName, version]), [['web', '^1.2.0']]);
+    });
+});
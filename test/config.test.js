@@ -0,0 +1,88 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { createKrlib, ConfigError } = require('..');
+const { createRepo, createTempDir, removeDir, writeFiles } = require('./helpers');
+
+describe('ConfigLoader', function () {
+    this.timeout(60000);
+    let directory;
+    let root;
+
+    const url = 'https://git.example.com/gcleyser/kr-library.git';
+    const uiUrl = 'https://git.example.com/gcleyser/ui-kit.git';
+    const issuesOf = (action) => {
+        try {
+            action();
+        } catch (err) {
+            assert.ok(err instanceof ConfigError, err.stack);
+            return err.issues;
+        }
+        throw new Error('the config was accepted');
+    };
+    const urlsOf = (krlib) => krlib.environment.LIBRARIES.map(library => [library.name, library.url]);
+
+    before(() => {
+        directory = createTempDir('config');
+        root = createRepo(path.join(directory, 'repo'), { 'web/package.json' : { name : 'web' } });
+    });
+
+    after(() => {
+        removeDir(directory);
+    });
+
+    it('points at the line of each problem in the config file', () => {
+        writeFiles(root, {
+            'krlib.config.json' : '{\n  "url": "not a url",\n  "concurrency": 0,\n  "chanel": "rc",\n  "component": { "web": "web", "api": "api" }\n}\n',
+        });
+        assert.deepStrictEqual(issuesOf(() => createKrlib({ root, env : {} })), [
+            'line 2: url must be a git url such as https://host/group/kr-library.git, got "not a url"',
+            'line 3: concurrency must be at least 1, got 0',
+            'line 4: chanel is not a known property, did you mean "channel"?',
+        ]);
+    });
+
+    it('checks the component directories', () => {
+        writeFiles(root, { 'krlib.config.json' : { url, component : { web : 'web', api : { path : 'api' } } } });
+        assert.deepStrictEqual(issuesOf(() => createKrlib({ root, env : {} })), ['line 6: component.api.path points to api, which has no package.json']);
+    });
+
+    it('needs a library and components', () => {
+        assert.deepStrictEqual(issuesOf(() => createKrlib({ root, config : { component : { web : 'web' } }, env : {} })),
+            ['config: needs a "url" or "libraries"']);
+        assert.deepStrictEqual(issuesOf(() => createKrlib({ root, config : { url }, env : {} })),
+            ['config: needs a "component" map, "include" patterns or "discover": true']);
+    });
+
+    it('takes the top-level settings from the environment', () => {
+        const env = { KRLIB_URL : uiUrl, KRLIB_CHANNEL : 'rc', KRLIB_CONCURRENCY : '4', KRLIB_RETRIES : '0' };
+        const krlib = createKrlib({ root, config : { url, channel : 'beta', component : { web : 'web' } }, env });
+        assert.deepStrictEqual(urlsOf(krlib), [['kr-library', uiUrl]]);
+        const { channel, concurrency, retries } = krlib.environment.config;
+        assert.deepStrictEqual({ channel, concurrency, retries }, { channel : 'rc', concurrency : 4, retries : 0 });
+        // a library from the environment alone
+        assert.deepStrictEqual(urlsOf(createKrlib({ root, config : { component : { web : 'web' } }, env : { KRLIB_URL : url } })), [['kr-library', url]]);
+    });
+
+    it('takes the url of each library from the environment', () => {
+        const config = { url, libraries : { 'ui-kit' : { url : uiUrl }, '@scope/ui' : { url : uiUrl } }, component : { web : 'web' } };
+        const other = 'https://git.example.com/fork/ui-kit.git';
+        assert.deepStrictEqual(urlsOf(createKrlib({ root, config, env : { KRLIB_LIBRARIES_UI_KIT_URL : other, KRLIB_LIBRARIES__SCOPE_UI_URL : other } })), [
+            ['kr-library', url],
+            ['ui-kit', other],
+            ['@scope/ui', other],
+        ]);
+        // only for the libraries of the config
+        assert.deepStrictEqual(urlsOf(createKrlib({ root, config : { url, component : { web : 'web' } }, env : { KRLIB_LIBRARIES_UI_KIT_URL : other } })),
+            [['kr-library', url]]);
+    });
+
+    it('names the environment variable of an invalid value', () => {
+        const config = { url, libraries : { 'ui-kit' : { url : uiUrl } }, component : { web : 'web' } };
+        assert.deepStrictEqual(issuesOf(() => createKrlib({ root, config, env : { KRLIB_CONCURRENCY : 'many', KRLIB_LIBRARIES_UI_KIT_URL : 'ui-kit' } })), [
+            'environment variable KRLIB_LIBRARIES_UI_KIT_URL: libraries.ui-kit.url must be a git url such as https://host/group/ui-kit.git, got "ui-kit"',
+            'environment variable KRLIB_CONCURRENCY: concurrency must be an integer, got string',
+        ]);
+    });
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { createKrlib } = require('..');
+const { createLibrary, createRepo, createTempDir, dependency, removeDir, runCli, writeFiles } = require('./helpers');
+
+describe('ComponentDiscovery', function () {
+    this.timeout(60000);
+    let directory;
+    let root;
+    let url;
+    let uiUrl;
+
+    const namesOf = async (config) => {
+        const libraries = { 'kr-library' : { url }, 'ui-kit' : { url : uiUrl } };
+        const pkgs = await createKrlib({ root, config : Object.assign({ libraries }, config), env : {} }).load();
+        return pkgs.components.map(component => component.componentName);
+    };
+    const syncConfig = (config) => {
+        writeFiles(root, { 'krlib.config.json' : Object.assign({ url }, config) });
+        return runCli(root, ['config', 'sync']);
+    };
+
+    before(() => {
+        directory = createTempDir('discovery');
+        process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+        url = createLibrary(directory, [{ version : '1.0.0' }]);
+        uiUrl = createLibrary(directory, [{ version : '2.0.0' }], { name : 'ui-kit' });
+        const pkg = (name, library = 'kr-library') => ({ name, dependencies : { [library] : dependency(library === 'ui-kit' ? uiUrl : url, '1.0.0') } });
+        root = createRepo(path.join(directory, 'repo'), {
+            '.gitignore' : 'node_modules\nignored/\n',
+            'apps/web/package.json' : pkg('web'),
+            'apps/admin/nested/package.json' : pkg('admin'),
+            'apps/legacy/package.json' : pkg('legacy'),
+            'packages/ui/package.json' : pkg('ui'),
+            'packages/kit/package.json' : pkg('kit', 'ui-kit'),
+            'packages/tools/package.json' : { name : 'tools' },
+            'tools/cli/package.json' : pkg('cli'),
+        });
+        writeFiles(root, {
+            // not committed yet
+            'apps/new/package.json' : pkg('new'),
+            // ignored by git
+            'ignored/package.json' : pkg('ignored'),
+            'packages/ui/node_modules/kr-library/package.json' : pkg('kr-library'),
+        });
+    });
+
+    after(() => {
+        delete process.env.KRLIB_CACHE_DIR;
+        removeDir(directory);
+    });
+
+    it('finds the components depending on a library in the directories matched by include', async () => {
+        assert.deepStrictEqual(await namesOf({ include : ['packages/*', 'apps/**'], component : { legacy : { path : 'apps/legacy', ignore : true } } }), [
+            'apps/admin/nested',
+            'apps/new',
+            'apps/web',
+            'packages/kit',
+            'packages/ui',
+        ]);
+        assert.deepStrictEqual(await namesOf({ include : ['apps/*'] }), ['apps/legacy', 'apps/new', 'apps/web']);
+    });
+
+    it('finds every component of the repo with discover, the listed ones keeping their name', async () => {
+        assert.deepStrictEqual(await namesOf({ discover : true, component : { web : 'apps/web', ui : { path : './packages/ui/' } } }), [
+            'web',
+            'ui',
+            'apps/admin/nested',
+            'apps/legacy',
+            'apps/new',
+            'packages/kit',
+            'tools/cli',
+        ]);
+    });
+
+    it('lists the components missing from the config and the entries gone from disk on config sync', () => {
+        let result = syncConfig({ include : ['packages/*'], component : { web : 'apps/web', gone : 'apps/gone' } });
+        assert.strictEqual(result.status, 4, result.stderr);
+        assert.deepStrictEqual((result.stdout + result.stderr).split('\n').filter(line => /^[\w/]+: /.test(line)).sort(), [
+            'apps/admin/nested: depends on kr-library but is not in the config, add "nested": "apps/admin/nested" to "component"',
+            'apps/legacy: depends on kr-library but is not in the config, add "legacy": "apps/legacy" to "component"',
+            'apps/new: depends on kr-library but is not in the config, add "new": "apps/new" to "component"',
+            'gone: apps/gone has no package.json, remove it from "component"',
+            'tools/cli: depends on kr-library but is not in the config, add "cli": "tools/cli" to "component"',
+        ]);
+
+        result = syncConfig({ include : ['packages/*', 'apps/**', 'tools/*'], component : { web : 'apps/web' } });
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(result.stdout.includes('The config lists every component depending on kr-library'), result.stdout);
+        assert.strictEqual(syncConfig({ discover : true, component : { web : 'apps/web' } }).status, 0);
+    });
+});
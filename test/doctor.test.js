@@ -0,0 +1,106 @@
+'use strict';
+
+const assert = require('assert');
+const { chmodSync } = require('fs');
+const path = require('path');
+const { internals : { Doctor } } = require('..');
+const { createLibrary, createRepo, createTempDir, dependency, fakeInstall, git, removeDir, runCli, writeFiles } = require('./helpers');
+
+describe('Doctor', function () {
+    this.timeout(60000);
+    let directory;
+    let url;
+    let path0;
+
+    // result of each check but the tools, which depend on the machine
+    const diagnose = async (cwd, options = {}) => (await new Doctor(Object.assign({ cwd, env : {} }, options)).runAsync())
+        .filter(({ name }) => !['git', 'node', 'npm', 'git user'].includes(name))
+        .map(({ name, status, message, fix }) => [name, status, message.split(directory).join('<tmp>')].concat(fix ? [fix.split(directory).join('<tmp>')] : []));
+
+    before(() => {
+        directory = createTempDir('doctor');
+        url = createLibrary(directory, ['1.0.0', '1.1.0'].map(version => ({ version })));
+        // a pnpm too old
+        const bin = path.join(directory, 'bin');
+        writeFiles(bin, { pnpm : '#!/bin/sh\necho 7.0.0\n' });
+        chmodSync(path.join(bin, 'pnpm'), 0o755);
+        path0 = process.env.PATH;
+        process.env.PATH = `${bin}${path.delimiter}${path0}`;
+    });
+
+    after(() => {
+        process.env.PATH = path0;
+        removeDir(directory);
+    });
+
+    it('passes every check of a repo ready to use', async () => {
+        const root = createRepo(path.join(directory, 'ready'), {
+            'krlib.config.json' : { url, component : { web : 'web' } },
+            'web/package.json' : { name : 'web', dependencies : { 'kr-library' : dependency(url, '^1.0.0') } },
+        });
+        fakeInstall(path.join(root, 'web'), '1.1.0');
+        assert.deepStrictEqual(await diagnose(path.join(root, 'web')), [
+            ['repository', 'pass', `<tmp>${path.sep}ready`],
+            ['config', 'pass', `<tmp>${path.sep}ready${path.sep}krlib.config.json`],
+            ['remote', 'pass', 'origin https://example.com/gcleyser/app.git'],
+            ['kr-library remote', 'pass', '2 releases, the latest is 1.1.0'],
+            ['web', 'pass', `<tmp>${path.sep}ready${path.sep}web${path.sep}package.json is valid`],
+            ['web dependency', 'pass', 'kr-library ^1.0.0'],
+            ['web node_modules', 'pass', 'every dependency is installed'],
+        ]);
+        assert.deepStrictEqual((await diagnose(root, { offline : true }))[3], ['kr-library remote', 'warn', 'not checked, offline']);
+    });
+
+    it('tells how to fix each problem found', async () => {
+        const gone = `file://${path.join(directory, 'gone.git')}`;
+        const root = createRepo(path.join(directory, 'broken'), {
+            'krlib.config.json' : {
+                libraries : { 'kr-library' : { url }, 'ui-kit' : { url : gone } },
+                component : { web : 'web', admin : 'admin', shop : 'shop', api : 'api', app : 'app' },
+            },
+            'web/package.json' : { name : 'web', dependencies : { 'kr-library' : dependency(url, '2.0.0'), 'left-pad' : '^1.0.0' } },
+            'admin/package.json' : '{ "name": "admin", }',
+            'shop/package.json' : { name : 'shop', dependencies : { 'kr-library' : '^1.0.0' } },
+            'app/package.json' : { name : 'app' },
+            'app/pnpm-lock.yaml' : '',
+        });
+        fakeInstall(path.join(root, 'web'), '1.0.0');
+        fakeInstall(path.join(root, 'web'), '1.0.0', 'left-pad');
+        git(root, 'remote', 'set-url', 'origin', 'https://example.com/other/app.git');
+        const results = await diagnose(root);
+        assert.deepStrictEqual(results.filter(([, status]) => status !== 'pass').map(result => result.slice(0, 2)), [
+            ['remote', 'fail'],
+            ['ui-kit remote', 'fail'],
+            ['web node_modules', 'warn'],
+            ['admin', 'fail'],
+            ['shop dependency', 'fail'],
+            ['shop node_modules', 'warn'],
+            ['api', 'fail'],
+            ['app dependency', 'fail'],
+            ['pnpm', 'fail'],
+        ]);
+        const byName = new Map(results.map(result => [result[0], result]));
+        assert.deepStrictEqual(byName.get('remote').slice(2), ['none of origin example.com/other/app matches **/gcleyser/**',
+            'Add a pattern matching one of the remotes to "remotes" in the config, such as "github.com/<group>/*"']);
+        assert.ok(/^fatal: /.test(byName.get('ui-kit remote')[2]), byName.get('ui-kit remote')[2]);
+        assert.deepStrictEqual(byName.get('web node_modules').slice(2), ['kr-library does not match the expected range', 'Run `krlib install`']);
+        assert.deepStrictEqual(byName.get('shop dependency').slice(2), ['kr-library is ^1.0.0, not a git+<url>#semver:<range> dependency',
+            'Set the dependency to git+file://<tmp>/kr-library.git#semver:<version>']);
+        assert.deepStrictEqual(byName.get('api').slice(2), ['api does not exist', 'Fix the path of "api" in the config, or remove it']);
+        assert.deepStrictEqual(byName.get('app dependency').slice(2), ['no dependency on kr-library or ui-kit',
+            `Run \`npm install git+file://<tmp>/kr-library.git#semver:<version>\` in <tmp>${path.sep}broken${path.sep}app`]);
+        assert.deepStrictEqual(byName.get('pnpm').slice(2), ['pnpm 7.0.0 is too old', 'Run `npm install -g pnpm@latest`, 8.0.0 or later is needed']);
+    });
+
+    it('reports an invalid config and goes on with the other checks', async () => {
+        const root = createRepo(path.join(directory, 'invalid'), { 'krlib.config.json' : { url, concurrency : 0, component : {} } });
+        assert.deepStrictEqual((await diagnose(root)).map(result => result.slice(0, 2)), [['repository', 'pass'], ['config', 'fail'], ['remote', 'pass']]);
+    });
+
+    it('exits with 1 when a check fails', () => {
+        const result = runCli(directory, ['doctor']);
+        assert.strictEqual(result.status, 1, result.stderr);
+        assert.ok(/^\[fail\] repository +.+ is not in a git repository$/m.test(result.stdout + result.stderr), result.stdout + result.stderr);
+        assert.ok(result.stdout.includes('fix: Run krlib inside the git repository of the components'), result.stdout);
+    });
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+const { execFileSync, spawnSync } = require('child_process');
+const { existsSync, lstatSync, mkdirSync, mkdtempSync, readdirSync, rmdirSync, unlinkSync, writeFileSync } = require('fs');
+const os = require('os');
+const path = require('path');
+
+const identity = {
+    GIT_AUTHOR_NAME : 'krlib',
+    GIT_AUTHOR_EMAIL : 'krlib@example.com',
+    GIT_COMMITTER_NAME : 'krlib',
+    GIT_COMMITTER_EMAIL : 'krlib@example.com',
+};
+
+/**
+ * @param {String} name part of the directory name
+ * @returns {String} new empty directory under the system temp directory
+ */
+function createTempDir(name) {
+    return mkdtempSync(path.join(os.tmpdir(), `krlib-${name}-`));
+}
+
+function removeDir(directory) {
+    if (!existsSync(directory)) {
+        return;
+    }
+    readdirSync(directory).forEach(name => {
+        const file = path.join(directory, name);
+        if (lstatSync(file).isDirectory()) {
+            removeDir(file);
+        } else {
+            unlinkSync(file);
+        }
+    });
+    rmdirSync(directory);
+}
+
+function git(cwd, ...args) {
+    return execFileSync('git', args, { cwd, env : Object.assign({}, process.env, identity), stdio : ['ignore', 'pipe', 'pipe'] }).toString().trim();
+}
+
+/**
+ * @param {String} directory directory to write in
+ * @param {Object} files content by relative path, objects are written as JSON
+ */
+function writeFiles(directory, files) {
+    Object.keys(files).forEach(file => {
+        const target = path.join(directory, file);
+        const content = files[file];
+        mkdirSync(path.dirname(target), { recursive : true });
+        writeFileSync(target, typeof content === 'string' ? content : `${JSON.stringify(content, null, 2)}\n`);
+    });
+}
+
+/**
+ * a library released as tags of a bare git repository
+ * @param {String} directory directory the repository is created in
+ * @param {{version: String, files: Object}[]} releases files of each release, a package.json is added when not given
+ * @param {{name: String, tagPattern: String}} options package name, and tag name of a release
+ * @returns {String} file url of the repository
+ */
+function createLibrary(directory, releases, { name = 'kr-library', tagPattern = 'v{version}' } = {}) {
+    const work = path.join(directory, `${name}-work`);
+    const bare = path.join(directory, `${name}.git`);
+    mkdirSync(work, { recursive : true });
+    git(work, 'init', '-q');
+    releases.forEach(({ version, files = {} }) => {
+        git(work, 'rm', '-rq', '--ignore-unmatch', '.');
+        writeFiles(work, Object.assign({ 'package.json' : { name, version, main : 'index.js' } }, files));
+        git(work, 'add', '-A');
+        git(work, 'commit', '-qm', `release ${version}`);
+        git(work, 'tag', tagPattern.replace('{version}', version));
+    });
+    git(directory, 'clone', '-q', '--bare', work, bare);
+    return `file://${bare}`;
+}
+
+/**
+ * a repository of components, with a gcleyser remote
+ * @param {String} directory directory the repository is created in
+ * @param {Object} files content by relative path, see `writeFiles`
+ * @returns {String} directory
+ */
+function createRepo(directory, files) {
+    mkdirSync(directory, { recursive : true });
+    git(directory, 'init', '-q');
+    git(directory, 'remote', 'add', 'origin', 'https://example.com/gcleyser/app.git');
+    writeFiles(directory, files);
+    git(directory, 'add', '-A');
+    git(directory, 'commit', '-qm', 'init');
+    return directory;
+}
+
+/**
+ * a component with a library in node_modules, without running the package manager
+ * @param {String} componentPath component directory
+ * @param {String} version installed version
+ * @param {String} name package name
+ */
+function fakeInstall(componentPath, version, name = 'kr-library') {
+    writeFiles(componentPath, { [`node_modules/${name}/package.json`] : { name, version } });
+}
+
+/**
+ * run the krlib command line
+ * @param {String} cwd working directory
+ * @param {String[]} args arguments
+ * @param {{input: String, env: Object}} options text typed on stdin, environment variables added
+ * @returns {{status: Number, stdout: String, stderr: String}} exit code and output
+ */
+function runCli(cwd, args, { input = '', env = {} } = {}) {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js')].concat(args), {
+        cwd,
+        input,
+        env : Object.assign({}, process.env, identity, { NO_COLOR : '1', CI : '1' }, env),
+        encoding : 'utf8',
+        timeout : 120000,
+    });
+    return { status : result.status, stdout : result.stdout, stderr : result.stderr };
+}
+
+/**
+ * write the messages of krlib to a string in place of the terminal, until `restore`
+ * @returns {{text: Function, restore: Function}} output written so far, and putting the logger back
+ */
+function captureLogger() {
+    const { Logger, Utils } = require('..').internals;
+    const previous = Utils.logger;
+    let text = '';
+    const stream = { write : (chunk) => { text += chunk; } };
+    Utils.logger = new Logger({ stdout : stream, stderr : stream, env : {} });
+    return {
+        text : () => text,
+        restore : () => { Utils.logger = previous; },
+    };
+}
+
+function dependency(url, range) {
+    return `git+${url}#semver:${range}`;
+}
+
+module.exports = {
+    captureLogger,
+    createLibrary,
+    createRepo,
+    createTempDir,
+    dependency,
+    fakeInstall,
+    git,
+    removeDir,
+    runCli,
+    writeFiles,
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const { chmodSync, existsSync, readFileSync } = require('fs');
+const path = require('path');
+const { createRepo, createTempDir, dependency, fakeInstall, git, removeDir, runCli, writeFiles } = require('./helpers');
+
+describe('GitHooks', function () {
+    this.timeout(60000);
+    let directory;
+    let root;
+    let hooks;
+    let env;
+
+    const url = 'https://git.example.com/gcleyser/kr-library.git';
+    const writePkg = (range) => writeFiles(root, { 'web/package.json' : { name : 'web', dependencies : { 'kr-library' : dependency(url, range) } } });
+    // the way git runs a hook, krlib is not on the PATH so the hook runs it from where it was installed from
+    const runHook = (name, args, input = '') => {
+        const result = spawnSync(path.join(hooks, name), args, { cwd : root, input, env, encoding : 'utf8', timeout : 60000 });
+        return { status : result.status, stdout : result.stdout, stderr : result.stderr };
+    };
+
+    before(() => {
+        directory = createTempDir('hooks');
+        // the hooks directory of the repo, not a core.hooksPath of the environment
+        env = Object.assign({}, process.env, { GIT_CONFIG_COUNT : '0', NO_COLOR : '1', KRLIB_CACHE_DIR : path.join(directory, 'cache') });
+        root = createRepo(path.join(directory, 'repo'), {
+            'krlib.config.json' : { url, component : { web : 'web' } },
+            'web/package.json' : { name : 'web', dependencies : { 'kr-library' : dependency(url, '1.0.0') } },
+            '.gitignore' : 'node_modules\n',
+        });
+        hooks = path.join(root, '.git', 'hooks');
+        // a pre-push hook in place before, writing what it reads
+        writeFiles(hooks, { 'pre-push' : `#!/bin/sh\ncat > '${path.join(directory, 'pushed')}'\n` });
+        chmodSync(path.join(hooks, 'pre-push'), 0o755);
+        fakeInstall(path.join(root, 'web'), '1.0.0');
+    });
+
+    after(() => {
+        removeDir(directory);
+    });
+
+    it('installs the hooks, keeping the one in place as chained', () => {
+        const result = runCli(root, ['hooks', 'install'], { env });
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(result.stdout.includes(`Installed ${path.join(hooks, 'pre-push')}, the hook found there runs first`), result.stdout);
+        ['pre-commit', 'pre-push', 'post-merge', 'post-checkout'].forEach(name => {
+            assert.ok(readFileSync(path.join(hooks, name), 'utf8').includes('# installed by `krlib hooks install`'));
+        });
+        assert.ok(existsSync(path.join(hooks, 'pre-push.krlib-chained')));
+    });
+
+    it('passes the pushed refs to the chained pre-push hook', () => {
+        const refs = 'refs/heads/main 1111111111111111111111111111111111111111 refs/heads/main 0000000000000000000000000000000000000000';
+        const result = runHook('pre-push', ['origin', url], `${refs}\n`);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.strictEqual(readFileSync(path.join(directory, 'pushed'), 'utf8'), `${refs}\n`);
+    });
+
+    it('gives the chained pre-push hook an empty stdin when nothing is pushed', () => {
+        const result = runHook('pre-push', ['origin', url]);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.strictEqual(readFileSync(path.join(directory, 'pushed'), 'utf8'), '');
+    });
+
+    it('stops a commit when the library is outdated', () => {
+        writePkg('^1.1.0');
+        const result = runHook('pre-commit', []);
+        assert.strictEqual(result.status, 3);
+        assert.ok(result.stderr.includes('krlib: web has kr-library 1.0.0, expected ^1.1.0'), result.stderr);
+        writePkg('1.0.0');
+        assert.strictEqual(runHook('pre-commit', []).status, 0);
+    });
+
+    it('warns when a branch switch changes the expected version', () => {
+        const previous = git(root, 'rev-parse', 'HEAD');
+        writePkg('1.1.0');
+        git(root, 'commit', '-qam', 'update');
+        const result = runHook('post-checkout', [previous, git(root, 'rev-parse', 'HEAD'), '1']);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(result.stdout.includes('krlib: the expected kr-library of web changed from 1.0.0 to 1.1.0'), result.stdout);
+        // a checkout of files is no branch switch
+        assert.ok(!runHook('post-checkout', [previous, previous, '0']).stdout.includes('changed from'));
+    });
+
+    it('puts the chained hook back on uninstall', () => {
+        const result = runCli(root, ['hooks', 'uninstall'], { env });
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(!readFileSync(path.join(hooks, 'pre-push'), 'utf8').includes('# installed by `krlib hooks install`'));
+        assert.ok(!existsSync(path.join(hooks, 'pre-push.krlib-chained')));
+        assert.ok(!existsSync(path.join(hooks, 'pre-commit')));
+    });
+});
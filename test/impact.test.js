@@ -0,0 +1,145 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { createKrlib, internals : { ImpactAnalyzer } } = require('..');
+const { createLibrary, createRepo, createTempDir, dependency, fakeInstall, removeDir } = require('./helpers');
+
+describe('ImpactAnalyzer', () => {
+    describe('parseImports', () => {
+        const parse = (lines) => ImpactAnalyzer.parseImports(lines.join('\n'), 'kr-library')
+            .map(({ line, specifier, symbols }) => [line, specifier, symbols]);
+
+        it('reads the default, named and aliased imports', () => {
+            assert.deepStrictEqual(parse([
+                'import def, { a, b as c, type T } from \'kr-library\';',
+                'import * as all from "kr-library/utils";',
+                'import type { U } from \'kr-library/types\'',
+                'import v from \'kr-library\'',
+            ]), [
+                [1, 'kr-library', ['default', 'a', 'b', 'T']],
+                [2, 'kr-library/utils', []],
+                [3, 'kr-library/types', ['U']],
+                [4, 'kr-library', ['default']],
+            ]);
+        });
+
+        it('reads an import spanning lines at its first line', () => {
+            assert.deepStrictEqual(parse([
+                'import {',
+                '    d,',
+                '    e as f,',
+                '} from \'kr-library/lib/date\';',
+            ]), [[1, 'kr-library/lib/date', ['d', 'e']]]);
+        });
+
+        it('reads the re-exports, side effect and dynamic imports', () => {
+            assert.deepStrictEqual(parse([
+                'export { g, h as i } from \'kr-library\';',
+                'export * from \'kr-library/all\';',
+                'import \'kr-library/styles.css\';',
+                'const lazy = await import(\'kr-library/lazy\');',
+            ]), [
+                [1, 'kr-library', ['g', 'h']],
+                [2, 'kr-library/all', []],
+                [3, 'kr-library/styles.css', []],
+                [4, 'kr-library/lazy', []],
+            ]);
+        });
+
+        it('reads the requires, destructured or with a property', () => {
+            assert.deepStrictEqual(parse([
+                'const { j, k: l } = require(\'kr-library\');',
+                'const m = require(\'kr-library/m\').n;',
+                'const whole = require("kr-library")',
+            ]), [
+                [1, 'kr-library', ['j', 'k']],
+                [2, 'kr-library/m', ['n']],
+                [3, 'kr-library', []],
+            ]);
+        });
+
+        it('skips the imports in comments and strings, and of other packages', () => {
+            assert.deepStrictEqual(parse([
+                '// import { old } from \'kr-library\';',
+                '/* const gone = require(\'kr-library/gone\');',
+                '*/',
+                'const text = "import { s } from \'kr-library\'";',
+                'const html = `',
+                '    import { t } from \'kr-library\';',
+                '`;',
+                'import { other } from \'kr-library-extra\';',
+                'import { u } from \'@scope/kr-library\';',
+                'import { w } from \'kr-library\'; // `',
+            ]), [[10, 'kr-library', ['w']]]);
+        });
+    });
+
+    describe('impact', function () {
+        this.timeout(60000);
+        let directory;
+        let root;
+
+        before(() => {
+            directory = createTempDir('impact');
+            process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+            const url = createLibrary(directory, [
+                {
+                    version : '1.0.0',
+                    files : {
+                        'index.js' : 'export function formatDate() {}\nexport function helper() {}\nexport const keep = 1;\n',
+                        'lib/old.js' : 'module.exports = { a : 1 };\n',
+                        'lib/move.js' : 'exports.b = 1;\n',
+                    },
+                },
+                {
+                    version : '1.1.0',
+                    files : {
+                        'index.js' : 'export function formatDateTime() {}\nexport const keep = 1;\n',
+                        'lib/moved/move.js' : 'exports.b = 1;\n',
+                    },
+                },
+            ]);
+            root = createRepo(path.join(directory, 'repo'), {
+                'krlib.config.json' : { url, component : { app : 'app' } },
+                'app/package.json' : { name : 'app', dependencies : { 'kr-library' : dependency(url, '1.0.0') } },
+                'app/src/a.js' : [
+                    'import { formatDate, helper, keep } from \'kr-library\';',
+                    'const old = require(\'kr-library/lib/old\');',
+                    'const { b } = require(\'kr-library/lib/move\');',
+                ].join('\n'),
+                'app/src/b.js' : '// import { helper } from \'kr-library\';\n',
+                'app/packages/inner/package.json' : { name : 'inner' },
+                'app/packages/inner/c.js' : 'import { helper } from \'kr-library\';\n',
+            });
+            fakeInstall(path.join(root, 'app'), '1.0.0');
+        });
+
+        after(() => {
+            delete process.env.KRLIB_CACHE_DIR;
+            removeDir(directory);
+        });
+
+        it('lists the imports an update breaks, with the renames', async () => {
+            const krlib = createKrlib({ root, env : {} });
+            const [result] = await krlib.impact((await krlib.load()).planUpdate('1.1.0'));
+            assert.strictEqual(result.from, '1.0.0');
+            assert.strictEqual(result.to, '1.1.0');
+            assert.strictEqual(result.skipped, null);
+            assert.deepStrictEqual(result.usages, [
+                { file : 'src/a.js', line : 1, specifier : 'kr-library', symbol : 'formatDate', status : 'renamed', replacement : 'formatDateTime' },
+                { file : 'src/a.js', line : 1, specifier : 'kr-library', symbol : 'helper', status : 'removed', replacement : null },
+                { file : 'src/a.js', line : 2, specifier : 'kr-library/lib/old', symbol : null, status : 'removed', replacement : null },
+                { file : 'src/a.js', line : 3, specifier : 'kr-library/lib/move', symbol : null, status : 'renamed', replacement : 'kr-library/lib/moved/move' },
+            ]);
+        });
+
+        it('skips a component staying on its version', async () => {
+            const krlib = createKrlib({ root, env : {} });
+            const [{ component }] = (await krlib.load()).planUpdate('1.1.0');
+            const [result] = await krlib.impact([{ component, version : '1.0.0' }]);
+            assert.strictEqual(result.skipped, 'the version stays the same');
+            assert.deepStrictEqual(result.usages, []);
+        });
+    });
+});
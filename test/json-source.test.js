@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('assert');
+const { ConfigError, internals : { JsonSource } } = require('..');
+
+describe('JsonSource', () => {
+    const text = [
+        '{',
+        '    "url": "git+https://example.com/lib.git",',
+        '    "component": {',
+        '        "web": { "path": "apps/web", "channel": "beta" }',
+        '    },',
+        '    "remotes": [',
+        '        "**/gcleyser/**",',
+        '        "github.com/fork/*"',
+        '    ],',
+        '    "bump": { "message": "Bump \\"{versions}\\" {}" }',
+        '}',
+    ].join('\n');
+
+    describe('parse', () => {
+        it('parses the same value as JSON.parse', () => {
+            assert.deepStrictEqual(JsonSource.parse(text, 'krlib.config.json').value, JSON.parse(text));
+        });
+
+        it('tracks the line of every property and array item', () => {
+            const { lineOf } = JsonSource.parse(text, 'krlib.config.json');
+            assert.strictEqual(lineOf([]), 1);
+            assert.strictEqual(lineOf(['url']), 2);
+            assert.strictEqual(lineOf(['component', 'web', 'channel']), 4);
+            assert.strictEqual(lineOf(['remotes']), 6);
+            assert.strictEqual(lineOf(['remotes', '1']), 8);
+            assert.strictEqual(lineOf(['bump', 'message']), 10);
+            assert.strictEqual(lineOf(['missing']), undefined);
+        });
+
+        it('tracks the range of the value text', () => {
+            const { rangeOf } = JsonSource.parse(text, 'krlib.config.json');
+            const [start, end] = rangeOf(['bump', 'message']);
+            assert.strictEqual(text.slice(start, end), '"Bump \\"{versions}\\" {}"');
+            const [objectStart, objectEnd] = rangeOf(['component', 'web']);
+            assert.strictEqual(text.slice(objectStart, objectEnd), '{ "path": "apps/web", "channel": "beta" }');
+        });
+
+        it('counts the lines of a file with CRLF line endings and a byte order mark', () => {
+            const { value, lineOf } = JsonSource.parse(`\uFEFF${text.replace(/\n/g, '\r\n')}`, 'krlib.config.json');
+            assert.deepStrictEqual(value, JSON.parse(text));
+            assert.strictEqual(lineOf(['remotes', '1']), 8);
+        });
+
+        it('points at the line and column of a syntax error', () => {
+            const cases = [
+                ['{\n  "a": 1,\n  "b": [1, }\n}', 'line 3, column 12: Unexpected token }'],
+                ['{\n  "a": 1,\n}', 'line 3, column 1: Expected a property name in double quotes'],
+                ['{\n  "a" 1\n}', 'line 2, column 7: Expected \':\' after property "a"'],
+                ['{ "a": 1 "b": 2 }', 'line 1, column 10: Expected \',\' or \'}\' after property "a"'],
+                ['{ "a": "b\n" }', 'line 1, column 8: Unterminated string'],
+                ['{ "a": 1 } x', 'line 1, column 12: Unexpected content after the end of JSON'],
+                ['{ "a": ', 'line 1, column 8: Unexpected end of JSON'],
+            ];
+            cases.forEach(([source, issue]) => {
+                assert.throws(() => JsonSource.parse(source, 'krlib.config.json'), (err) =>
+                    err instanceof ConfigError && err.source === 'krlib.config.json' && err.issues[0] === issue, issue);
+            });
+        });
+    });
+
+    describe('replace', () => {
+        const pkg = '{\n\t"name": "web",\n\t"dependencies": {\n\t\t"kr-library": "git+https://example.com/lib.git#semver:1.1.0"\n\t}\n}';
+        const keys = ['dependencies', 'kr-library'];
+        const spec = 'git+https://example.com/lib.git#semver:1.2.0';
+
+        it('replaces only the value, the formatting stays as it is', () => {
+            assert.strictEqual(JsonSource.replace(pkg, keys, spec, 'package.json'), pkg.replace('1.1.0', '1.2.0'));
+        });
+
+        it('keeps a minified file minified, without a trailing newline', () => {
+            const minified = JSON.stringify(JSON.parse(pkg));
+            assert.strictEqual(JsonSource.replace(minified, keys, spec, 'package.json'), minified.replace('1.1.0', '1.2.0'));
+        });
+
+        it('keeps the byte order mark and CRLF line endings', () => {
+            const windows = `\uFEFF${pkg.replace(/\n/g, '\r\n')}\r\n`;
+            assert.strictEqual(JsonSource.replace(windows, keys, spec, 'package.json'), windows.replace('1.1.0', '1.2.0'));
+        });
+
+        it('returns null when there is no value at the path', () => {
+            assert.strictEqual(JsonSource.replace(pkg, ['devDependencies', 'kr-library'], spec, 'package.json'), null);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const assert = require('assert');
+const { readdirSync } = require('fs');
+const path = require('path');
+const { createKrlib, KrlibError, UsageError } = require('..');
+const { createLibrary, createRepo, createTempDir, dependency, fakeInstall, removeDir } = require('./helpers');
+
+describe('libraries', function () {
+    this.timeout(60000);
+    let directory;
+    let root;
+    let config;
+
+    const rowsOf = (status) => status.map(item => [item.componentName, item.library, item.currentVersion, item.expectedVersion, item.latestVersion]);
+
+    before(() => {
+        directory = createTempDir('libraries');
+        process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+        const url = createLibrary(directory, ['1.0.0', '1.1.0'].map(version => ({ version })));
+        const uiUrl = createLibrary(directory, ['2.0.0', '2.1.0', '2.2.0'].map(version => ({ version })), { name : 'kr-ui', tagPattern : 'release-{version}' });
+        config = { url, libraries : { 'kr-ui' : { url : uiUrl, tagPattern : 'release-{version}' } }, component : { web : 'web', admin : 'admin' } };
+        root = createRepo(path.join(directory, 'repo'), {
+            'krlib.config.json' : config,
+            'web/package.json' : { name : 'web', dependencies : { 'kr-library' : dependency(url, '1.0.0'), 'kr-ui' : dependency(uiUrl, '^2.0.0') } },
+            'admin/package.json' : { name : 'admin', dependencies : { 'kr-library' : dependency(url, '1.1.0') } },
+        });
+        fakeInstall(path.join(root, 'web'), '1.0.0');
+        fakeInstall(path.join(root, 'web'), '2.0.0', 'kr-ui');
+        fakeInstall(path.join(root, 'admin'), '1.1.0');
+    });
+
+    after(() => {
+        delete process.env.KRLIB_CACHE_DIR;
+        removeDir(directory);
+    });
+
+    it('has a row per component and library', async () => {
+        assert.deepStrictEqual(rowsOf(await createKrlib({ root, env : {} }).status()), [
+            ['web', 'kr-library', '1.0.0', '1.0.0', '1.1.0'],
+            ['web', 'kr-ui', '2.0.0', '^2.0.0', '2.2.0'],
+            ['admin', 'kr-library', '1.1.0', '1.1.0', '1.1.0'],
+        ]);
+        // a cache file per library and tag pattern
+        assert.strictEqual(readdirSync(path.join(directory, 'cache', 'tags')).length, 2);
+    });
+
+    it('narrows the rows down to the selected libraries', async () => {
+        const krlib = createKrlib({ root, env : {} });
+        await krlib.load({ libraries : ['kr-ui'] });
+        assert.deepStrictEqual(rowsOf(await krlib.status()), [['web', 'kr-ui', '2.0.0', '^2.0.0', '2.2.0']]);
+        await krlib.load({ components : ['web'], libraries : ['kr-library'] });
+        assert.deepStrictEqual(rowsOf(await krlib.status()), [['web', 'kr-library', '1.0.0', '1.0.0', '1.1.0']]);
+    });
+
+    it('plans an update per library', async () => {
+        const pkgs = await createKrlib({ root, env : {} }).load();
+        assert.deepStrictEqual(pkgs.planUpdate().map(({ component, version }) => [component.componentName, component.library.name, version]), [
+            ['web', 'kr-library', '1.1.0'],
+            ['web', 'kr-ui', '2.2.0'],
+        ]);
+        assert.throws(() => pkgs.planUpdate('1.1.0'), (err) => err instanceof UsageError &&
+            err.message === 'A version applies to a single library, select one of kr-library, kr-ui');
+    });
+
+    it('refuses to roll back a library no longer in the config', async () => {
+        const krlib = createKrlib({ root, config, env : {} });
+        const pkgs = await krlib.load({ libraries : ['kr-ui'] });
+        krlib._runAsync = async (plan) => plan.map(step => Object.assign({ status : 'success', attempts : 1 }, step));
+        await krlib.execute(pkgs.planUpdate('2.1.0'));
+        assert.strictEqual(krlib.getLastUpgrade().journal.components[0].library, 'kr-ui');
+
+        const removed = createKrlib({ root, config : { url : config.url, component : config.component }, env : {} });
+        await assert.rejects(removed.rollback(), (err) => err instanceof KrlibError &&
+            err.message === 'Cannot roll back web, its library kr-ui is no longer in krlib.config.json');
+    });
+});
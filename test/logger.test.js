@@ -0,0 +1,113 @@
+'use strict';
+
+const assert = require('assert');
+const { readFileSync } = require('fs');
+const path = require('path');
+const { internals : { Logger } } = require('..');
+const { createLibrary, createRepo, createTempDir, dependency, fakeInstall, removeDir, runCli } = require('./helpers');
+
+describe('Logger', () => {
+    let directory;
+
+    // a stream keeping what is written to it
+    const stream = (isTTY = false) => {
+        const written = [];
+        return { isTTY, written, write : (chunk) => written.push(chunk) };
+    };
+
+    before(() => {
+        directory = createTempDir('logger');
+    });
+
+    after(() => {
+        removeDir(directory);
+    });
+
+    it('colors a terminal unless NO_COLOR is set', () => {
+        assert.strictEqual(Logger.supportsColor(stream(true), {}), true);
+        assert.strictEqual(Logger.supportsColor(stream(true), { NO_COLOR : '1' }), false);
+        // an empty NO_COLOR is not set, as https://no-color.org says
+        assert.strictEqual(Logger.supportsColor(stream(true), { NO_COLOR : '' }), true);
+        assert.strictEqual(Logger.supportsColor(stream(true), { TERM : 'dumb' }), false);
+        assert.strictEqual(Logger.supportsColor(stream(false), {}), false);
+
+        const stdout = stream(true);
+        const logger = new Logger({ stdout, stderr : stream(true), env : {} });
+        logger.write('success', 'done');
+        logger.write('info', 'plain');
+        assert.deepStrictEqual(stdout.written, ['\x1b[32mdone\x1b[0m\n', 'plain\n']);
+    });
+
+    it('writes errors to stderr and the rest to stdout', () => {
+        const [stdout, stderr] = [stream(), stream()];
+        const logger = new Logger({ stdout, stderr, env : {} });
+        logger.write('warning', 'careful');
+        logger.write('error', 'failed');
+        assert.deepStrictEqual([stdout.written, stderr.written], [['careful\n'], ['failed\n']]);
+    });
+
+    it('shows the messages of the level', () => {
+        const stdout = stream();
+        const logger = new Logger({ stdout, stderr : stdout, env : {} });
+        const writeAll = () => ['debug', 'info', 'warning', 'error', 'output'].forEach(kind => logger.write(kind, kind));
+        writeAll();
+        logger.level = 'quiet';
+        writeAll();
+        logger.level = 'verbose';
+        writeAll();
+        // stdout reserved for a report
+        logger.level = 'normal';
+        logger.silent = true;
+        writeAll();
+        assert.deepStrictEqual(stdout.written.map(line => line.trim()), [
+            'info', 'warning', 'error', 'output',
+            'warning', 'error', 'output',
+            'debug', 'info', 'warning', 'error', 'output',
+            'error', 'output',
+        ]);
+    });
+
+    it('records every message to the log file, whatever the level', () => {
+        const file = path.join(directory, 'logs', 'api.log');
+        const logger = new Logger({ stdout : stream(true), stderr : stream(true), env : {} });
+        logger.level = 'quiet';
+        logger.openFile(file, 'krlib status');
+        logger.write('debug', 'hidden');
+        logger.write('danger', '\x1b[1mtwo\x1b[0m\nlines');
+        assert.deepStrictEqual(readFileSync(file, 'utf8').split('\n').map(line => line.replace(/^\S+Z /, '')), [
+            'run     krlib status',
+            'debug   hidden',
+            'danger  two',
+            'danger  lines',
+            '',
+        ]);
+    });
+
+    describe('--log-file', function () {
+        this.timeout(60000);
+
+        it('appends the command line, the messages, the answers and the exit code', () => {
+            const url = createLibrary(directory, ['1.0.0', '1.1.0'].map(version => ({ version })));
+            const root = createRepo(path.join(directory, 'repo'), {
+                'krlib.config.json' : { url, component : { web : 'web' } },
+                'web/package.json' : { name : 'web', dependencies : { 'kr-library' : dependency(url, '1.0.0') } },
+            });
+            fakeInstall(path.join(root, 'web'), '1.0.0');
+            const env = { KRLIB_CACHE_DIR : path.join(directory, 'cache') };
+            const file = path.join(directory, 'krlib.log');
+            const result = runCli(root, ['--log-file', file], { input : 'n\n', env });
+            assert.strictEqual(result.status, 0, result.stderr);
+            runCli(root, ['check', '--quiet', '--log-file', file], { env });
+
+            const lines = readFileSync(file, 'utf8').split('\n').filter(line => line !== '');
+            assert.ok(lines.every(line => /^\d{4}-\d\d-\d\dT[\d:.]+Z \w+ */.test(line)), lines.join('\n'));
+            const kinds = (kind) => lines.filter(line => line.split(/ +/)[1] === kind).map(line => line.split(/ +/).slice(2).join(' '));
+            assert.deepStrictEqual(kinds('run').map(line => line.split(' in ')[0]),
+                [`krlib --log-file ${file}`, `krlib check --quiet --log-file ${file}`]);
+            assert.deepStrictEqual(kinds('input'), ['n']);
+            assert.deepStrictEqual(kinds('exit'), ['exit code 0', 'exit code 0']);
+            // hidden by --quiet, in the log file still
+            assert.strictEqual(kinds('success').filter(line => line === 'The latest kr-library is 1.1.0').length, 2);
+        });
+    });
+});
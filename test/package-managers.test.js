@@ -0,0 +1,95 @@
+'use strict';
+
+const assert = require('assert');
+const { chmodSync, readFileSync, writeFileSync } = require('fs');
+const path = require('path');
+const { createKrlib } = require('..');
+const { createLibrary, createRepo, createTempDir, dependency, fakeInstall, removeDir, runCli, writeFiles } = require('./helpers');
+
+describe('package managers', function () {
+    this.timeout(60000);
+    let directory;
+    let root;
+    let url;
+    let logFile;
+    let path0;
+
+    const recorded = () => readFileSync(logFile, 'utf8').split('\n').filter(line => line !== '')
+        .map(line => line.replace(`${root}${path.sep}`, ''));
+
+    before(() => {
+        directory = createTempDir('package-managers');
+        process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+        // a yarn and a pnpm writing their directory and arguments, and printing their version
+        const bin = path.join(directory, 'bin');
+        logFile = path.join(directory, 'commands');
+        ['yarn', 'pnpm'].forEach(name => {
+            const variable = `FAKE_${name.toUpperCase()}_VERSION`;
+            writeFiles(bin, { [name] : `#!/bin/sh\nif [ "$1" = --version ]; then echo "\${${variable}:-9.0.0}"; exit 0; fi\necho "${name} $(pwd) $*" >> '${logFile}'\n` });
+            chmodSync(path.join(bin, name), 0o755);
+        });
+        path0 = process.env.PATH;
+        process.env.PATH = `${bin}${path.delimiter}${path0}`;
+
+        url = createLibrary(directory, ['1.0.0', '1.1.0'].map(version => ({ version })));
+        const pkg = (name) => ({ name, dependencies : { 'kr-library' : dependency(url, '1.0.0') } });
+        root = createRepo(path.join(directory, 'repo'), {
+            'krlib.config.json' : { url, component : { web : 'web', admin : 'admin', shop : { path : 'shop', packageManager : 'yarn' } } },
+            'web/package.json' : pkg('web'),
+            'web/yarn.lock' : '',
+            'admin/package.json' : pkg('admin'),
+            'admin/pnpm-lock.yaml' : '',
+            // detected as pnpm, set to yarn in the config
+            'shop/package.json' : pkg('shop'),
+            'shop/pnpm-lock.yaml' : '',
+            'shop/yarn.lock' : '',
+        });
+        ['web', 'admin', 'shop'].forEach(name => fakeInstall(path.join(root, name), '1.0.0'));
+    });
+
+    beforeEach(() => {
+        writeFileSync(logFile, '');
+    });
+
+    after(() => {
+        process.env.PATH = path0;
+        delete process.env.KRLIB_CACHE_DIR;
+        removeDir(directory);
+    });
+
+    it('detects the package manager of each component from its lockfile', async () => {
+        const pkgs = await createKrlib({ root, env : {} }).load();
+        assert.deepStrictEqual(pkgs.components.map(component => [component.componentName, component.packageManager]),
+            [['web', 'yarn'], ['admin', 'pnpm'], ['shop', 'yarn']]);
+    });
+
+    it('adds the dependency with yarn add and pnpm add', async () => {
+        const krlib = createKrlib({ root, env : {} });
+        const plan = (await krlib.load()).planUpdate('1.1.0');
+        assert.deepStrictEqual(krlib.preview(plan).map(step => step.command), [
+            ['yarn', 'add', dependency(url, '1.1.0')],
+            ['pnpm', 'add', dependency(url, '1.1.0')],
+            ['yarn', 'add', dependency(url, '1.1.0')],
+        ]);
+        const results = await krlib.execute(plan);
+        assert.deepStrictEqual(results.map(result => result.status), ['success', 'success', 'success']);
+        assert.deepStrictEqual(recorded().sort(), [
+            `pnpm admin add ${dependency(url, '1.1.0')}`,
+            `yarn shop add ${dependency(url, '1.1.0')}`,
+            `yarn web add ${dependency(url, '1.1.0')}`,
+        ]);
+    });
+
+    it('refreshes the lockfile with yarn install and pnpm install on bump', async () => {
+        await createKrlib({ root, env : {} }).bump({ version : '1.1.0', components : ['web', 'admin'] });
+        assert.deepStrictEqual(recorded().sort(), ['pnpm admin install', 'yarn web install']);
+        assert.ok(readFileSync(path.join(root, 'web', 'package.json'), 'utf8').includes('#semver:1.1.0'));
+    });
+
+    it('refuses to install with a package manager too old', () => {
+        const result = runCli(root, ['install'], { env : { FAKE_PNPM_VERSION : '7.9.0' } });
+        assert.strictEqual(result.status, 1, result.stderr);
+        assert.ok(result.stderr.includes('The pnpm version is too low'), result.stderr);
+        assert.deepStrictEqual(recorded(), []);
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { createKrlib, internals : { UpdatePicker } } = require('..');
+const { captureLogger, createLibrary, createRepo, createTempDir, dependency, fakeInstall, removeDir, runCli } = require('./helpers');
+
+describe('UpdatePicker', function () {
+    this.timeout(60000);
+    let directory;
+    let root;
+    let logger;
+
+    const pick = async (answers) => {
+        const pkgs = await createKrlib({ root, env : {} }).load();
+        const reader = { readLineAsync : async () => answers.length > 0 ? answers.shift() : null };
+        const picker = new UpdatePicker(pkgs, { reader, input : { isTTY : false }, output : { isTTY : false } });
+        const picked = await picker.pickAsync(pkgs.planInstall());
+        return picked.map(({ component, version }) => [component.componentName, version]);
+    };
+
+    before(() => {
+        directory = createTempDir('picker');
+        process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+        const url = createLibrary(directory, ['0.9.0', '1.0.0', '1.1.0'].map(version => ({ version })));
+        root = createRepo(path.join(directory, 'repo'), {
+            'krlib.config.json' : { url, component : { web : 'web', admin : 'admin' } },
+            'web/package.json' : { name : 'web', dependencies : { 'kr-library' : dependency(url, '^1.0.0') } },
+            'admin/package.json' : { name : 'admin', dependencies : { 'kr-library' : dependency(url, '^2.0.0') } },
+        });
+        fakeInstall(path.join(root, 'web'), '0.9.0');
+        fakeInstall(path.join(root, 'admin'), '0.9.0');
+        logger = captureLogger();
+    });
+
+    after(() => {
+        logger.restore();
+        delete process.env.KRLIB_CACHE_DIR;
+        removeDir(directory);
+    });
+
+    it('offers an expected range as the newest release it allows, and keeps the range', async () => {
+        assert.deepStrictEqual(await pick(['1', '']), [['web', '^1.0.0']]);
+    });
+
+    it('installs another version chosen in place of the range', async () => {
+        assert.deepStrictEqual(await pick(['1', '1.0.0']), [['web', '1.0.0']]);
+    });
+
+    it('offers no version choice for a range no release satisfies', async () => {
+        assert.deepStrictEqual(await pick(['a', '']), [['web', '^1.0.0'], ['admin', '^2.0.0']]);
+        assert.ok(logger.text().includes('web: type the version'));
+        assert.ok(!logger.text().includes('admin: type the version'));
+    });
+
+    it('does not fail when the expected versions are ranges', () => {
+        const result = runCli(root, [], { input : 'n\n' });
+        assert.strictEqual(result.stderr.includes('Invalid Version'), false, result.stderr);
+        assert.ok(result.stdout.includes('web  0.9.0 -> 1.1.0  (expected ^1.0.0, latest 1.1.0)'), result.stdout);
+        assert.ok(result.stdout.includes('admin  0.9.0 -> ^2.0.0  (expected ^2.0.0, latest 1.1.0)'), result.stdout);
+        assert.ok(result.stdout.includes('Nothing selected'), result.stdout);
+    });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { createKrlib } = require('..');
+const { createLibrary, createRepo, createTempDir, dependency, fakeInstall, removeDir } = require('./helpers');
+
+describe('VersionPolicy', function () {
+    this.timeout(60000);
+    let directory;
+    let root;
+    let url;
+    let uiUrl;
+
+    const check = async (settings) => {
+        const config = Object.assign({
+            libraries : { 'kr-library' : { url }, 'ui-kit' : { url : uiUrl, tagPattern : 'ui-kit@{version}' } },
+            component : { web : 'web', admin : 'admin', shop : 'shop' },
+        }, settings);
+        const result = await createKrlib({ root, config, env : {} }).check();
+        return Object.assign(result, {
+            found : result.violations.map(({ rule, severity, failing, message, component }) =>
+                [component.componentName, component.library, rule, severity, failing, message]),
+        });
+    };
+
+    before(() => {
+        directory = createTempDir('policy');
+        process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+        url = createLibrary(directory, ['1.0.0', '1.1.0', '1.2.0', '1.3.0', '1.4.0-beta.1'].map(version => ({ version })));
+        uiUrl = createLibrary(directory, ['1.0.0', '2.0.0'].map(version => ({ version })), { name : 'ui-kit', tagPattern : 'ui-kit@{version}' });
+        const pkg = (name, range, uiRange) => ({
+            name,
+            dependencies : Object.assign({ 'kr-library' : dependency(url, range) }, uiRange ? { 'ui-kit' : dependency(uiUrl, uiRange) } : {}),
+        });
+        root = createRepo(path.join(directory, 'repo'), {
+            'web/package.json' : pkg('web', '1.0.0', '1.0.0'),
+            'admin/package.json' : pkg('admin', '^1.2.0'),
+            'shop/package.json' : pkg('shop', '^1.2.0'),
+        });
+        fakeInstall(path.join(root, 'web'), '1.0.0');
+        fakeInstall(path.join(root, 'web'), '1.0.0', 'ui-kit');
+        fakeInstall(path.join(root, 'admin'), '1.3.0');
+        fakeInstall(path.join(root, 'shop'), '1.2.0');
+    });
+
+    after(() => {
+        delete process.env.KRLIB_CACHE_DIR;
+        removeDir(directory);
+    });
+
+    it('passes without rules', async () => {
+        const result = await check({});
+        assert.deepStrictEqual(result.found, []);
+        assert.strictEqual(result.ok, true);
+    });
+
+    it('sameVersion reports the components expecting another range than most', async () => {
+        const result = await check({ policies : { sameVersion : true } });
+        assert.deepStrictEqual(result.found, [
+            ['web', 'kr-library', 'sameVersion', 'error', true, 'expects 1.0.0, the other components expect ^1.2.0'],
+        ]);
+        assert.strictEqual(result.ok, false);
+    });
+
+    it('maxMinorLag compares the newest release of the range with the latest on the channel', async () => {
+        const result = await check({ policies : { maxMinorLag : 2 } });
+        assert.deepStrictEqual(result.found, [
+            ['web', 'kr-library', 'maxMinorLag', 'error', true, 'expects 1.0.0, 3 minor versions behind the latest 1.3.0, at most 2 allowed'],
+            ['web', 'ui-kit', 'maxMinorLag', 'error', true, 'expects 1.0.0, a major version behind the latest 2.0.0'],
+        ]);
+    });
+
+    it('denyVersions checks the installed and the expected versions', async () => {
+        const result = await check({ policies : { denyVersions : ['1.2.0', '1.3.0'] } });
+        assert.deepStrictEqual(result.found.map(([name, , , , , message]) => [name, message]), [
+            ['admin', 'installs 1.3.0, which is denied by 1.3.0'],
+            ['shop', 'installs 1.2.0, which is denied by 1.2.0'],
+        ]);
+    });
+
+    it('minimumVersion checks the installed and the expected versions', async () => {
+        const result = await check({ policies : { minimumVersion : { version : '1.3.0', severity : 'warning' } } });
+        assert.deepStrictEqual(result.found, [
+            ['web', 'kr-library', 'minimumVersion', 'warning', false, 'installs 1.0.0, below the minimum 1.3.0'],
+            ['shop', 'kr-library', 'minimumVersion', 'warning', false, 'installs 1.2.0, below the minimum 1.3.0'],
+            ['web', 'ui-kit', 'minimumVersion', 'warning', false, 'installs 1.0.0, below the minimum 1.3.0'],
+        ]);
+        assert.strictEqual(result.ok, true);
+    });
+
+    it('fails on the violations at least as severe as failOn', async () => {
+        const policies = { sameVersion : { severity : 'warning' }, minimumVersion : '1.1.0' };
+        const failing = async (failOn) => (await check({ policies, failOn })).found.map(([, , rule, , isFailing]) => [rule, isFailing]);
+        assert.deepStrictEqual(await failing('error'), [['sameVersion', false], ['minimumVersion', true], ['minimumVersion', true]]);
+        assert.deepStrictEqual(await failing('warning'), [['sameVersion', true], ['minimumVersion', true], ['minimumVersion', true]]);
+        assert.deepStrictEqual(await failing('never'), [['sameVersion', false], ['minimumVersion', false], ['minimumVersion', false]]);
+    });
+
+    it('takes the rules of a library over the common ones', async () => {
+        const result = await check({
+            libraries : {
+                'kr-library' : { url },
+                'ui-kit' : { url : uiUrl, tagPattern : 'ui-kit@{version}', policies : { minimumVersion : '1.0.0' } },
+            },
+            policies : { minimumVersion : '1.1.0' },
+        });
+        assert.deepStrictEqual(result.found.map(([name, library]) => [name, library]), [['web', 'kr-library']]);
+    });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const { InstallError, internals : { InstallQueue } } = require('..');
+
+describe('InstallQueue', () => {
+    let log;
+
+    // a component whose installs take `duration` milliseconds and fail with the errors given, one per attempt
+    const component = (name, { directory = name, duration = 10, errors = [] } = {}) => {
+        const installer = new EventEmitter();
+        let timer = null;
+        let abort = null;
+        const run = (version) => new Promise((resolve, reject) => {
+            log.push(`start ${name} ${version}`);
+            const error = errors.shift();
+            timer = setTimeout(() => {
+                timer = null;
+                log.push(`end ${name}`);
+                return error ? reject(error) : resolve();
+            }, duration);
+            abort = () => reject(new InstallError('aborted', { transient : false }));
+        });
+        installer.installSpecificVersionAsync = run;
+        installer.installComponently = () => run('lockfile');
+        installer.abort = () => {
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+                log.push(`abort ${name}`);
+                abort();
+            }
+        };
+        return { componentName : name, componentPath : directory, installer };
+    };
+    const transient = () => new InstallError('socket hang up', { transient : true });
+    const statusOf = (results) => results.map(({ component, status, attempts }) => [component.componentName, status, attempts]);
+
+    beforeEach(() => {
+        log = [];
+    });
+
+    it('retries a transient failure, waiting longer every time', async () => {
+        const events = new EventEmitter();
+        const delays = [];
+        events.on('install-retry', ({ delay }) => delays.push(delay));
+        const queue = new InstallQueue({ retries : 2, retryDelay : 5, events });
+        const results = await queue.runAsync([{ component : component('web', { errors : [transient(), transient()] }), version : '1.1.0' }]);
+        assert.deepStrictEqual(statusOf(results), [['web', 'success', 3]]);
+        assert.deepStrictEqual(delays, [5, 10]);
+    });
+
+    it('gives up after the retries, and on a failure which is not transient', async () => {
+        const queue = new InstallQueue({ retries : 1, retryDelay : 1 });
+        const failure = new InstallError('Failed install', { transient : false });
+        const results = await queue.runAsync([
+            { component : component('web', { errors : [transient(), transient()] }), version : '1.1.0' },
+            { component : component('admin', { errors : [failure] }), version : '1.1.0' },
+        ]);
+        assert.deepStrictEqual(statusOf(results), [['web', 'failed', 2], ['admin', 'failed', 1]]);
+        assert.strictEqual(results[1].error, failure);
+    });
+
+    it('runs at most `concurrency` installs at a time, one after the other in a directory', async () => {
+        const queue = new InstallQueue({ concurrency : 2 });
+        await queue.runAsync([
+            { component : component('web', { duration : 200 }), version : '1.1.0' },
+            { component : component('web-ui', { directory : 'web' }), version : '2.0.0' },
+            { component : component('admin'), version : '1.1.0' },
+            { component : component('shop'), version : null },
+        ]);
+        assert.deepStrictEqual(log, [
+            'start web 1.1.0',
+            'start admin 1.1.0',
+            'end admin',
+            'start shop lockfile',
+            'end shop',
+            'end web',
+            'start web-ui 2.0.0',
+            'end web-ui',
+        ]);
+    });
+
+    it('stops the running installs and skips the pending ones on cancel', async () => {
+        const queue = new InstallQueue({ concurrency : 1 });
+        const running = queue.runAsync([
+            { component : component('web', { duration : 1000 }), version : '1.1.0' },
+            { component : component('admin'), version : '1.1.0' },
+        ]);
+        setTimeout(() => queue.cancel(), 10);
+        assert.deepStrictEqual(statusOf(await running), [['web', 'cancelled', 1], ['admin', 'cancelled', 0]]);
+        assert.deepStrictEqual(log, ['start web 1.1.0', 'abort web']);
+    });
+});
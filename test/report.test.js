@@ -0,0 +1,89 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { createKrlib, UsageError } = require('..');
+const { createLibrary, createRepo, createTempDir, dependency, git, removeDir, runCli, writeFiles } = require('./helpers');
+
+describe('report', function () {
+    this.timeout(60000);
+    let directory;
+    let root;
+    let url;
+
+    const commitBranch = (branch, files) => {
+        git(root, 'checkout', '-qb', branch, 'main');
+        writeFiles(root, files);
+        git(root, 'add', '-A');
+        git(root, 'commit', '-qm', branch);
+    };
+    const pkg = (name, range) => ({ name, dependencies : range ? { 'kr-library' : range.startsWith('git') ? range : dependency(url, range) } : {} });
+
+    before(() => {
+        directory = createTempDir('report');
+        process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+        url = createLibrary(directory, ['1.0.0', '1.1.0', '1.2.0'].map(version => ({ version })));
+        root = createRepo(path.join(directory, 'repo'), {
+            'krlib.config.json' : { url, component : { web : 'web', admin : 'admin' } },
+            'web/package.json' : pkg('web', '1.2.0'),
+            'admin/package.json' : pkg('admin', '^1.2.0'),
+        });
+        git(root, 'branch', '-M', 'main');
+        commitBranch('release/1.0', { 'web/package.json' : pkg('web', '1.0.0'), 'admin/package.json' : pkg('admin', '~1.0.0') });
+        commitBranch('release/1.1', { 'web/package.json' : pkg('web', `git+${url}#v1.1.0`), 'admin/package.json' : '{ "name": ' });
+        commitBranch('login', { 'web/package.json' : pkg('web', '^1.1.0'), 'admin/package.json' : pkg('admin') });
+        // a remote-tracking branch, and the HEAD of the remote left out
+        git(root, 'update-ref', 'refs/remotes/origin/feature/login', 'login');
+        git(root, 'symbolic-ref', 'refs/remotes/origin/HEAD', 'refs/remotes/origin/feature/login');
+        git(root, 'checkout', '-q', 'main');
+        git(root, 'branch', '-qD', 'login');
+    });
+
+    after(() => {
+        delete process.env.KRLIB_CACHE_DIR;
+        removeDir(directory);
+    });
+
+    it('reads the expected version of each component at every branch matched', async () => {
+        const matrix = await createKrlib({ root, env : {} }).report({ refs : ['main', 'release/*', 'origin/**'] });
+        assert.deepStrictEqual(matrix.refs, ['main', 'release/1.0', 'release/1.1', 'origin/feature/login']);
+        assert.deepStrictEqual(matrix.rows, [
+            {
+                component : 'web',
+                library : 'kr-library',
+                path : 'web',
+                latestVersion : '1.2.0',
+                versions : { 'main' : '1.2.0', 'release/1.0' : '1.0.0', 'release/1.1' : `git+${url}#v1.1.0`, 'origin/feature/login' : '^1.1.0' },
+            },
+            {
+                component : 'admin',
+                library : 'kr-library',
+                path : 'admin',
+                latestVersion : '1.2.0',
+                versions : { 'main' : '^1.2.0', 'release/1.0' : '~1.0.0', 'release/1.1' : null, 'origin/feature/login' : null },
+            },
+        ]);
+    });
+
+    it('refuses patterns matching no branch', async () => {
+        await assert.rejects(createKrlib({ root, env : {} }).report({ refs : ['nope', 'feature/*'] }), (err) => err instanceof UsageError &&
+            err.message === 'No local or remote-tracking branch matches nope, feature/*');
+    });
+
+    it('prints the table with the ranges not allowing the latest version marked', () => {
+        const result = runCli(root, ['report', '--refs', 'release/1.0', '--refs', 'main', '--refs', 'origin/feature/*']);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.deepStrictEqual(result.stdout.split('\n').slice(-7), [
+            'Module    release/1.0    main      origin/feature/login    Latest',
+            '-----------------------------------------------------------------',
+            'web       1.0.0 *        1.2.0     ^1.1.0                  1.2.0',
+            'admin     ~1.0.0 *       ^1.2.0    -                       1.2.0',
+            '',
+            '* does not allow the latest version, - no dependency on the branch',
+            '',
+        ]);
+
+        const markdown = runCli(root, ['report', '--refs', 'main', '--format', 'markdown']);
+        assert.ok(markdown.stdout.includes('| Module | main | Latest |\n| --- | --- | --- |\n| web | 1.2.0 | 1.2.0 |\n| admin | ^1.2.0 | 1.2.0 |'), markdown.stdout);
+    });
+});
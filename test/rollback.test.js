@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('assert');
+const { readFileSync } = require('fs');
+const path = require('path');
+const { createKrlib, InstallError } = require('..');
+const { createLibrary, createRepo, createTempDir, dependency, removeDir } = require('./helpers');
+
+// runs the package manager, the components install the library from a local repository
+describe('rollback', function () {
+    this.timeout(180000);
+    let directory;
+    let root;
+    let url;
+    let krlib;
+
+    const readPkg = () => readFileSync(path.join(root, 'web', 'package.json'), 'utf8');
+    const readJournal = () => JSON.parse(readFileSync(path.join(root, '.git', 'krlib', 'upgrade.json'), 'utf8'));
+    const versions = async () => (await krlib.status()).map(item => [item.currentVersion, item.expectedVersion]);
+
+    before(() => {
+        directory = createTempDir('rollback');
+        process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+        url = createLibrary(directory, [
+            { version : '1.0.0' },
+            { version : '1.1.0' },
+            // a release whose install always fails
+            { version : '1.2.0', files : { 'package.json' : { name : 'kr-library', version : '1.2.0', scripts : { install : 'exit 1' } } } },
+        ]);
+        root = createRepo(path.join(directory, 'repo'), {
+            'krlib.config.json' : { url, component : { web : 'web' }, retries : 0 },
+            'web/package.json' : { name : 'web', dependencies : { 'kr-library' : dependency(url, '1.0.0') } },
+        });
+        krlib = createKrlib({ root, env : {} });
+    });
+
+    after(() => {
+        delete process.env.KRLIB_CACHE_DIR;
+        removeDir(directory);
+    });
+
+    it('keeps the last upgrade recorded through an install', async () => {
+        await krlib.install();
+        assert.strictEqual(krlib.getLastUpgrade(), null);
+        await krlib.update({ version : '1.1.0' });
+        removeDir(path.join(root, 'web', 'node_modules', 'kr-library'));
+        assert.deepStrictEqual((await krlib.install()).map(result => result.status), ['success']);
+        assert.deepStrictEqual(krlib.getLastUpgrade().journal.components.map(record => [record.version, record.targetVersion]), [['1.0.0', '1.1.0']]);
+
+        await krlib.rollback();
+        assert.deepStrictEqual(await versions(), [['1.0.0', '1.0.0']]);
+        assert.strictEqual(krlib.getLastUpgrade(), null);
+    });
+
+    it('rolls back an upgrade whose install fails', async () => {
+        const before = readPkg();
+        await assert.rejects(krlib.update({ version : '1.2.0' }), (err) => err instanceof InstallError &&
+            err.message === '1 of 1 installs failed and were rolled back');
+        assert.strictEqual(readPkg(), before);
+        assert.deepStrictEqual(await versions(), [['1.0.0', '1.0.0']]);
+        assert.strictEqual(readJournal().status, 'rolled-back');
+        assert.strictEqual(krlib.getLastUpgrade(), null);
+    });
+
+    it('marks an upgrade stopped by an error as failed', async () => {
+        const pkgs = await krlib.load();
+        krlib._runAsync = async () => {
+            throw new Error('interrupted');
+        };
+        try {
+            await assert.rejects(krlib.execute(pkgs.planUpdate('1.1.0')), /interrupted/);
+        } finally {
+            delete krlib._runAsync;
+        }
+        assert.strictEqual(readJournal().status, 'failed');
+        assert.strictEqual(krlib.getLastUpgrade(), null);
+    });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const assert = require('assert');
+const { chmodSync, existsSync, readFileSync } = require('fs');
+const path = require('path');
+const { internals : { CliUpdater } } = require('..');
+const { createLibrary, createRepo, createTempDir, removeDir, runCli, writeFiles } = require('./helpers');
+
+describe('CliUpdater', function () {
+    this.timeout(60000);
+    let directory;
+    let bin;
+    let argsFile;
+    let path0;
+
+    const settings = (cli) => Object.assign({ source : 'npm', package : 'krlib', registry : null, url : null, tagPattern : 'v{version}', checkInterval : 24 }, cli);
+    const recordedArgs = () => readFileSync(argsFile, 'utf8').split('\n').filter(line => line !== '');
+
+    before(() => {
+        directory = createTempDir('self-update');
+        process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+        // an npm printing the versions and writing its arguments one per line
+        bin = path.join(directory, 'bin');
+        argsFile = path.join(directory, 'npm-args');
+        writeFiles(bin, { npm : `#!/bin/sh\nprintf '%s\\n' "$@" > '${argsFile}'\necho '["1.0.0", "99.0.0", "100.0.0-beta.1"]'\n` });
+        chmodSync(path.join(bin, 'npm'), 0o755);
+        path0 = process.env.PATH;
+        process.env.PATH = `${bin}${path.delimiter}${path0}`;
+    });
+
+    after(() => {
+        process.env.PATH = path0;
+        delete process.env.KRLIB_CACHE_DIR;
+        removeDir(directory);
+    });
+
+    it('passes the package and registry to npm as arguments', async () => {
+        const updater = new CliUpdater(settings({ package : '@scope/krlib', registry : 'https://registry.example.com/' }),
+            { cacheDirectory : path.join(directory, 'cache') });
+        assert.deepStrictEqual(await updater.getVersionsAsync(), ['1.0.0', '99.0.0', '100.0.0-beta.1']);
+        assert.deepStrictEqual(recordedArgs(), ['view', '@scope/krlib', 'versions', '--json', '--registry', 'https://registry.example.com/']);
+        assert.strictEqual(updater.getNewerVersion(), '99.0.0');
+    });
+
+    it('installs over a global install with its prefix', async () => {
+        const prefix = path.join(directory, 'global prefix');
+        const updater = new CliUpdater(settings({}), { installPath : path.join(prefix, 'lib', 'node_modules', 'krlib') });
+        await updater.installAsync('99.0.0');
+        assert.deepStrictEqual(recordedArgs(), ['install', '--global', '--prefix', prefix, 'krlib@99.0.0']);
+    });
+
+    it('refuses to update a krlib not installed globally with npm', async () => {
+        const updater = new CliUpdater(settings({}), { installPath : path.join(directory, 'checkout') });
+        await assert.rejects(updater.installAsync('99.0.0'), /was not installed globally with npm/);
+    });
+
+    it('looks up the releases in a git repository', async () => {
+        const url = createLibrary(directory, ['1.0.0', '1.1.0'].map(version => ({ version })), { name : 'krlib' });
+        const updater = new CliUpdater(settings({ source : 'git', url }), { cacheDirectory : path.join(directory, 'cache') });
+        assert.deepStrictEqual(await updater.getVersionsAsync(), ['1.0.0', '1.1.0']);
+        assert.strictEqual(updater.origin, url);
+    });
+
+    describe('self-update', () => {
+        const repo = (name, cli) => createRepo(path.join(directory, name), {
+            'krlib.config.json' : { url : 'https://example.com/gcleyser/lib.git', component : { web : 'web' }, cli },
+            'web/package.json' : { name : 'web' },
+        });
+
+        it('exits with 3 when a newer krlib is released', () => {
+            const result = runCli(repo('newer', { registry : 'https://registry.example.com/' }), ['self-update', '--check']);
+            assert.strictEqual(result.status, 3, result.stderr);
+            assert.ok(result.stdout.includes('krlib 99.0.0 is available'), result.stdout);
+            assert.deepStrictEqual(recordedArgs().slice(-2), ['--registry', 'https://registry.example.com/']);
+        });
+
+        it('refuses a package or registry which is no name or url', () => {
+            const marker = path.join(directory, 'ran');
+            const result = runCli(repo('invalid', { package : `krlib; touch ${marker}`, registry : `https://x/ && touch ${marker}` }),
+                ['self-update', '--check']);
+            assert.strictEqual(result.status, 4, result.stderr);
+            assert.ok(result.stderr.includes('cli.package must be an npm package name such as krlib or @scope/krlib'), result.stderr);
+            assert.ok(result.stderr.includes('cli.registry must be a registry url such as https://registry.npmjs.org/'), result.stderr);
+            assert.strictEqual(existsSync(marker), false);
+        });
+    });
+});
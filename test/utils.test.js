@@ -0,0 +1,119 @@
+'use strict';
+
+const assert = require('assert');
+const { internals : { Utils } } = require('..');
+
+describe('Utils', () => {
+    describe('unifiedDiff', () => {
+        const numbered = (count) => Array.from({ length : count }, (unused, idx) => `line${idx + 1}`).join('\n') + '\n';
+        const diff = (before, after) => Utils.unifiedDiff(before, after, 'web/package.json').split('\n');
+
+        it('is empty when the texts are the same', () => {
+            assert.strictEqual(Utils.unifiedDiff('{}\n', '{}\n', 'package.json'), '');
+        });
+
+        it('shows three lines of context around a change', () => {
+            assert.deepStrictEqual(diff(numbered(10), numbered(10).replace('line5\n', 'LINE5\n')), [
+                '--- a/web/package.json',
+                '+++ b/web/package.json',
+                '@@ -2,7 +2,7 @@',
+                ' line2',
+                ' line3',
+                ' line4',
+                '-line5',
+                '+LINE5',
+                ' line6',
+                ' line7',
+                ' line8',
+            ]);
+        });
+
+        it('splits changes far apart into hunks and merges close ones', () => {
+            const far = diff(numbered(20), numbered(20).replace('line2\n', 'LINE2\n').replace('line18\n', 'LINE18\n'));
+            assert.deepStrictEqual(far.filter(line => line.startsWith('@@')), ['@@ -1,5 +1,5 @@', '@@ -15,6 +15,6 @@']);
+            const close = diff(numbered(20), numbered(20).replace('line5\n', 'LINE5\n').replace('line11\n', 'LINE11\n'));
+            assert.deepStrictEqual(close.filter(line => line.startsWith('@@')), ['@@ -2,13 +2,13 @@']);
+        });
+
+        it('marks a last line without newline', () => {
+            assert.deepStrictEqual(diff('{"a":1}', '{"a":2}').slice(2), [
+                '@@ -1,1 +1,1 @@',
+                '-{"a":1}',
+                '\\ No newline at end of file',
+                '+{"a":2}',
+                '\\ No newline at end of file',
+            ]);
+        });
+
+        it('shows a newline added at the end of the file', () => {
+            assert.deepStrictEqual(diff('a\nb', 'a\nb\n').slice(2), [
+                '@@ -1,2 +1,2 @@',
+                ' a',
+                '-b',
+                '\\ No newline at end of file',
+                '+b',
+            ]);
+        });
+
+        it('starts at line 0 for a file created or emptied', () => {
+            assert.deepStrictEqual(diff('', 'a\n').slice(2), ['@@ -0,0 +1,1 @@', '+a']);
+            assert.deepStrictEqual(diff('a\n', '').slice(2), ['@@ -1,1 +0,0 @@', '-a']);
+        });
+    });
+
+    describe('globToRegExp', () => {
+        const matches = (pattern, paths) => paths.filter(item => Utils.globToRegExp(pattern).test(item));
+
+        it('matches `*` within a directory name', () => {
+            assert.deepStrictEqual(matches('packages/*', ['packages/web', 'packages/web/admin', 'packages', 'apps/web']), ['packages/web']);
+            assert.deepStrictEqual(matches('packages/web-*', ['packages/web-admin', 'packages/web', 'packages/web-/x']), ['packages/web-admin']);
+        });
+
+        it('matches `**` across directories', () => {
+            const paths = ['apps', 'apps/web', 'apps/web/admin', 'apps-old/web'];
+            assert.deepStrictEqual(matches('apps/**', paths), ['apps/web', 'apps/web/admin']);
+            assert.deepStrictEqual(matches('apps/**/admin', ['apps/admin', 'apps/web/admin', 'apps/web/admin/x']), ['apps/admin', 'apps/web/admin']);
+            assert.deepStrictEqual(matches('**', ['web', 'apps/web']), ['web', 'apps/web']);
+        });
+
+        it('matches `?` a single character', () => {
+            assert.deepStrictEqual(matches('app?', ['app1', 'app', 'app12', 'app/']), ['app1']);
+        });
+
+        it('ignores a leading `./` and a trailing slash', () => {
+            assert.deepStrictEqual(matches('./packages/*/', ['packages/web']), ['packages/web']);
+        });
+
+        it('takes the other characters literally', () => {
+            assert.deepStrictEqual(matches('v1.0+(beta)', ['v1.0+(beta)', 'v1x0+(beta)', 'v10(beta)']), ['v1.0+(beta)']);
+        });
+
+        it('matches the remotes of a repository as their normalized urls', () => {
+            const remotes = [
+                { name : 'origin', url : 'git@github.com:GCLeyser/web.git' },
+                { name : 'fork', url : 'https://user@github.com:443/someone/web' },
+            ];
+            assert.strictEqual(Utils.matchRemote(remotes, ['**/gcleyser/**']), remotes[0]);
+            assert.strictEqual(Utils.matchRemote(remotes, ['https://github.com/someone/*.git']), remotes[1]);
+            assert.strictEqual(Utils.matchRemote(remotes, ['**/gcleyser']), null);
+            assert.strictEqual(Utils.matchRemote([{ name : 'origin', url : 'https://example.com/gcleyser-old/web' }], ['**/gcleyser/**']), null);
+        });
+    });
+
+    describe('matchAll', () => {
+        it('returns every match with its index', () => {
+            const found = Utils.matchAll(/v(\d+)/g, 'v1 v22 v333');
+            assert.deepStrictEqual(found.map(match => [match[1], match.index]), [['1', 0], ['22', 3], ['333', 7]]);
+        });
+
+        it('moves past empty matches', () => {
+            assert.strictEqual(Utils.matchAll(/x*/g, 'abc').length, 4);
+        });
+
+        it('does not change the lastIndex of the pattern', () => {
+            const pattern = /a/g;
+            Utils.matchAll(pattern, 'aaa');
+            assert.strictEqual(pattern.lastIndex, 0);
+        });
+    });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { createKrlib } = require('..');
+const { createLibrary, createRepo, createTempDir, dependency, fakeInstall, git, removeDir, runCli, writeFiles } = require('./helpers');
+
+describe('integrity', function () {
+    this.timeout(60000);
+    let directory;
+    let root;
+    let url;
+    let commits;
+
+    // a component installed with npm, its lockfile and node_modules recording the commits given
+    const install = (name, version, lockedCommit, installedCommit = lockedCommit) => {
+        const componentPath = path.join(root, name);
+        const entry = (commit) => ({ packages : { 'node_modules/kr-library' : { version, resolved : `${dependency(url, version).split('#')[0]}#${commit}` } } });
+        writeFiles(componentPath, {
+            'package.json' : { name, dependencies : { 'kr-library' : dependency(url, version) } },
+            'package-lock.json' : Object.assign({ lockfileVersion : 3 }, entry(lockedCommit)),
+            'node_modules/.package-lock.json' : entry(installedCommit),
+        });
+        fakeInstall(componentPath, version);
+    };
+    const integrityOf = async (options) => (await createKrlib(Object.assign({ root, env : {} }, options)).status())
+        .map(({ componentName, integrity }) => [componentName, integrity.status]);
+
+    before(() => {
+        directory = createTempDir('verify');
+        process.env.KRLIB_CACHE_DIR = path.join(directory, 'cache');
+        url = createLibrary(directory, ['1.0.0', '1.1.0'].map(version => ({ version })));
+        const bare = url.slice('file://'.length);
+        commits = { '1.0.0' : git(bare, 'rev-parse', 'v1.0.0'), '1.1.0' : git(bare, 'rev-parse', 'v1.1.0') };
+        root = createRepo(path.join(directory, 'repo'), {
+            'krlib.config.json' : { url, component : { web : 'web', admin : 'admin', shop : 'shop', legacy : 'legacy' } },
+            '.gitignore' : 'node_modules\n',
+            'legacy/package.json' : { name : 'legacy' },
+        });
+        install('web', '1.0.0', commits['1.0.0']);
+        install('admin', '1.0.0', commits['1.0.0'], commits['1.1.0']);
+        install('shop', '1.1.0', commits['1.1.0']);
+    });
+
+    after(() => {
+        delete process.env.KRLIB_CACHE_DIR;
+        removeDir(directory);
+    });
+
+    it('compares the lockfile and node_modules with the tags', async () => {
+        assert.deepStrictEqual(await integrityOf(), [['web', 'verified'], ['admin', 'lock-drift'], ['shop', 'verified'], ['legacy', 'unverified']]);
+    });
+
+    it('notices a tag moved since the install once the cached tags are refreshed', async () => {
+        git(url.slice('file://'.length), 'tag', '-f', 'v1.1.0', commits['1.0.0']);
+        // the cached tags are fresh for cacheTtl seconds
+        assert.strictEqual((await integrityOf())[2][1], 'verified');
+        assert.deepStrictEqual(await integrityOf({ refresh : true }), [['web', 'verified'], ['admin', 'lock-drift'], ['shop', 'tag-moved'], ['legacy', 'unverified']]);
+
+        const pkgs = await createKrlib({ root, env : {} }).load();
+        assert.strictEqual(pkgs.check().ok, false);
+        assert.deepStrictEqual(pkgs.planRepair().map(({ component, version }) => [component.componentName, version]), [['admin', null], ['shop', '1.1.0']]);
+    });
+
+    it('asks the remote on verify, not the cached tags', () => {
+        const short = (version) => commits[version].slice(0, 7);
+        let result = runCli(root, ['verify', '--dry-run']);
+        assert.strictEqual(result.status, 6, result.stderr);
+        assert.ok(result.stderr.includes(`shop: tag v1.1.0 now points to ${short('1.0.0')}, the lockfile has ${short('1.1.0')}`), result.stderr);
+        assert.ok(result.stderr.includes(`admin: node_modules has kr-library 1.0.0 (${short('1.1.0')}), the lockfile has v1.0.0 (${short('1.0.0')})`),
+            result.stderr);
+
+        git(url.slice('file://'.length), 'tag', '-f', 'v1.1.0', commits['1.1.0']);
+        result = runCli(root, ['verify', '--dry-run']);
+        assert.strictEqual(result.status, 6, result.stderr);
+        assert.ok(!result.stderr.includes('shop:'), result.stderr);
+    });
+});